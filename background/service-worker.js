@@ -1,18 +1,31 @@
 /**
  * FlowFix Background Service Worker
- * Handles messaging between content scripts and popup
+ * Handles messaging between content scripts and popup, records the metrics
+ * history timeline, and re-checks open dashboards on an alarm to raise
+ * desktop notifications
  */
 
-// Store latest metrics from each platform
-const metricsStore = {
-  zapier: null,
-  make: null
-};
+import '../shared/settings.js';
+import '../shared/workspaces.js';
+import '../shared/history.js';
+import '../shared/text.js';
+import '../shared/alerts.js';
+import '../shared/backup.js';
+
+const { loadSettings, onSettingsChanged, getScoreColor } = globalThis.FlowFixSettings;
+const { getAccountKey, planWorkspaceMigration } = globalThis.FlowFixWorkspaces;
+const { HISTORY_KEY, recordSnapshot, pruneHistory } = globalThis.FlowFixHistory;
+const { ALERT_STATE_KEY, toAlertState, detectAlerts } = globalThis.FlowFixAlerts;
+const { planHistoryImport } = globalThis.FlowFixBackup;
+
+const RECHECK_ALARM = 'flowfix-recheck';
+const DASHBOARD_URLS = ['https://zapier.com/*', 'https://*.make.com/*'];
+
+// Latest metrics from each workspace (account, team or organization), by workspace key
+const metricsStore = {};
 
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('[FlowFix BG] Received message:', message.type);
-
   switch (message.type) {
     case 'METRICS_EXTRACTED':
       handleMetricsExtracted(message.metrics, sender.tab);
@@ -25,30 +38,40 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'OPEN_POPUP':
       // Store metrics and badge will show them when popup opens
       if (message.metrics) {
-        metricsStore[message.metrics.platform] = message.metrics;
+        metricsStore[getAccountKey(message.metrics)] = message.metrics;
       }
       break;
       
     case 'ANALYZE_TAB':
       analyzeCurrentTab(sendResponse);
       return true; // Keep channel open for async response
+
+    case 'IMPORT_HISTORY':
+      // Only FlowFix's own pages (the options page) restore backups
+      if (!sender.url || !sender.url.startsWith(chrome.runtime.getURL(''))) return;
+      importHistory(message.backup, message.mode)
+        .then(sendResponse, error => sendResponse({ error: error.message }));
+      return true;
   }
 });
 
 /**
  * Handle metrics extracted from content script
  */
-function handleMetricsExtracted(metrics, tab) {
+async function handleMetricsExtracted(metrics, tab) {
   if (!metrics || !metrics.platform) return;
   
-  metricsStore[metrics.platform] = metrics;
+  metricsStore[getAccountKey(metrics)] = metrics;
+  const settings = await loadSettings();
+  recordHistory(metrics, settings);
+  checkAlerts(metrics, tab, settings);
   
   // Update badge with health score
   const score = metrics.healthScore || 0;
-  const color = getScoreColor(score);
+  const color = getScoreColor(score, settings.colorBands);
   
   chrome.action.setBadgeText({ 
-    text: score.toString(),
+    text: settings.badge.showOnToolbar ? score.toString() : '',
     tabId: tab?.id 
   });
   
@@ -56,20 +79,160 @@ function handleMetricsExtracted(metrics, tab) {
     color: color,
     tabId: tab?.id 
   });
+}
+
+// History and alert state are read-modify-write; chain updates so concurrent
+// tabs don't overwrite each other
+let storageQueue = Promise.resolve();
+
+function queueStorageTask(task) {
+  storageQueue = storageQueue
+    .then(task)
+    .catch(error => console.error('[FlowFix BG] Storage update failed:', error));
+  return storageQueue;
+}
+
+/**
+ * Like queueStorageTask, but the task's result or error goes back to the
+ * caller; the queue carries on either way
+ */
+function runStorageTask(task) {
+  const result = storageQueue.then(task);
+  storageQueue = result.catch(() => {});
+  return result;
+}
+
+function updateHistory(update) {
+  return queueStorageTask(async () => {
+    const stored = await chrome.storage.local.get(HISTORY_KEY);
+    await chrome.storage.local.set({ [HISTORY_KEY]: update(stored[HISTORY_KEY] || {}) });
+  });
+}
 
-  console.log(`[FlowFix BG] Updated ${metrics.platform} metrics, score: ${score}`);
+/**
+ * Write a backup's history and workspace metrics (shared/backup.js) in the
+ * storage queue, so snapshots recorded meanwhile aren't overwritten
+ */
+async function importHistory(backup, mode) {
+  const settings = await loadSettings();
+  const summary = await runStorageTask(async () => {
+    const stored = await chrome.storage.local.get(null);
+    const plan = planHistoryImport(stored, backup, { mode, retentionDays: settings.historyRetentionDays });
+    await chrome.storage.local.set(plan.set);
+    return plan.summary;
+  });
+  return { summary };
 }
 
 /**
- * Get badge color based on score
+ * Append a snapshot to the account's timeline
  */
-function getScoreColor(score) {
-  if (score >= 80) return '#22c55e';
-  if (score >= 60) return '#eab308';
-  if (score >= 40) return '#f97316';
-  return '#ef4444';
+function recordHistory(metrics, settings) {
+  return updateHistory(history => recordSnapshot(history, metrics, settings.historyRetentionDays));
 }
 
+/**
+ * Compare with the account's previous extraction and notify on what got worse
+ */
+function checkAlerts(metrics, tab, settings) {
+  return queueStorageTask(async () => {
+    const stored = await chrome.storage.local.get(ALERT_STATE_KEY);
+    const states = stored[ALERT_STATE_KEY] || {};
+    const key = getAccountKey(metrics);
+    const current = toAlertState(metrics);
+
+    if (settings.alerts.enabled) {
+      detectAlerts(states[key], current, metrics.platform, settings.alerts)
+        .forEach(alert => notify(alert, tab));
+    }
+
+    await chrome.storage.local.set({ [ALERT_STATE_KEY]: Object.assign({}, states, { [key]: current }) });
+  });
+}
+
+function notify(alert, tab) {
+  // The tab id rides in the notification id so a click can bring the dashboard up
+  const notificationId = `flowfix:${alert.type}:${tab?.id ?? 'none'}:${Date.now()}`;
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: `FlowFix: ${alert.title}`,
+    message: alert.message,
+    priority: 2
+  });
+}
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  const [prefix, , tabId] = notificationId.split(':');
+  if (prefix !== 'flowfix') return;
+  chrome.notifications.clear(notificationId);
+
+  try {
+    const tab = await chrome.tabs.update(Number(tabId), { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    // Tab was closed since; nothing to bring up
+  }
+});
+
+/**
+ * (Re)create the periodic re-check alarm from the alert settings
+ */
+async function scheduleRecheck() {
+  const { alerts } = await loadSettings();
+
+  if (!alerts.enabled) {
+    await chrome.alarms.clear(RECHECK_ALARM);
+    return;
+  }
+
+  const existing = await chrome.alarms.get(RECHECK_ALARM);
+  if (existing && existing.periodInMinutes === alerts.recheckMinutes) return;
+  chrome.alarms.create(RECHECK_ALARM, {
+    delayInMinutes: alerts.recheckMinutes,
+    periodInMinutes: alerts.recheckMinutes
+  });
+}
+
+/**
+ * Re-analyze every open dashboard tab. Pinned background tabs are reloaded so
+ * the platform renders fresh numbers; other tabs are re-read in place rather
+ * than reloaded under the user.
+ */
+async function recheckDashboards() {
+  const tabs = await chrome.tabs.query({ url: DASHBOARD_URLS });
+
+  for (const tab of tabs) {
+    if (tab.discarded) continue;
+    try {
+      if (tab.pinned && !tab.active) {
+        // The content script extracts and reports again once the page loads
+        await chrome.tabs.reload(tab.id);
+      } else {
+        await chrome.tabs.sendMessage(tab.id, { type: 'EXTRACT_METRICS' });
+      }
+    } catch (error) {
+      console.error(`[FlowFix BG] Could not re-check tab ${tab.id}:`, error.message);
+    }
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RECHECK_ALARM) recheckDashboards();
+});
+
+onSettingsChanged((settings, previous) => {
+  scheduleRecheck();
+  // A shorter retention takes effect right away rather than at the next extraction
+  if (!previous || settings.historyRetentionDays < previous.historyRetentionDays) {
+    updateHistory(history => pruneHistory(history, settings.historyRetentionDays));
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scheduleRecheck();
+});
+
 /**
  * Analyze the current tab on demand
  */
@@ -104,10 +267,23 @@ async function analyzeCurrentTab(sendResponse) {
   }
 }
 
+/**
+ * Move stored metrics, history and alert state to the current workspace keys
+ * after an update changed how workspaces are identified
+ */
+async function migrateWorkspaces() {
+  const stored = await chrome.storage.local.get(null);
+  const { set, remove } = planWorkspaceMigration(stored, [HISTORY_KEY, ALERT_STATE_KEY]);
+  // Write the new keys first so an interruption never loses the old ones
+  await chrome.storage.local.set(set);
+  await chrome.storage.local.remove(remove);
+}
+
 // Set default badge
 chrome.runtime.onInstalled.addListener(() => {
   chrome.action.setBadgeText({ text: '' });
-  console.log('[FlowFix] Extension installed');
+  queueStorageTask(migrateWorkspaces);
+  scheduleRecheck();
 });
 
 // Clear metrics when navigating away from supported sites
@@ -0,0 +1,1156 @@
+/**
+ * FlowFix Content Core
+ * Shared extraction helpers, health scoring and badge injection for every
+ * platform adapter in content/
+ *
+ * An adapter only declares its platform identity, metric field mapping and
+ * an extract() function built from the helpers below; start() runs the
+ * polling/SPA-navigation loop, storage and messaging for it. Optional
+ * runHistory and editor page kinds read run history pages and a workflow's
+ * step list in the editor; an optional blueprint loader answers the popup's
+ * GET_BLUEPRINT requests, and its pages answer EXTRACT_METRICS with
+ * { blueprintEditor: true } rather than "no metrics found".
+ *
+ * Loaded after shared/settings.js, shared/workspaces.js, shared/runs.js and shared/text.js and before the
+ * platform scripts (see manifest.json content_scripts), which read it from the
+ * shared FlowFix namespace. Under Node the same file is exported as a
+ * CommonJS module so the test suite can require it.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixSettings = isCommonJS ? require('../shared/settings.js') : root.FlowFixSettings;
+  const FlowFixWorkspaces = isCommonJS ? require('../shared/workspaces.js') : root.FlowFixWorkspaces;
+  const FlowFixRuns = isCommonJS ? require('../shared/runs.js') : root.FlowFixRuns;
+  const FlowFixText = isCommonJS ? require('../shared/text.js') : root.FlowFixText;
+  const { DEFAULT_SETTINGS } = FlowFixSettings;
+
+  const FLOWFIX_VERSION = '1.1.0';
+  const DEBUG = false;
+
+  function createLogger(tag) {
+    return function log(...args) {
+      if (DEBUG) console.log(`[FlowFix:${tag}]`, ...args);
+    };
+  }
+
+  const log = createLogger('Core');
+
+  // --- Selector Utilities ---
+
+  /**
+   * Query using multiple selector strategies, return first match
+   */
+  function queryFirst(...selectors) {
+    for (const sel of selectors) {
+      try {
+        const el = document.querySelector(sel);
+        if (el) {
+          log('Matched:', sel);
+          return el;
+        }
+      } catch (e) { /* invalid selector, skip */ }
+    }
+    return null;
+  }
+
+  /**
+   * Query all using multiple selector strategies, return first non-empty result
+   */
+  function queryAllFirst(...selectors) {
+    for (const sel of selectors) {
+      try {
+        const els = document.querySelectorAll(sel);
+        if (els.length > 0) {
+          log('Matched all:', sel, 'count:', els.length);
+          return els;
+        }
+      } catch (e) { /* invalid selector, skip */ }
+    }
+    return [];
+  }
+
+  /**
+   * Find element by text content within a container
+   */
+  function findByText(containerSelector, text, exact = false) {
+    const container = containerSelector ? document.querySelector(containerSelector) : document.body;
+    if (!container) return null;
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const match = exact
+        ? node.textContent.trim() === text
+        : node.textContent.toLowerCase().includes(text.toLowerCase());
+      if (match) return node.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * Find numeric value near a label element
+   */
+  function findValueNearLabel(labelText) {
+    const label = findByText(null, labelText);
+    if (!label) return null;
+    // Check siblings, parent's children, and nearby elements
+    const parent = label.closest('div, section, li, tr, td') || label.parentElement;
+    if (!parent) return null;
+    const text = parent.textContent;
+    const nums = text.replace(/,/g, '').match(/[\d,]+/g);
+    if (nums && nums.length > 0) {
+      // Return the largest number found (likely the actual value, not a label number)
+      return Math.max(...nums.map(n => parseInt(n.replace(/,/g, ''), 10)));
+    }
+    return null;
+  }
+
+  /**
+   * Find the "Y" of an "X of Y" / "X / Y" pattern near a label
+   */
+  function findTotalNearLabel(labelText) {
+    const area = findByText(null, labelText);
+    if (!area) return null;
+    const parent = area.closest('div, section') || area.parentElement;
+    if (!parent) return null;
+    const ofMatch = parent.textContent.replace(/,/g, '').match(/(\d+)\s*(?:of|\/)\s*(\d+)/);
+    return ofMatch ? parseInt(ofMatch[2], 10) : null;
+  }
+
+  /**
+   * Find one of a list of known names in the container around a label
+   */
+  function findKnownNameNearLabel(labelText, names, containerSelector = 'div, section, a') {
+    const el = findByText(null, labelText);
+    if (!el) return null;
+    const parent = el.closest(containerSelector);
+    if (!parent) return null;
+    const text = parent.textContent.trim();
+    return names.find(name => text.includes(name)) || null;
+  }
+
+  const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+  function toDateString(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day));
+    // Reject roll-overs such as Feb 30
+    if (date.getUTCMonth() !== month || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * YYYY-MM-DD for "2026-03-01", "Mar 1, 2026", "14 March" and the like.
+   * Dates without a year are the next occurrence on or after today, since the
+   * dates we read (billing resets) lie ahead.
+   */
+  function parseCalendarDate(text, now = Date.now()) {
+    if (!text) return null;
+
+    const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return toDateString(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+
+    const monthFirst = text.match(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?!\\d)(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`, 'i'));
+    const dayFirst = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?`, 'i'));
+    let month, day, year;
+    if (monthFirst) {
+      month = MONTHS.indexOf(monthFirst[1].toLowerCase());
+      day = parseInt(monthFirst[2], 10);
+      year = monthFirst[3];
+    } else if (dayFirst) {
+      day = parseInt(dayFirst[1], 10);
+      month = MONTHS.indexOf(dayFirst[2].toLowerCase());
+      year = dayFirst[3];
+    } else {
+      return null;
+    }
+
+    if (year) return toDateString(parseInt(year, 10), month, day);
+
+    const today = new Date(now);
+    let nextYear = today.getUTCFullYear();
+    if (Date.UTC(nextYear, month, day) < Date.UTC(nextYear, today.getUTCMonth(), today.getUTCDate())) {
+      nextYear++;
+    }
+    return toDateString(nextYear, month, day);
+  }
+
+  /**
+   * Find a calendar date in the text around a label ("Usage resets on Mar 1")
+   */
+  function findDateNearLabel(labelText) {
+    const el = findByText(null, labelText);
+    if (!el) return null;
+    const parent = el.closest('p, li, div, section') || el;
+    return parseCalendarDate(parent.textContent);
+  }
+
+  /**
+   * Read a numeric attribute (e.g. aria-valuenow) from the first matching element
+   */
+  function readNumericAttribute(attribute, ...selectors) {
+    const el = queryFirst(...selectors);
+    if (!el) return null;
+    const val = el.getAttribute(attribute);
+    return val ? parseFloat(val) : null;
+  }
+
+  function extractNumber(text) {
+    if (!text) return null;
+    const cleaned = text.replace(/,/g, '').replace(/\s/g, '');
+    const match = cleaned.match(/[\d.]+/);
+    return match ? parseFloat(match[0]) : null;
+  }
+
+  function getText(el) {
+    if (!el) return null;
+    return el.textContent.trim();
+  }
+
+  // --- Selector Registry ---
+
+  // Bump when the registry file format (not the selectors) changes
+  const REGISTRY_SCHEMA_VERSION = 1;
+
+  /**
+   * Check a selectors/<platform>.json registry before interpreting it
+   */
+  function validateRegistry(registry, platform) {
+    if (!registry || typeof registry !== 'object') {
+      throw new Error('Selector registry is missing');
+    }
+    if (registry.schemaVersion !== REGISTRY_SCHEMA_VERSION) {
+      throw new Error(`Unsupported selector registry schema ${registry.schemaVersion} (expected ${REGISTRY_SCHEMA_VERSION})`);
+    }
+    if (platform && registry.platform !== platform) {
+      throw new Error(`Selector registry is for ${registry.platform}, not ${platform}`);
+    }
+    if (!registry.metrics || typeof registry.metrics !== 'object') {
+      throw new Error('Selector registry has no metrics');
+    }
+    ['workflows', 'runs', 'steps'].forEach(section => {
+      if (registry[section] && (!registry[section].fields || typeof registry[section].fields !== 'object')) {
+        throw new Error(`Selector registry ${section} section has no fields`);
+      }
+    });
+    return registry;
+  }
+
+  /**
+   * Load the bundled registry for a platform (extension context only)
+   */
+  async function loadRegistry(platform) {
+    const response = await fetch(chrome.runtime.getURL(`selectors/${platform}.json`));
+    return validateRegistry(await response.json(), platform);
+  }
+
+  function readNumber(step) {
+    if (step.label) {
+      if (step.match === 'ofTotal') return findTotalNearLabel(step.label);
+      return findValueNearLabel(step.label);
+    }
+    if (step.attribute) return readNumericAttribute(step.attribute, ...step.selectors);
+    return extractNumber(getText(queryFirst(...step.selectors)));
+  }
+
+  function readString(step) {
+    if (step.label) return findKnownNameNearLabel(step.label, step.names || [], step.container);
+    return getText(queryFirst(...step.selectors)) || null;
+  }
+
+  function readDate(step) {
+    if (step.label) return findDateNearLabel(step.label);
+    const el = queryFirst(...step.selectors);
+    if (!el) return null;
+    const timeEl = el.matches('time[datetime]') ? el : el.querySelector('time[datetime]');
+    return parseCalendarDate(timeEl && timeEl.getAttribute('datetime')) ||
+      parseCalendarDate(el.textContent) ||
+      parseCalendarDate(el.getAttribute('aria-label'));
+  }
+
+  function readList(step) {
+    const items = queryAllFirst(...step.selectors);
+    return items.length > 0 ? items : null;
+  }
+
+  function readCount(step, terms) {
+    // Selectors templated per status term, first term with hits wins
+    if (step.match === 'eachTerm') {
+      for (const term of terms) {
+        const els = queryAllFirst(...step.selectors.map(sel => sel.split('{term}').join(term)));
+        if (els.length > 0) return els.length;
+      }
+      return null;
+    }
+
+    let els = Array.from(queryAllFirst(...step.selectors));
+
+    // Status badges whose text or aria-label mentions a term
+    if (step.match === 'anyTerm') {
+      els = els.filter(el => {
+        const text = el.textContent.toLowerCase().trim();
+        const ariaLabel = (el.getAttribute('aria-label') || '').toLowerCase();
+        const combined = text + ' ' + ariaLabel;
+        return terms.some(t => combined.includes(t));
+      });
+    }
+
+    // Indicators only count when they sit inside a workflow row
+    if (step.within) {
+      els = els.filter(el => el.closest(step.within) !== null);
+    }
+
+    return els.length > 0 ? els.length : null;
+  }
+
+  const READERS = {
+    number: readNumber,
+    string: readString,
+    date: readDate,
+    list: readList,
+    count: readCount
+  };
+
+  // --- Provenance & Confidence ---
+
+  // How far a value can be trusted, by the kind of strategy that produced it.
+  // A registry step can override this with its own "confidence".
+  const STRATEGY_CONFIDENCE = {
+    testid: 'high',
+    aria: 'high',
+    structural: 'medium',
+    text: 'low'
+  };
+
+  // 'none' = no strategy matched and the value is a default (null or 0)
+  const CONFIDENCE_LEVELS = ['none', 'low', 'medium', 'high'];
+
+  // Share of a health score deduction applied at each confidence level
+  const CONFIDENCE_WEIGHTS = { none: 0, low: 0.5, medium: 1, high: 1 };
+
+  function lowestConfidence(...levels) {
+    return levels.reduce((lowest, level) =>
+      CONFIDENCE_LEVELS.indexOf(level) < CONFIDENCE_LEVELS.indexOf(lowest) ? level : lowest
+    , 'high');
+  }
+
+  /**
+   * Confidence of a metrics field; metrics without provenance count as trusted
+   */
+  function confidenceOf(metrics, field) {
+    const entry = metrics.provenance && metrics.provenance[field];
+    return entry ? entry.confidence : 'high';
+  }
+
+  /**
+   * Walk a metric's fallback chain and report the first strategy that produced a value
+   */
+  function matchMetric(registry, name) {
+    const metric = registry.metrics[name];
+    const fallback = metric && metric.type === 'count' ? 0 : null;
+    const none = { value: fallback, strategy: null, confidence: 'none' };
+    if (!metric) return none;
+
+    const read = READERS[metric.type];
+    for (const step of metric.strategies) {
+      const value = read(step, metric.terms || []);
+      if (value !== null && value !== undefined) {
+        log(`${name}: matched ${step.strategy} strategy`);
+        return {
+          value,
+          strategy: step.strategy,
+          confidence: step.confidence || STRATEGY_CONFIDENCE[step.strategy] || 'low'
+        };
+      }
+    }
+    return none;
+  }
+
+  function resolveMetric(registry, name) {
+    return matchMetric(registry, name).value;
+  }
+
+  /**
+   * Per-run extraction context handed to adapter.extract(). resolve() records
+   * which registry metric and strategy produced each metrics field;
+   * workflows() turns the matched rows into inventory records, runs()
+   * turns run history rows into run records and steps() turns editor step
+   * rows into step records.
+   */
+  function createExtraction(registry) {
+    const provenance = {};
+    return {
+      registry,
+      provenance,
+      resolve(name, field = name) {
+        const match = matchMetric(registry, name);
+        provenance[field] = { metric: name, strategy: match.strategy, confidence: match.confidence };
+        return match.value;
+      },
+      workflows(rows) {
+        return extractWorkflows(registry, rows);
+      },
+      runs(rows) {
+        return extractRuns(registry, rows);
+      },
+      steps(rows) {
+        return extractSteps(registry, rows);
+      }
+    };
+  }
+
+  // --- Workflow Inventory ---
+
+  function queryFirstIn(scope, selectors) {
+    for (const sel of selectors) {
+      try {
+        const el = scope.querySelector(sel);
+        if (el) return el;
+      } catch (e) { /* invalid selector, skip */ }
+    }
+    return null;
+  }
+
+  function queryAllIn(scope, selectors) {
+    for (const sel of selectors) {
+      try {
+        const els = scope.querySelectorAll(sel);
+        if (els.length > 0) return els;
+      } catch (e) { /* invalid selector, skip */ }
+    }
+    return [];
+  }
+
+  function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * First non-empty listed attribute, falling back to the element's text
+   */
+  function readFieldValue(el, spec) {
+    for (const attr of spec.attributes || []) {
+      const value = cleanText(el.getAttribute(attr));
+      if (value) return value;
+    }
+    return cleanText(el.textContent) || null;
+  }
+
+  function readRowField(row, spec) {
+    if (spec.all) {
+      const values = Array.from(queryAllIn(row, spec.selectors))
+        .map(el => readFieldValue(el, spec))
+        .filter(Boolean);
+      return Array.from(new Set(values));
+    }
+
+    const el = queryFirstIn(row, spec.selectors);
+    let value = el ? readFieldValue(el, spec) : null;
+    if (value && spec.pattern) {
+      const match = value.match(new RegExp(spec.pattern));
+      value = match ? (match[1] || match[0]) : null;
+    }
+    return value;
+  }
+
+  /**
+   * Classify a row from every status-like element in it. States are checked
+   * in registry order, so "error" wins over a toggle that is still switched on.
+   */
+  function readRowStatus(row, spec) {
+    const signals = [];
+    const seen = new Set();
+    for (const sel of spec.selectors) {
+      let els;
+      try { els = row.querySelectorAll(sel); } catch (e) { continue; }
+      els.forEach(el => {
+        if (seen.has(el)) return;
+        seen.add(el);
+        signals.push(
+          el.getAttribute('data-status'),
+          el.getAttribute('data-testid'),
+          el.getAttribute('aria-label'),
+          el.textContent
+        );
+        const checked = el.getAttribute('aria-checked');
+        if (checked === 'true') signals.push('on');
+        if (checked === 'false') signals.push('off');
+      });
+    }
+
+    const haystack = signals.filter(Boolean).join(' ').toLowerCase();
+    for (const [state, terms] of Object.entries(spec.states)) {
+      // Whole words only: "active" must not match "inactive", "on" not "one"
+      if (terms.some(term => new RegExp(`\\b${escapeRegExp(term)}s?\\b`).test(haystack))) {
+        return state;
+      }
+    }
+    return 'unknown';
+  }
+
+  const TIME_UNITS_MS = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000
+  };
+
+  /**
+   * ISO timestamp for a "last run" element: a <time datetime>, a relative
+   * phrase ("5 minutes ago", "yesterday") or an absolute date with a year.
+   */
+  function parseRunTime(el, now = Date.now()) {
+    const datetime = el.getAttribute('datetime');
+    if (datetime && !Number.isNaN(Date.parse(datetime))) {
+      return new Date(datetime).toISOString();
+    }
+
+    const text = cleanText(el.textContent).toLowerCase();
+    if (/\bjust now\b/.test(text)) return new Date(now).toISOString();
+    if (/\byesterday\b/.test(text)) return new Date(now - TIME_UNITS_MS.day).toISOString();
+
+    const relative = text.match(/\b(\d+|an?)\s+(second|minute|hour|day|week|month)s?\s+ago\b/);
+    if (relative) {
+      const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1], 10) : 1;
+      return new Date(now - amount * TIME_UNITS_MS[relative[2]]).toISOString();
+    }
+
+    // Date.parse guesses a year for "Jan 12", so only trust dates that carry one
+    if (/\b\d{4}\b/.test(text) && !Number.isNaN(Date.parse(text))) {
+      return new Date(text).toISOString();
+    }
+    return null;
+  }
+
+  /**
+   * Milliseconds in one unit of a run log duration ("ms", "sec", "minutes", "h" ...)
+   */
+  function durationUnitMs(unit) {
+    if (/^(?:ms|milli)/.test(unit)) return 1;
+    if (unit.startsWith('s')) return 1000;
+    if (unit.startsWith('m')) return 60 * 1000;
+    return 60 * 60 * 1000;
+  }
+
+  /**
+   * Milliseconds in a duration as run logs print it: "850 ms", "2.4 s",
+   * "1 min 5 s", "1m 5s" or a clock "00:01:05"
+   */
+  function parseDuration(text) {
+    const value = cleanText(text).toLowerCase();
+    const clock = value.match(/\b(?:(\d+):)?(\d{1,2}):(\d{2})(?:\.(\d+))?\b/);
+    if (clock) {
+      const [, hours, minutes, seconds, fraction] = clock;
+      const wholeSeconds = (parseInt(hours || '0', 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10);
+      return wholeSeconds * 1000 + Math.round(parseFloat(`0.${fraction || 0}`) * 1000);
+    }
+
+    const parts = Array.from(value.matchAll(/(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?)\b/g));
+    if (parts.length === 0) return null;
+    return Math.round(parts.reduce((sum, part) => sum + parseFloat(part[1]) * durationUnitMs(part[2]), 0));
+  }
+
+  const SIZE_UNITS_BYTES = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+  /**
+   * Bytes in a data size ("512 B", "1.5 KB", "2 MB"), in the binary units
+   * platforms bill data transfer in
+   */
+  function parseDataSize(text) {
+    const match = cleanText(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(b|bytes?|kb|mb|gb)\b/i);
+    if (!match) return null;
+    const unit = match[2].toLowerCase().startsWith('byte') ? 'b' : match[2].toLowerCase();
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS_BYTES[unit]);
+  }
+
+  const SCHEDULE_UNITS_MINUTES = { minute: 1, min: 1, hour: 60, hr: 60, day: 24 * 60, week: 7 * 24 * 60, month: 30 * 24 * 60 };
+  const SCHEDULE_WORDS_MINUTES = { hourly: 60, daily: 24 * 60, weekly: 7 * 24 * 60, monthly: 30 * 24 * 60 };
+
+  /**
+   * Minutes between runs for a trigger schedule ("Every 15 minutes",
+   * "Polling every 2 min", "Hourly", "Daily at 9:00"); null for instant,
+   * on-demand or unreadable schedules
+   */
+  function parseScheduleMinutes(text) {
+    const value = cleanText(text).toLowerCase();
+    if (!value || /\b(?:immediately|instant(?:ly)?|webhook|on demand|manual(?:ly)?)\b/.test(value)) return null;
+
+    const every = value.match(/\b(?:every|each)\s+(\d+(?:\.\d+)?\s+)?(minute|min|hour|hr|day|week|month)s?\b/) ||
+      value.match(/\b(\d+(?:\.\d+)?)\s*(minute|min|hour|hr|day|week|month)s?\b/);
+    if (every) return Math.round(parseFloat(every[1] || '1') * SCHEDULE_UNITS_MINUTES[every[2]]);
+
+    const word = Object.keys(SCHEDULE_WORDS_MINUTES).find(name => new RegExp(`\\b${name}\\b`).test(value));
+    return word ? SCHEDULE_WORDS_MINUTES[word] : null;
+  }
+
+  /**
+   * Structured record for one row, shaped by a registry fields section
+   * (workflows.fields, runs.fields). "time" fields also get an ISO <field>At
+   * companion; "number" fields are read as a number ("3 tasks" → 3),
+   * "duration" fields as milliseconds and "size" fields as bytes.
+   * "schedule" fields keep the trigger schedule text and add <field>Minutes,
+   * the interval between polls.
+   */
+  function parseWorkflowRow(row, fields, now) {
+    const record = {};
+    for (const [name, spec] of Object.entries(fields)) {
+      if (spec.type === 'status') {
+        record[name] = readRowStatus(row, spec);
+      } else if (spec.type === 'number') {
+        record[name] = extractNumber(readRowField(row, spec));
+      } else if (spec.type === 'duration') {
+        record[name] = parseDuration(readRowField(row, spec));
+      } else if (spec.type === 'size') {
+        record[name] = parseDataSize(readRowField(row, spec));
+      } else if (spec.type === 'schedule') {
+        const text = readRowField(row, spec);
+        record[name] = text ? cleanText(text) || null : null;
+        record[`${name}Minutes`] = parseScheduleMinutes(text);
+      } else if (spec.type === 'time') {
+        const el = queryFirstIn(row, spec.selectors);
+        record[name] = el ? cleanText(el.textContent) || null : null;
+        record[`${name}At`] = el ? parseRunTime(el, now) : null;
+      } else {
+        record[name] = readRowField(row, spec);
+      }
+    }
+    return record;
+  }
+
+  function extractWorkflows(registry, rows, now = Date.now()) {
+    if (!rows || !registry.workflows) return [];
+    return Array.from(rows).map(row => parseWorkflowRow(row, registry.workflows.fields, now));
+  }
+
+  // --- Run History ---
+
+  function extractRuns(registry, rows, now = Date.now()) {
+    if (!rows || !registry.runs) return [];
+    return Array.from(rows).map(row => parseWorkflowRow(row, registry.runs.fields, now));
+  }
+
+  /**
+   * Read a run history page (adapter.runHistory) into a record of its runs.
+   * Analysis happens where the record is shown (shared/runs.js), so stored
+   * records stay raw; only the per-workflow stats are copied into the
+   * workspace's metrics (attachRunStats).
+   */
+  function buildRunHistory(adapter, registry) {
+    const extraction = createExtraction(registry);
+    const record = Object.assign({
+      version: FLOWFIX_VERSION,
+      selectorVersion: registry.version,
+      timestamp: new Date().toISOString(),
+      platform: adapter.platform,
+      url: window.location.href
+    }, adapter.runHistory.extract(extraction));
+    record.provenance = extraction.provenance;
+    return record;
+  }
+
+  // --- Editor Steps ---
+
+  function extractSteps(registry, rows, now = Date.now()) {
+    if (!rows || !registry.steps) return [];
+    return Array.from(rows).map(row => parseWorkflowRow(row, registry.steps.fields, now));
+  }
+
+  /**
+   * Read a workflow's step list off its editor page (adapter.editor). Like
+   * run history records, the stored record stays raw; adapter.editor.analyze()
+   * turns it into findings where they are shown.
+   */
+  function buildWorkflowSteps(adapter, registry) {
+    const extraction = createExtraction(registry);
+    const record = Object.assign({
+      version: FLOWFIX_VERSION,
+      selectorVersion: registry.version,
+      timestamp: new Date().toISOString(),
+      platform: adapter.platform,
+      url: window.location.href
+    }, adapter.editor.extract(extraction));
+    record.provenance = extraction.provenance;
+    return record;
+  }
+
+  /**
+   * Per-workflow success rate, average consumption, duration and data
+   * transfer from the stored runs, kept on the metrics as runStats so
+   * everything reading a workspace's metrics sees them
+   */
+  function attachRunStats(metrics, runHistory) {
+    if (runHistory && runHistory.runs && runHistory.runs.length > 0) {
+      metrics.runStats = FlowFixRuns.analyzeRuns(runHistory.runs).byWorkflow;
+    }
+    return metrics;
+  }
+
+  // --- Metrics & Scoring ---
+
+  /**
+   * Run an adapter's extraction and derive usage percent, error rate and health score
+   */
+  function buildMetrics(adapter, registry, settings = DEFAULT_SETTINGS) {
+    const fields = adapter.fields;
+    const extraction = createExtraction(registry);
+    const metrics = Object.assign({
+      version: FLOWFIX_VERSION,
+      selectorVersion: registry.version,
+      timestamp: new Date().toISOString(),
+      platform: adapter.platform,
+      url: window.location.href
+    }, adapter.extract(extraction));
+
+    metrics[fields.usagePercent] = null;
+    metrics.errorRate = null;
+    metrics.healthScore = null;
+    metrics.scoreBreakdown = [];
+    metrics.provenance = extraction.provenance;
+
+    if (metrics[fields.used] && metrics[fields.limit]) {
+      metrics[fields.usagePercent] = Math.round((metrics[fields.used] / metrics[fields.limit]) * 100);
+    }
+
+    if (metrics[fields.total] > 0) {
+      metrics.errorRate = Math.round((metrics[fields.errors] / metrics[fields.total]) * 100);
+    }
+
+    // Derived values are only as trustworthy as their weakest input
+    metrics.provenance[fields.usagePercent] = {
+      derivedFrom: [fields.used, fields.limit],
+      confidence: lowestConfidence(confidenceOf(metrics, fields.used), confidenceOf(metrics, fields.limit))
+    };
+    metrics.provenance.errorRate = {
+      derivedFrom: [fields.errors, fields.total],
+      confidence: lowestConfidence(confidenceOf(metrics, fields.errors), confidenceOf(metrics, fields.total))
+    };
+
+    const breakdown = calculateScoreBreakdown(metrics, fields, settings.scoring, adapter.scoreLabels);
+    metrics.healthScore = breakdown.score;
+    metrics.scoreBreakdown = breakdown.deductions;
+
+    return metrics;
+  }
+
+  // Generic deduction names; adapters pass platform wording (scoreLabels)
+  const DEFAULT_SCORE_LABELS = {
+    usage: 'usage',
+    errors: 'error rate',
+    inactive: 'inactive workflows'
+  };
+
+  /**
+   * Score 0-100 as a list of named deductions for quota usage, error rate and
+   * paused/inactive workflows, sized by the scoring settings. Deductions
+   * resting on low-confidence values are discounted (CONFIDENCE_WEIGHTS).
+   * Each deduction is whole points, so the score is exactly 100 minus their
+   * sum (floored at 0) and fixing an item gains back its points.
+   */
+  function calculateScoreBreakdown(metrics, fields, scoring = DEFAULT_SETTINGS.scoring, labels = DEFAULT_SCORE_LABELS) {
+    const usagePercent = metrics[fields.usagePercent];
+    const inactive = metrics[fields.inactive];
+    const total = metrics[fields.total];
+    const deductions = [];
+
+    const deduct = (factor, value, points, inputFields) => {
+      const confidence = lowestConfidence(...inputFields.map(f => confidenceOf(metrics, f)));
+      const weighted = Math.round(points * CONFIDENCE_WEIGHTS[confidence]);
+      if (weighted > 0) {
+        deductions.push({ factor, label: labels[factor], value: Math.round(value), points: weighted, confidence });
+      }
+    };
+
+    if (usagePercent) {
+      const { critical, warning, notice } = scoring.usage;
+      const band = [critical, warning, notice].find(b => usagePercent > b.above);
+      if (band) deduct('usage', usagePercent, band.points, [fields.usagePercent]);
+    }
+
+    if (metrics.errorRate) {
+      deduct('errors', metrics.errorRate,
+        Math.min(metrics.errorRate * scoring.errorRateMultiplier, scoring.errorRateCap), ['errorRate']);
+    }
+
+    if (inactive > 0 && total > 0) {
+      const inactiveRate = (inactive / total) * 100;
+      deduct('inactive', inactiveRate, Math.min(inactiveRate, scoring.inactiveCap), [fields.inactive, fields.total]);
+    }
+
+    const deducted = deductions.reduce((sum, d) => sum + d.points, 0);
+    return { score: Math.max(0, 100 - deducted), deductions };
+  }
+
+  /**
+   * Just the score from calculateScoreBreakdown, with generic labels
+   */
+  function calculateHealthScore(metrics, fields, scoring = DEFAULT_SETTINGS.scoring) {
+    return calculateScoreBreakdown(metrics, fields, scoring).score;
+  }
+
+  /**
+   * One-line description of a deduction ("-30 operations usage 92%")
+   */
+  function formatDeduction(deduction) {
+    return `-${deduction.points} ${deduction.label} ${deduction.value}%`;
+  }
+
+  /**
+   * Score inputs that are only estimates (low confidence) and so were discounted
+   */
+  function getEstimatedFields(metrics, fields) {
+    return [fields.usagePercent, 'errorRate', fields.inactive]
+      .filter(field => metrics[field] && confidenceOf(metrics, field) === 'low');
+  }
+
+  function getScoreColor(score, bands = DEFAULT_SETTINGS.colorBands) {
+    return FlowFixSettings.getScoreColor(score, bands);
+  }
+
+  // --- Badge ---
+
+  function removeHealthBadge() {
+    const existing = document.getElementById('flowfix-badge-host');
+    if (existing) existing.remove();
+  }
+
+  /**
+   * Fixed bottom-right badge in a closed shadow root: a colored ring with a
+   * short value, a title and a subtitle, and a tooltip
+   */
+  function renderBadge({ color, ringText, titleText, subText, tooltip, onClick }) {
+    const host = document.createElement('div');
+    host.id = 'flowfix-badge-host';
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    // Outer container
+    const container = document.createElement('div');
+    container.style.cssText = [
+      'position:fixed', 'bottom:20px', 'right:20px', 'z-index:2147483647',
+      'background:#1a1a2e', `border:1px solid ${color}`, 'border-radius:12px',
+      'padding:12px 16px', 'font-family:-apple-system,BlinkMacSystemFont,sans-serif',
+      'box-shadow:0 4px 20px rgba(0,0,0,0.3)', 'cursor:pointer',
+      'transition:transform 0.2s,box-shadow 0.2s', 'display:flex', 'align-items:center',
+      'gap:10px'
+    ].join(';');
+
+    // Score ring
+    const ring = document.createElement('div');
+    ring.style.cssText = [
+      'width:40px', 'height:40px', 'border-radius:50%',
+      `background:${color}20`, `border:2px solid ${color}`,
+      'display:flex', 'align-items:center', 'justify-content:center',
+      'font-size:14px', 'font-weight:bold', `color:${color}`
+    ].join(';');
+    ring.textContent = ringText;
+
+    // Label block
+    const labelBlock = document.createElement('div');
+
+    const title = document.createElement('div');
+    title.style.cssText = 'color:white;font-size:12px;font-weight:600';
+    title.textContent = titleText;
+
+    const sub = document.createElement('div');
+    sub.style.cssText = 'color:#888;font-size:11px';
+    sub.textContent = subText;
+
+    labelBlock.appendChild(title);
+    labelBlock.appendChild(sub);
+    container.appendChild(ring);
+    container.appendChild(labelBlock);
+    container.title = tooltip;
+    shadow.appendChild(container);
+    document.body.appendChild(host);
+
+    container.addEventListener('mouseenter', () => {
+      container.style.transform = 'scale(1.05)';
+    });
+    container.addEventListener('mouseleave', () => {
+      container.style.transform = 'scale(1)';
+    });
+    if (onClick) container.addEventListener('click', onClick);
+  }
+
+  function injectHealthBadge(metrics, adapter, settings = DEFAULT_SETTINGS) {
+    removeHealthBadge();
+    if (!settings.badge.showOnPage) return;
+
+    const fields = adapter.fields;
+    // "~" marks a score whose inputs were partly estimated from page text
+    const estimated = getEstimatedFields(metrics, fields).length > 0;
+    renderBadge({
+      color: getScoreColor(metrics.healthScore, settings.colorBands),
+      ringText: `${estimated ? '~' : ''}${metrics.healthScore}`,
+      titleText: estimated ? 'FlowFix Health (estimated)' : 'FlowFix Health',
+      subText: `${metrics[fields.total] || 0} ${adapter.workflowNoun} · ${metrics[fields.errors] || 0} errors`,
+      // Tooltip lists what the score lost points for
+      tooltip: (metrics.scoreBreakdown || []).map(formatDeduction).join('\n'),
+      onClick: () => chrome.runtime.sendMessage({ type: 'OPEN_POPUP', metrics })
+    });
+  }
+
+  // Badge ring colors by the most severe step finding
+  const FINDING_COLORS = { critical: '#ef4444', warning: '#eab308', info: '#22c55e', none: '#22c55e' };
+
+  /**
+   * Editor badge: how many risky structures the workflow's steps have, with
+   * the findings in the tooltip
+   */
+  function injectStepsBadge(record, analysis, adapter, settings = DEFAULT_SETTINGS) {
+    removeHealthBadge();
+    if (!settings.badge.showOnPage) return;
+
+    const risky = analysis.findings.filter(finding => finding.level !== 'info');
+    const worst = analysis.findings.length > 0 ? analysis.findings[0].level : 'none';
+    renderBadge({
+      color: FINDING_COLORS[worst],
+      ringText: risky.length > 0 ? String(risky.length) : '✓',
+      titleText: 'FlowFix Steps',
+      subText: `${FlowFixText.countOf(analysis.counts.steps, 'step')} · ${FlowFixText.countOf(risky.length, 'risk')}`,
+      tooltip: analysis.findings.map(finding => finding.text).join('\n')
+    });
+  }
+
+  // --- Initialization with MutationObserver ---
+
+  /**
+   * Poll the dashboard until the adapter finds data, then store, badge and report it.
+   * On the adapter's run history pages, store the page's runs instead.
+   */
+  function start(adapter) {
+    const adapterLog = createLogger(adapter.logTag);
+    const fields = adapter.fields;
+    let registry = null;
+    let settings = DEFAULT_SETTINGS;
+    // Redraws the page's latest badge (dashboard health or editor findings) with new settings
+    let redrawBadge = null;
+
+    async function init() {
+      adapterLog(`Content script loaded on ${adapter.label}`);
+
+      try {
+        registry = await loadRegistry(adapter.platform);
+      } catch (error) {
+        console.error(`[FlowFix:${adapter.logTag}] Could not load selector registry:`, error);
+        chrome.runtime.sendMessage({ type: 'METRICS_EXTRACTION_FAILED', url: window.location.href });
+        return;
+      }
+
+      try {
+        settings = await FlowFixSettings.loadSettings();
+      } catch (error) {
+        adapterLog('Could not load settings, using defaults:', error);
+      }
+
+      // Options page edits apply to the next extraction; the badge updates right away
+      FlowFixSettings.onSettingsChanged(updated => {
+        settings = updated;
+        if (redrawBadge) redrawBadge();
+      });
+
+      let attempts = 0;
+
+      // Consider extraction successful if we found workflows or usage data
+      const hasData = metrics => metrics[fields.total] > 0 || metrics[fields.used] !== null;
+
+      async function report(metrics) {
+        adapterLog('Extracted metrics:', metrics);
+        redrawBadge = () => injectHealthBadge(metrics, adapter, settings);
+        redrawBadge();
+        // One entry per account/team so switching workspaces doesn't overwrite another's metrics
+        const runsKey = FlowFixWorkspaces.runsKeyFor(metrics);
+        const stored = await chrome.storage.local.get(runsKey);
+        attachRunStats(metrics, stored[runsKey]);
+        await chrome.storage.local.set({ [FlowFixWorkspaces.metricsKeyFor(metrics)]: metrics });
+        chrome.runtime.sendMessage({ type: 'METRICS_EXTRACTED', metrics });
+      }
+
+      // Runs accumulate across reads (one Make scenario's log at a time), and
+      // the workspace's metrics pick up the new stats
+      async function reportRunHistory(runHistory) {
+        adapterLog(`Extracted ${runHistory.runs.length} runs`);
+        const runsKey = FlowFixWorkspaces.runsKeyFor(runHistory);
+        const metricsKey = FlowFixWorkspaces.metricsKeyFor(runHistory);
+        const stored = await chrome.storage.local.get([runsKey, metricsKey]);
+        const previous = stored[runsKey];
+        const merged = Object.assign({}, runHistory, {
+          runs: FlowFixRuns.mergeRuns(previous ? previous.runs : [], runHistory.runs)
+        });
+        const updates = { [runsKey]: merged };
+        if (stored[metricsKey]) updates[metricsKey] = attachRunStats(stored[metricsKey], merged);
+        await chrome.storage.local.set(updates);
+      }
+
+      // One record per workflow, replaced on every read of its editor
+      async function reportSteps(record) {
+        adapterLog(`Extracted ${record.steps.length} steps`);
+        const analysis = adapter.editor.analyze(record);
+        redrawBadge = () => injectStepsBadge(record, analysis, adapter, settings);
+        redrawBadge();
+        await chrome.storage.local.set({ [FlowFixWorkspaces.stepsKeyFor(record)]: record });
+      }
+
+      const onRunHistoryPage = () => Boolean(adapter.runHistory) && adapter.runHistory.matches(location.href);
+      const onEditorPage = () => Boolean(adapter.editor) && adapter.editor.matches(location.href);
+      const onBlueprintPage = () => Boolean(adapter.blueprint) && adapter.blueprint.matches(location.href);
+
+      // What the current page yields: dashboard metrics, runs on a run history
+      // page, or the step list in a workflow's editor. An editor read only
+      // through its blueprint has nothing to extract; the popup offers the lint.
+      function extractPage() {
+        if (onEditorPage()) {
+          const record = buildWorkflowSteps(adapter, registry);
+          return { found: record.steps.length > 0, report: () => reportSteps(record), response: { steps: record } };
+        }
+        if (onBlueprintPage()) {
+          return { found: true, report: () => Promise.resolve(), response: { blueprintEditor: true } };
+        }
+        if (onRunHistoryPage()) {
+          const runHistory = buildRunHistory(adapter, registry);
+          return { found: runHistory.runs.length > 0, report: () => reportRunHistory(runHistory), response: { runHistory } };
+        }
+        const metrics = buildMetrics(adapter, registry, settings);
+        return { found: hasData(metrics), report: () => report(metrics), response: { metrics } };
+      }
+
+      // Storage or messaging can fail (quota, extension reloaded); log it like a registry failure
+      function reportPage(page) {
+        page.report().catch(error => {
+          console.error(`[FlowFix:${adapter.logTag}] Could not save what the page showed:`, error);
+        });
+      }
+
+      // On-demand requests: re-analysis from the popup's button and the
+      // background re-check alarm, and the popup's blueprint lint
+      chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'GET_BLUEPRINT') {
+          if (!adapter.blueprint || !adapter.blueprint.matches(location.href)) {
+            sendResponse({ error: `Open a ${adapter.label} scenario in the editor to lint its blueprint` });
+            return;
+          }
+          adapter.blueprint.load(location.href)
+            .then(blueprint => sendResponse({ blueprint }))
+            .catch(error => sendResponse({ error: error.message }));
+          return true; // Keep channel open for async response
+        }
+        if (message.type !== 'EXTRACT_METRICS') return;
+        const page = extractPage();
+        if (!page.found) {
+          sendResponse({ error: `No ${adapter.label} metrics found on this page` });
+          return;
+        }
+        reportPage(page);
+        sendResponse(page.response);
+      });
+
+      function tryExtract() {
+        attempts++;
+        const page = extractPage();
+        const found = page.found;
+
+        if (found || attempts >= settings.maxAttempts) {
+          if (found) {
+            reportPage(page);
+          } else {
+            adapterLog('Could not extract metrics after', settings.maxAttempts, 'attempts');
+            // Still report so the popup can show a "no data" state
+            chrome.runtime.sendMessage({ type: 'METRICS_EXTRACTION_FAILED', url: window.location.href });
+          }
+          return true;
+        }
+        return false;
+      }
+
+      // Try immediately
+      if (tryExtract()) return;
+
+      // Poll with increasing intervals
+      let pollDelay = 500;
+      function poll() {
+        if (tryExtract()) return;
+        pollDelay = Math.min(pollDelay * 1.5, 3000);
+        setTimeout(poll, pollDelay);
+      }
+      setTimeout(poll, pollDelay);
+
+      // Also watch for SPA navigation (client-side router changes)
+      let lastUrl = location.href;
+      const urlObserver = new MutationObserver(() => {
+        if (location.href !== lastUrl) {
+          lastUrl = location.href;
+          adapterLog('SPA navigation detected, re-extracting');
+          attempts = 0;
+          setTimeout(poll, 1000);
+        }
+      });
+      urlObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', init);
+    } else {
+      init();
+    }
+  }
+
+  const FlowFix = {
+    FLOWFIX_VERSION,
+    createLogger,
+    queryFirst,
+    queryAllFirst,
+    findByText,
+    findValueNearLabel,
+    findTotalNearLabel,
+    findKnownNameNearLabel,
+    parseCalendarDate,
+    findDateNearLabel,
+    readNumericAttribute,
+    extractNumber,
+    getText,
+    REGISTRY_SCHEMA_VERSION,
+    validateRegistry,
+    loadRegistry,
+    STRATEGY_CONFIDENCE,
+    CONFIDENCE_WEIGHTS,
+    lowestConfidence,
+    confidenceOf,
+    matchMetric,
+    resolveMetric,
+    createExtraction,
+    parseRunTime,
+    parseDuration,
+    parseDataSize,
+    parseScheduleMinutes,
+    parseWorkflowRow,
+    extractWorkflows,
+    extractRuns,
+    buildRunHistory,
+    extractSteps,
+    buildWorkflowSteps,
+    attachRunStats,
+    buildMetrics,
+    calculateScoreBreakdown,
+    calculateHealthScore,
+    formatDeduction,
+    getEstimatedFields,
+    getScoreColor,
+    removeHealthBadge,
+    injectHealthBadge,
+    injectStepsBadge,
+    start
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFix;
+  } else {
+    root.FlowFix = FlowFix;
+  }
+})(globalThis);
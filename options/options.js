@@ -0,0 +1,273 @@
+/**
+ * FlowFix Options Page
+ * Edits the synced settings object (shared/settings.js), and exports and
+ * imports it with the trend history as a backup file (shared/backup.js)
+ */
+
+const { DEFAULT_SETTINGS, normalizeSettings, validateSettings, loadSettings, saveSettings } = FlowFixSettings;
+const { countOf } = FlowFixText;
+
+// Form control id → settings path and how to read/write it
+const FIELDS = [
+  { id: 'usage-critical-above', path: 'scoring.usage.critical.above' },
+  { id: 'usage-critical-points', path: 'scoring.usage.critical.points' },
+  { id: 'usage-warning-above', path: 'scoring.usage.warning.above' },
+  { id: 'usage-warning-points', path: 'scoring.usage.warning.points' },
+  { id: 'usage-notice-above', path: 'scoring.usage.notice.above' },
+  { id: 'usage-notice-points', path: 'scoring.usage.notice.points' },
+  { id: 'error-multiplier', path: 'scoring.errorRateMultiplier' },
+  { id: 'error-cap', path: 'scoring.errorRateCap' },
+  { id: 'inactive-cap', path: 'scoring.inactiveCap' },
+  { id: 'band-healthy', path: 'colorBands.healthy' },
+  { id: 'band-attention', path: 'colorBands.attention' },
+  { id: 'band-degraded', path: 'colorBands.degraded' },
+  { id: 'staleness-minutes', path: 'stalenessMinutes' },
+  { id: 'max-attempts', path: 'maxAttempts' },
+  { id: 'badge-page', path: 'badge.showOnPage', type: 'checkbox' },
+  { id: 'badge-toolbar', path: 'badge.showOnToolbar', type: 'checkbox' },
+  { id: 'history-retention', path: 'historyRetentionDays' },
+  { id: 'alerts-enabled', path: 'alerts.enabled', type: 'checkbox' },
+  { id: 'alert-threshold', path: 'alerts.healthThreshold' },
+  { id: 'alert-usage-levels', path: 'alerts.usageLevels', type: 'list' },
+  { id: 'recheck-minutes', path: 'alerts.recheckMinutes' },
+  { id: 'rule-list', path: 'recommendations.disabledRules', type: 'rules' },
+  { id: 'pricing-currency', path: 'pricing.currency', type: 'text' },
+  { id: 'pricing-zapier', path: 'pricing.plans.zapier', type: 'pricing' },
+  { id: 'pricing-make', path: 'pricing.plans.make', type: 'pricing' }
+];
+
+// Columns of the pricing tables, in order
+const PRICING_COLUMNS = [
+  { key: 'price', step: '0.01' },
+  { key: 'included', step: '1' },
+  { key: 'overagePerUnit', step: '0.0001' }
+];
+
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => (node[key] = node[key] || {}), obj);
+  target[last] = value;
+}
+
+/**
+ * One checkbox per recommendation rule, checked while the rule is on
+ */
+function renderRuleList() {
+  const container = document.getElementById('rule-list');
+  FlowFixRecommendations.RULES.forEach(rule => {
+    const label = document.createElement('label');
+    label.className = 'check';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = rule.id;
+    const title = document.createElement('span');
+    title.textContent = rule.title;
+    const hint = document.createElement('span');
+    hint.className = 'hint';
+    hint.textContent = rule.description;
+    label.appendChild(input);
+    label.appendChild(title);
+    label.appendChild(hint);
+    container.appendChild(label);
+  });
+}
+
+/**
+ * One row per plan tier in a pricing table body, rebuilt from the settings
+ */
+function fillPricingTable(tbody, plans) {
+  tbody.innerHTML = '';
+  Object.keys(plans).forEach(name => {
+    const row = document.createElement('tr');
+    row.dataset.plan = name;
+    const nameCell = document.createElement('td');
+    nameCell.textContent = name;
+    row.appendChild(nameCell);
+    PRICING_COLUMNS.forEach(column => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = column.step;
+      input.name = column.key;
+      input.setAttribute('aria-label', `${name} ${column.key}`);
+      input.value = plans[name][column.key] === null ? '' : String(plans[name][column.key]);
+      cell.appendChild(input);
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+}
+
+function readPricingTable(tbody) {
+  const plans = {};
+  tbody.querySelectorAll('tr').forEach(row => {
+    plans[row.dataset.plan] = {};
+    PRICING_COLUMNS.forEach(column => {
+      const input = row.querySelector(`input[name="${column.key}"]`);
+      plans[row.dataset.plan][column.key] = input.value === '' ? null : Number(input.value);
+    });
+  });
+  return plans;
+}
+
+function fillForm(settings) {
+  FIELDS.forEach(field => {
+    const el = document.getElementById(field.id);
+    const value = getPath(settings, field.path);
+    if (field.type === 'checkbox') el.checked = value;
+    else if (field.type === 'rules') el.querySelectorAll('input').forEach(input => { input.checked = !value.includes(input.value); });
+    else if (field.type === 'list') el.value = value.join(', ');
+    else if (field.type === 'pricing') fillPricingTable(el, value);
+    else if (field.type === 'text') el.value = value;
+    else el.value = String(value);
+  });
+  document.getElementById('alert-threshold').disabled = !settings.alerts.enabled;
+  document.getElementById('recheck-minutes').disabled = !settings.alerts.enabled;
+}
+
+function readForm() {
+  const settings = {};
+  FIELDS.forEach(field => {
+    const el = document.getElementById(field.id);
+    let value;
+    if (field.type === 'checkbox') value = el.checked;
+    else if (field.type === 'rules') value = Array.from(el.querySelectorAll('input:not(:checked)')).map(input => input.value);
+    else if (field.type === 'list') value = el.value.split(',').map(v => v.trim()).filter(Boolean).map(Number);
+    else if (field.type === 'pricing') value = readPricingTable(el);
+    else if (field.type === 'text') value = el.value.trim().toUpperCase();
+    else value = el.value === '' ? null : Number(el.value);
+    setPath(settings, field.path, value);
+  });
+  return normalizeSettings(settings);
+}
+
+function showErrors(errors) {
+  const list = document.getElementById('errors');
+  list.innerHTML = '';
+  errors.forEach(message => {
+    const li = document.createElement('li');
+    li.textContent = message;
+    list.appendChild(li);
+  });
+  list.classList.toggle('hidden', errors.length === 0);
+}
+
+function showStatus(text) {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  setTimeout(() => { status.textContent = ''; }, 2000);
+}
+
+async function save(settings) {
+  const errors = validateSettings(settings);
+  showErrors(errors);
+  if (errors.length > 0) return;
+
+  const saved = await saveSettings(settings);
+  fillForm(saved);
+  showStatus('Saved');
+}
+
+function showBackupStatus(text, isError = false) {
+  const status = document.getElementById('backup-status');
+  status.textContent = text;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Download the saved settings as a backup file (shared/backup.js), with
+ * each workspace's history and latest metrics unless only sharing settings
+ */
+async function exportBackup(includeHistory) {
+  const stored = includeHistory ? await chrome.storage.local.get(null) : {};
+  const backup = FlowFixBackup.createBackup({
+    settings: await loadSettings(),
+    stored,
+    includeHistory,
+    appVersion: chrome.runtime.getManifest().version
+  });
+  const url = URL.createObjectURL(new Blob([`${JSON.stringify(backup, null, 2)}\n`], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = FlowFixBackup.backupFileName(backup);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  showBackupStatus(`Saved ${link.download}`);
+}
+
+/**
+ * Import a backup file: settings through the normal save path, history
+ * through the service worker so it lands in the same storage queue as new
+ * snapshots. Settings go first, so history is cut to the imported retention.
+ */
+async function importBackup(file, mode) {
+  const backup = FlowFixBackup.parseBackup(await file.text());
+  const done = [];
+
+  if (backup.settings) {
+    const { settings, changed } = FlowFixBackup.importSettings(await loadSettings(), backup.settings, mode);
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+      showErrors(errors);
+      throw new Error('The file\'s settings are not valid; nothing was imported');
+    }
+    fillForm(await saveSettings(settings));
+    done.push(changed.length > 0 ? `Settings updated (${changed.join(', ')})` : 'Settings unchanged');
+  }
+
+  if (backup.history) {
+    const response = await chrome.runtime.sendMessage({ type: 'IMPORT_HISTORY', backup, mode });
+    if (!response || response.error) throw new Error(response?.error || 'The history could not be imported');
+    const { accounts, added, skipped, dropped } = response.summary;
+    done.push(`${countOf(added, 'snapshot')} added to ${countOf(accounts, 'workspace')}`);
+    if (skipped > 0) done.push(`${countOf(skipped, 'workspace')} skipped: not from a Zapier or Make.com dashboard`);
+    if (dropped > 0) done.push(`${countOf(dropped, 'snapshot')} skipped: missing a date or holding text where numbers belong`);
+  }
+
+  return done.join('. ');
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  renderRuleList();
+  fillForm(await loadSettings());
+
+  document.getElementById('alerts-enabled').addEventListener('change', (event) => {
+    document.getElementById('alert-threshold').disabled = !event.target.checked;
+    document.getElementById('recheck-minutes').disabled = !event.target.checked;
+  });
+
+  document.getElementById('settings-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    save(readForm()).catch(error => showErrors([`Could not save: ${error.message}`]));
+  });
+
+  document.getElementById('reset-btn').addEventListener('click', () => {
+    save(normalizeSettings(DEFAULT_SETTINGS)).catch(error => showErrors([`Could not save: ${error.message}`]));
+  });
+
+  const exportFailed = error => showBackupStatus(`Could not export: ${error.message}`, true);
+  document.getElementById('export-settings-btn').addEventListener('click', () => {
+    exportBackup(false).catch(exportFailed);
+  });
+  document.getElementById('export-backup-btn').addEventListener('click', () => {
+    exportBackup(true).catch(exportFailed);
+  });
+
+  document.getElementById('import-file').addEventListener('change', (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    const mode = document.querySelector('input[name="import-mode"]:checked').value;
+    importBackup(file, mode)
+      .then(summary => showBackupStatus(summary))
+      .catch(error => showBackupStatus(error.message, true));
+  });
+});
@@ -3,34 +3,78 @@
  * Displays health metrics and recommendations
  */
 
+const { countOf } = FlowFixText;
+
+// Replaced with the stored settings once the popup loads
+let settings = FlowFixSettings.DEFAULT_SETTINGS;
+
+// Workspaces with stored metrics, most recently updated first
+let workspaces = [];
+
+// Tab the popup was opened on
+let activeTab = null;
+
+// Workspace the tab is showing; its editor's step list only belongs to that one
+let tabWorkspaceKey = null;
+
+// Step list the tab's editor just sent, ahead of what storage holds
+let tabSteps = null;
+
+// Health report for the workspace on screen, for the export buttons
+let currentReport = null;
+
 document.addEventListener('DOMContentLoaded', async () => {
   const loadingEl = document.getElementById('loading');
   const noPlatformEl = document.getElementById('no-platform');
   const healthDisplayEl = document.getElementById('health-display');
   const analyzeBtn = document.getElementById('analyze-btn');
 
+  document.getElementById('settings-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  document.getElementById('workspaces-link').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('workspaces/workspaces.html') });
+  });
+
+  document.getElementById('workspace-select').addEventListener('change', async (event) => {
+    const workspace = workspaces.find(w => w.key === event.target.value);
+    if (workspace) await displayMetrics(workspace.metrics);
+  });
+
+  try {
+    settings = await FlowFixSettings.loadSettings();
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+
   // Get current tab URL to determine platform
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   const url = tab?.url || '';
+  activeTab = tab || null;
 
   const isZapier = url.includes('zapier.com');
   const isMake = url.includes('make.com');
 
+  // Blueprints can be checked from any page, even one FlowFix can't analyze
+  setUpBlueprintCheck(isMake);
+
   if (!isZapier && !isMake) {
     showState('no-platform');
     return;
   }
 
-  // Try to get stored metrics
-  const platform = isZapier ? 'zapier' : 'make';
-  const storageKey = isZapier ? 'zapierMetrics' : 'makeMetrics';
+  setUpReportExport();
 
+  // Try to get stored metrics for the workspace this tab is showing
   try {
-    const stored = await chrome.storage.local.get(storageKey);
-    const metrics = stored[storageKey];
+    await loadWorkspaces();
+    const workspace = FlowFixWorkspaces.findWorkspaceForUrl(workspaces, url);
 
-    if (metrics && isRecent(metrics.timestamp)) {
-      displayMetrics(metrics);
+    if (workspace && isRecent(workspace.metrics.timestamp)) {
+      await displayTabMetrics(workspace.metrics);
     } else {
       // Request fresh metrics from content script
       await requestMetrics();
@@ -48,12 +92,12 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 /**
- * Check if metrics are recent (within 5 minutes)
+ * Check if metrics are recent (within the staleness window, 5 minutes by default)
  */
 function isRecent(timestamp) {
   if (!timestamp) return false;
   const age = Date.now() - new Date(timestamp).getTime();
-  return age < 5 * 60 * 1000; // 5 minutes
+  return age < settings.stalenessMinutes * 60 * 1000;
 }
 
 /**
@@ -70,17 +114,37 @@ async function requestMetrics() {
     }
 
     if (response?.metrics) {
-      displayMetrics(response.metrics);
+      await loadWorkspaces();
+      await displayTabMetrics(response.metrics);
+    } else if (response?.steps) {
+      // A Zap editor: its steps, with the account's metrics when stored
+      tabSteps = response.steps;
+      await loadWorkspaces();
+      const workspace = FlowFixWorkspaces.findWorkspaceForUrl(workspaces, activeTab?.url);
+      if (workspace) {
+        await displayTabMetrics(workspace.metrics);
+      } else {
+        showState('steps');
+        renderWorkflowSteps(tabSteps);
+      }
+    } else if (response?.blueprintEditor) {
+      // The editor has no dashboard metrics; show the team's if stored
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      await loadWorkspaces();
+      const workspace = FlowFixWorkspaces.findWorkspaceForUrl(workspaces, tab?.url);
+      if (workspace) {
+        await displayTabMetrics(workspace.metrics);
+      } else {
+        showState('editor');
+      }
     } else {
       // Wait a bit for content script to extract
       setTimeout(async () => {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        const isZapier = tab?.url?.includes('zapier.com');
-        const storageKey = isZapier ? 'zapierMetrics' : 'makeMetrics';
-        
-        const stored = await chrome.storage.local.get(storageKey);
-        if (stored[storageKey]) {
-          displayMetrics(stored[storageKey]);
+        await loadWorkspaces();
+        const workspace = FlowFixWorkspaces.findWorkspaceForUrl(workspaces, tab?.url);
+        if (workspace) {
+          await displayTabMetrics(workspace.metrics);
         } else {
           showState('no-platform');
         }
@@ -93,22 +157,71 @@ async function requestMetrics() {
 }
 
 /**
- * Show a specific state view
+ * Refresh the list of workspaces from storage
+ */
+async function loadWorkspaces() {
+  const stored = await chrome.storage.local.get(null);
+  workspaces = FlowFixWorkspaces.listWorkspaces(stored);
+  return workspaces;
+}
+
+/**
+ * Name the shown workspace and offer the others when there is more than one
+ */
+function renderWorkspaceSwitcher(metrics) {
+  const { PLATFORM_LABELS, getAccountKey, getAccountLabel } = FlowFixWorkspaces;
+  const currentKey = getAccountKey(metrics);
+  const platformLabel = PLATFORM_LABELS[metrics.platform] || metrics.platform;
+
+  // Metrics fresh from the content script may not be listed yet
+  const entries = workspaces.some(w => w.key === currentKey)
+    ? workspaces
+    : [{ key: currentKey, platform: metrics.platform, label: getAccountLabel(metrics), metrics }].concat(workspaces);
+
+  document.getElementById('platform-name').textContent = currentKey.endsWith(':default')
+    ? platformLabel
+    : `${platformLabel} · ${getAccountLabel(metrics)}`;
+
+  const select = document.getElementById('workspace-select');
+  select.innerHTML = '';
+  entries.forEach(workspace => {
+    const option = document.createElement('option');
+    option.value = workspace.key;
+    option.textContent = `${PLATFORM_LABELS[workspace.platform] || workspace.platform} · ${workspace.label}`;
+    option.selected = workspace.key === currentKey;
+    select.appendChild(option);
+  });
+  select.classList.toggle('hidden', entries.length < 2);
+}
+
+/**
+ * Show a specific state view. The editor's steps go with the health view,
+ * or on their own ('steps') when no dashboard metrics are stored.
  */
 function showState(state) {
   document.getElementById('loading').classList.toggle('hidden', state !== 'loading');
   document.getElementById('no-platform').classList.toggle('hidden', state !== 'no-platform');
+  document.getElementById('editor-page').classList.toggle('hidden', state !== 'editor');
   document.getElementById('health-display').classList.toggle('hidden', state !== 'health');
+  if (state !== 'health' && state !== 'steps') renderWorkflowSteps(null);
+}
+
+/**
+ * Display the metrics of the workspace the tab is showing
+ */
+async function displayTabMetrics(metrics) {
+  tabWorkspaceKey = FlowFixWorkspaces.getAccountKey(metrics);
+  await displayMetrics(metrics);
 }
 
 /**
  * Display metrics in the popup
  */
-function displayMetrics(metrics) {
+async function displayMetrics(metrics) {
   showState('health');
 
   const score = metrics.healthScore || 0;
-  const color = getScoreColor(score);
+  const color = FlowFixSettings.getScoreColor(score, settings.colorBands);
 
   // Update score ring
   const scoreRing = document.getElementById('score-ring');
@@ -118,7 +231,7 @@ function displayMetrics(metrics) {
   scoreValue.style.color = color;
   
   // Add critical pulse animation for low scores
-  if (score < 40) {
+  if (score < settings.colorBands.degraded) {
     scoreRing.classList.add('critical');
   } else {
     scoreRing.classList.remove('critical');
@@ -128,31 +241,55 @@ function displayMetrics(metrics) {
   scoreRing.setAttribute('role', 'img');
   scoreRing.setAttribute('aria-label', `Health score: ${score} out of 100. ${getScoreDescription(score)}`);
 
-  // Update platform badge
-  const platformName = document.getElementById('platform-name');
-  platformName.textContent = metrics.platform === 'zapier' ? 'Zapier' : 'Make.com';
+  // Flag score inputs that were only estimated from page text
+  updateScoreNote(metrics);
+  renderScoreBreakdown(metrics);
+
+  // Update platform badge and workspace switcher
+  renderWorkspaceSwitcher(metrics);
 
   // Build metrics grid
   const metricsGrid = document.getElementById('metrics-grid');
   metricsGrid.innerHTML = '';
 
+  const conf = field => getConfidence(metrics, field);
+
   if (metrics.platform === 'zapier') {
-    addMetric(metricsGrid, 'Total Zaps', metrics.totalZaps || 0);
-    addMetric(metricsGrid, 'Errors', metrics.errorZaps || 0, metrics.errorZaps > 0 ? 'error' : 'success');
+    addMetric(metricsGrid, 'Total Zaps', metrics.totalZaps || 0, '', conf('totalZaps'));
+    addMetric(metricsGrid, 'Errors', metrics.errorZaps || 0, metrics.errorZaps > 0 ? 'error' : 'success',
+      conf('errorZaps'));
     addMetric(metricsGrid, 'Task Usage', `${metrics.taskUsagePercent || 0}%`, 
-      getUsageClass(metrics.taskUsagePercent));
-    addMetric(metricsGrid, 'Paused', metrics.pausedZaps || 0, metrics.pausedZaps > 0 ? 'warning' : 'success');
+      getUsageClass(metrics.taskUsagePercent), conf('taskUsagePercent'));
+    addMetric(metricsGrid, 'Paused', metrics.pausedZaps || 0, metrics.pausedZaps > 0 ? 'warning' : 'success',
+      conf('pausedZaps'));
   } else {
-    addMetric(metricsGrid, 'Scenarios', metrics.totalScenarios || 0);
-    addMetric(metricsGrid, 'Errors', metrics.errorScenarios || 0, metrics.errorScenarios > 0 ? 'error' : 'success');
+    addMetric(metricsGrid, 'Scenarios', metrics.totalScenarios || 0, '', conf('totalScenarios'));
+    addMetric(metricsGrid, 'Errors', metrics.errorScenarios || 0, metrics.errorScenarios > 0 ? 'error' : 'success',
+      conf('errorScenarios'));
     addMetric(metricsGrid, 'Operations', `${metrics.operationsUsagePercent || 0}%`,
-      getUsageClass(metrics.operationsUsagePercent));
+      getUsageClass(metrics.operationsUsagePercent), conf('operationsUsagePercent'));
     addMetric(metricsGrid, 'Inactive', metrics.inactiveScenarios || 0, 
-      metrics.inactiveScenarios > 0 ? 'warning' : 'success');
+      metrics.inactiveScenarios > 0 ? 'warning' : 'success', conf('inactiveScenarios'));
   }
 
+  const onTabWorkspace = FlowFixWorkspaces.getAccountKey(metrics) === tabWorkspaceKey;
+  renderWorkflowSteps(onTabWorkspace ? tabSteps || await loadWorkflowSteps(activeTab?.url) : null);
+
+  const snapshots = await loadAccountHistory(metrics);
+  renderTrends(snapshots);
+
+  const runHistory = await loadRunHistory(metrics);
+  renderRunHistory(runHistory, metrics);
+
+  const forecast = FlowFixForecast.forecastQuota(
+    FlowFixHistory.toSnapshot(metrics), snapshots, metrics.billingResetDate
+  );
+
+  const cost = renderCost(metrics, forecast, runHistory);
+
   // Generate recommendations
-  const recommendations = generateRecommendations(metrics);
+  const recommendations = generateRecommendations(metrics, forecast, runHistory);
+  currentReport = FlowFixReport.buildReport({ metrics, snapshots, runHistory, forecast, recommendations, cost });
   const recList = document.getElementById('recommendations-list');
   recList.innerHTML = '';
 
@@ -160,6 +297,16 @@ function displayMetrics(metrics) {
     const li = document.createElement('li');
     li.className = rec.level;
     li.textContent = rec.text;
+    if (rec.learnMore) {
+      const link = document.createElement('a');
+      link.className = 'learn-more';
+      link.href = rec.learnMore.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = `Learn more: ${rec.learnMore.label}`;
+      li.appendChild(document.createTextNode(' '));
+      li.appendChild(link);
+    }
     recList.appendChild(li);
   });
 }
@@ -167,8 +314,9 @@ function displayMetrics(metrics) {
 /**
  * Add a metric card to the grid
  * Uses DOM methods exclusively — no innerHTML — to prevent any XSS risk.
+ * Low-confidence values are shown as approximate; undetected ones are dimmed.
  */
-function addMetric(container, label, value, statusClass = '') {
+function addMetric(container, label, value, statusClass = '', confidence = 'high') {
   const card = document.createElement('div');
   card.className = 'metric-card';
 
@@ -180,95 +328,504 @@ function addMetric(container, label, value, statusClass = '') {
   valueEl.className = statusClass ? `metric-value ${statusClass}` : 'metric-value';
   valueEl.textContent = value;
 
+  if (confidence === 'low') {
+    card.classList.add('low-confidence');
+    valueEl.textContent = `~${value}`;
+    card.title = 'Estimated from page text — verify on the dashboard';
+  } else if (confidence === 'none') {
+    card.classList.add('not-detected');
+    card.title = 'Not found on this page';
+  }
+
   card.appendChild(labelEl);
   card.appendChild(valueEl);
   container.appendChild(card);
 }
 
 /**
- * Get usage class based on percentage
+ * Confidence of a metrics field ('high' when the metrics predate provenance)
  */
-function getUsageClass(percent) {
-  if (percent >= 90) return 'error';
-  if (percent >= 75) return 'warning';
-  return 'success';
+function getConfidence(metrics, field) {
+  const entry = metrics.provenance && metrics.provenance[field];
+  return entry ? entry.confidence : 'high';
 }
 
 /**
- * Get score color
+ * Explain which score inputs were estimated and therefore discounted
  */
-function getScoreColor(score) {
-  if (score >= 80) return '#22c55e';
-  if (score >= 60) return '#eab308';
-  if (score >= 40) return '#f97316';
-  return '#ef4444';
+function updateScoreNote(metrics) {
+  const note = document.getElementById('score-note');
+  const isZapier = metrics.platform === 'zapier';
+  const inputs = isZapier
+    ? [['taskUsagePercent', 'task usage'], ['errorRate', 'error rate'], ['pausedZaps', 'paused zaps']]
+    : [['operationsUsagePercent', 'operations usage'], ['errorRate', 'error rate'], ['inactiveScenarios', 'inactive scenarios']];
+  const estimated = inputs
+    .filter(([field]) => metrics[field] && getConfidence(metrics, field) === 'low')
+    .map(([, label]) => label);
+
+  note.classList.toggle('hidden', estimated.length === 0);
+  note.textContent = estimated.length > 0
+    ? `Estimated: ${estimated.join(', ')}. These count half toward the score.`
+    : '';
 }
 
 /**
- * Get score description for accessibility
+ * List the deductions behind the score and what fixing each would gain.
+ * Hidden for metrics stored before the breakdown existed.
  */
-function getScoreDescription(score) {
-  if (score >= 80) return 'Healthy';
-  if (score >= 60) return 'Needs attention';
-  if (score >= 40) return 'Degraded';
-  return 'Critical';
+function renderScoreBreakdown(metrics) {
+  const panel = document.getElementById('score-breakdown');
+  const list = document.getElementById('breakdown-list');
+  const deductions = metrics.scoreBreakdown;
+  list.innerHTML = '';
+
+  panel.classList.toggle('hidden', !Array.isArray(deductions));
+  if (!Array.isArray(deductions)) return;
+
+  document.getElementById('score-breakdown-summary').textContent = deductions.length > 0
+    ? `Why ${metrics.healthScore}? ${countOf(deductions.length, 'deduction')}`
+    : 'Why this score?';
+
+  if (deductions.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'breakdown-empty';
+    li.textContent = 'No deductions: usage, errors and paused workflows are all within limits.';
+    list.appendChild(li);
+    return;
+  }
+
+  deductions.forEach(deduction => {
+    const li = document.createElement('li');
+
+    const points = document.createElement('span');
+    points.className = 'breakdown-points';
+    points.textContent = `-${deduction.points}`;
+
+    const label = document.createElement('span');
+    label.className = 'breakdown-label';
+    label.textContent = `${deduction.label} ${deduction.value}%`;
+    if (deduction.confidence === 'low') label.textContent += ' (estimated)';
+
+    const gain = document.createElement('span');
+    gain.className = 'breakdown-gain';
+    gain.textContent = `fix: +${deduction.points}`;
+
+    li.appendChild(points);
+    li.appendChild(label);
+    li.appendChild(gain);
+    list.appendChild(li);
+  });
 }
 
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SPARKLINE_WIDTH = 160;
+const SPARKLINE_HEIGHT = 28;
+
+// Charted snapshot fields; higherIsBetter colors the change since the first point
+const TREND_SERIES = [
+  { field: 'healthScore', label: 'Health', range: { min: 0, max: 100 }, higherIsBetter: true },
+  { field: 'errors', label: 'Errors', range: { min: 0 }, higherIsBetter: false },
+  { field: 'usagePercent', label: 'Usage', range: { min: 0, max: 100 }, higherIsBetter: false, suffix: '%' }
+];
+
 /**
- * Generate recommendations based on metrics
+ * Stored snapshots for the metrics' account (empty if history can't be read)
  */
-function generateRecommendations(metrics) {
-  const recs = [];
-  
-  const isZapier = metrics.platform === 'zapier';
-  const usagePercent = isZapier ? metrics.taskUsagePercent : metrics.operationsUsagePercent;
-  const errors = isZapier ? metrics.errorZaps : metrics.errorScenarios;
-  const total = isZapier ? metrics.totalZaps : metrics.totalScenarios;
-
-  // Critical: High error rate
-  if (errors > 0 && total > 0) {
-    const errorRate = (errors / total) * 100;
-    if (errorRate >= 20) {
-      recs.push({
-        level: 'critical',
-        text: `${errors} workflows have errors. Check error logs and fix triggers.`
-      });
-    } else if (errorRate > 0) {
-      recs.push({
-        level: 'warning',
-        text: `${errors} workflow${errors > 1 ? 's' : ''} need${errors === 1 ? 's' : ''} attention.`
-      });
-    }
+async function loadAccountHistory(metrics) {
+  const { HISTORY_KEY } = FlowFixHistory;
+  const { getAccountKey } = FlowFixWorkspaces;
+  try {
+    const stored = await chrome.storage.local.get(HISTORY_KEY);
+    const history = stored[HISTORY_KEY] || {};
+    return history[getAccountKey(metrics)] || [];
+  } catch (error) {
+    console.error('Error loading history:', error);
+    return [];
   }
+}
 
-  // Warning: High usage
-  if (usagePercent >= 90) {
-    recs.push({
-      level: 'critical',
-      text: `${usagePercent}% of ${isZapier ? 'tasks' : 'operations'} used. Consider upgrading or optimizing.`
-    });
-  } else if (usagePercent >= 75) {
-    recs.push({
-      level: 'warning',
-      text: `Approaching ${isZapier ? 'task' : 'operation'} limit. Review workflow efficiency.`
-    });
+/**
+ * Latest run history page read for the metrics' workspace, or null
+ */
+async function loadRunHistory(metrics) {
+  const key = FlowFixWorkspaces.runsKeyFor(metrics);
+  try {
+    const stored = await chrome.storage.local.get(key);
+    return stored[key] || null;
+  } catch (error) {
+    console.error('Error loading run history:', error);
+    return null;
   }
+}
 
-  // Info: General tips
-  if (recs.length === 0) {
-    recs.push({
-      level: 'info',
-      text: 'Your integrations are healthy! Consider consolidating similar workflows.'
-    });
+/**
+ * Step list stored for the workflow open in the tab's editor, or null
+ */
+async function loadWorkflowSteps(url) {
+  try {
+    const stored = await chrome.storage.local.get(null);
+    return FlowFixWorkspaces.findStepsForUrl(stored, url);
+  } catch (error) {
+    console.error('Error loading workflow steps:', error);
+    return null;
   }
+}
 
-  // Migration suggestion for high spenders
-  if (usagePercent >= 50) {
-    recs.push({
-      level: 'info',
-      text: 'Pro tip: n8n self-hosted has no operation limits. Migrate to save 50%+'
+/**
+ * Export buttons: download the current workspace's report as JSON, CSV,
+ * Markdown or a printable HTML page (shared/report.js). Files are built in
+ * the popup and saved through a blob link, so nothing is uploaded.
+ */
+function setUpReportExport() {
+  document.querySelectorAll('#export [data-format]').forEach(button => {
+    button.addEventListener('click', () => {
+      if (!currentReport) return;
+      const color = FlowFixSettings.getScoreColor(currentReport.healthScore || 0, settings.colorBands);
+      const file = FlowFixReport.exportReport(
+        Object.assign({}, currentReport, { generatedAt: new Date().toISOString() }),
+        button.dataset.format,
+        { scoreColor: color }
+      );
+      const url = URL.createObjectURL(new Blob([file.content], { type: file.type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = file.filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
     });
+  });
+}
+
+/**
+ * What the editor's step check found for the workflow open in the tab:
+ * trigger, step counts and each risky structure with its fix
+ */
+function renderWorkflowSteps(record) {
+  const stepsEl = document.getElementById('steps');
+  stepsEl.classList.toggle('hidden', !record);
+  if (!record) return;
+
+  const analysis = FlowFixSteps.analyzeSteps(record.steps);
+  document.getElementById('steps-heading').textContent = record.platform === 'make' ? 'This Scenario' : 'This Zap';
+  document.getElementById('steps-name').textContent = record.workflow || '';
+
+  const { counts, trigger } = analysis;
+  document.getElementById('steps-summary').textContent = [
+    trigger ? `${trigger.app || 'Trigger'} (${trigger.type})` : null,
+    countOf(counts.steps, 'step'),
+    counts.filters > 0 ? countOf(counts.filters, 'filter') : null,
+    counts.paths > 0 ? countOf(counts.paths, 'path') : null,
+    counts.formatters > 0 ? countOf(counts.formatters, 'formatter') : null,
+    counts.delays > 0 ? countOf(counts.delays, 'delay') : null
+  ].filter(Boolean).join(' · ');
+
+  const list = document.getElementById('steps-findings');
+  list.innerHTML = '';
+  const findings = analysis.findings.length > 0
+    ? analysis.findings
+    : [{ level: 'info', text: 'No risky structures found in these steps.' }];
+  findings.forEach(finding => {
+    const li = document.createElement('li');
+    li.className = finding.level;
+    li.textContent = finding.text;
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Blueprint check: lint a blueprint file dropped or chosen in the popup, or
+ * on Make tabs the blueprint of the scenario open in the editor
+ */
+function setUpBlueprintCheck(isMake) {
+  const drop = document.getElementById('blueprint-drop');
+  const fileInput = document.getElementById('blueprint-file');
+  const tabButton = document.getElementById('blueprint-tab-btn');
+
+  const lintFile = async file => {
+    try {
+      renderBlueprintLint(FlowFixBlueprint.parseBlueprint(await file.text()), file.name);
+    } catch (error) {
+      renderBlueprintError(error.message);
+    }
+  };
+
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) lintFile(fileInput.files[0]);
+    fileInput.value = '';
+  });
+  drop.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    drop.classList.add('dragging');
+  });
+  drop.addEventListener('dragleave', () => drop.classList.remove('dragging'));
+  drop.addEventListener('drop', (event) => {
+    event.preventDefault();
+    drop.classList.remove('dragging');
+    if (event.dataTransfer.files[0]) lintFile(event.dataTransfer.files[0]);
+  });
+
+  tabButton.classList.toggle('hidden', !isMake);
+  tabButton.addEventListener('click', async () => {
+    try {
+      const response = await chrome.tabs.sendMessage(activeTab.id, { type: 'GET_BLUEPRINT' });
+      if (response?.error) {
+        renderBlueprintError(response.error);
+        return;
+      }
+      const blueprint = FlowFixBlueprint.parseBlueprint(response.blueprint);
+      renderBlueprintLint(blueprint, blueprint.name);
+    } catch (error) {
+      console.error('Blueprint request error:', error);
+      renderBlueprintError(error.message);
+    }
+  });
+}
+
+function renderBlueprintError(message) {
+  document.getElementById('blueprint-name').textContent = '';
+  document.getElementById('blueprint-summary').textContent = message;
+  document.getElementById('blueprint-findings').innerHTML = '';
+}
+
+/**
+ * A blueprint's module counts and each finding with its fix
+ */
+function renderBlueprintLint(blueprint, name) {
+  const lint = FlowFixBlueprint.lintBlueprint(blueprint);
+  const { counts, trigger } = lint;
+  document.getElementById('blueprint-name').textContent = name || lint.name || '';
+  document.getElementById('blueprint-summary').textContent = [
+    trigger ? `${trigger.app} (${trigger.instant ? 'instant' : 'polling'})` : null,
+    countOf(counts.modules, 'module'),
+    counts.routes > 0 ? countOf(counts.routes, 'route') : null,
+    countOf(counts.errorHandlers, 'error handler'),
+    countOf(counts.filters, 'filter')
+  ].filter(Boolean).join(' · ');
+
+  const list = document.getElementById('blueprint-findings');
+  list.innerHTML = '';
+  const findings = lint.findings.length > 0
+    ? lint.findings
+    : [{ level: 'info', text: 'No problems found in this blueprint.' }];
+  findings.forEach(finding => {
+    const li = document.createElement('li');
+    li.className = finding.level;
+    li.textContent = finding.text;
+    list.appendChild(li);
+  });
+}
+
+/**
+ * Failure rate and the workflows failing most and consuming most, from the
+ * runs read on the platform's run history pages
+ */
+function renderRunHistory(runHistory, metrics) {
+  const runsEl = document.getElementById('runs');
+  const analysis = runHistory ? FlowFixRuns.analyzeRuns(runHistory.runs) : null;
+  runsEl.classList.toggle('hidden', !analysis || analysis.runs === 0);
+  if (!analysis || analysis.runs === 0) return;
+
+  const unit = metrics.platform === 'zapier' ? 'tasks' : 'operations';
+  const read = new Date(runHistory.timestamp);
+  document.getElementById('runs-range').textContent = Number.isNaN(read.getTime())
+    ? ''
+    : `Read ${read.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+
+  document.getElementById('runs-summary').textContent = [
+    `${analysis.runs} runs`,
+    analysis.failureRate !== null ? `${analysis.failureRate}% failed` : null,
+    analysis.halted > 0 ? `${analysis.halted} halted` : null,
+    `${analysis.consumed.toLocaleString()} ${unit}`
+  ].filter(Boolean).join(' · ');
+
+  const list = document.getElementById('runs-list');
+  list.innerHTML = '';
+  const addItem = (label, entry, detail) => addListItem(list, label, entry.name || entry.key, detail);
+
+  analysis.topFailing.slice(0, 3).forEach(entry =>
+    addItem('Failing', entry, `${entry.failed} of ${entry.runs} runs`));
+  analysis.topConsumers.slice(0, 3).forEach(entry =>
+    addItem('Hungry', entry, `${entry.consumed.toLocaleString()} ${unit}`));
+
+  // Make logs are read one scenario at a time, so list each scenario's record, least reliable first
+  if (metrics.platform === 'make') {
+    analysis.byWorkflow
+      .filter(entry => entry.successRate !== null)
+      .sort((a, b) => a.successRate - b.successRate)
+      .slice(0, 3)
+      .forEach(entry => addItem('Scenario', entry, [
+        `${entry.successRate}% succeeded`,
+        entry.avgConsumed !== null ? `${entry.avgConsumed.toLocaleString()} ops/run` : null
+      ].filter(Boolean).join(' · ')));
+  }
+}
+
+/**
+ * Label, workflow name and detail row for the run history and cost lists
+ */
+function addListItem(list, label, name, detail) {
+  const li = document.createElement('li');
+  const labelEl = document.createElement('span');
+  labelEl.className = 'metric-label';
+  labelEl.textContent = label;
+  const nameEl = document.createElement('span');
+  nameEl.className = 'runs-name';
+  nameEl.textContent = name;
+  const detailEl = document.createElement('span');
+  detailEl.className = 'runs-detail';
+  detailEl.textContent = detail;
+  li.appendChild(labelEl);
+  li.appendChild(nameEl);
+  li.appendChild(detailEl);
+  list.appendChild(li);
+}
+
+/**
+ * Monthly spend, projected overage, the most expensive workflows and what
+ * the polling fixes would save, priced from the settings' pricing table.
+ * Returns the estimate for the exported report.
+ */
+function renderCost(metrics, forecast, runHistory) {
+  const costEl = document.getElementById('cost');
+  const runs = runHistory ? runHistory.runs : [];
+  const estimate = FlowFixCost.estimateCost({
+    metrics,
+    pricing: settings.pricing,
+    forecast,
+    runAnalysis: runs.length > 0 ? FlowFixRuns.analyzeRuns(runs) : null,
+    pollingWaste: FlowFixPolling.detectPollingWaste(metrics.workflows || [], runs, metrics.platform)
+  });
+  costEl.classList.toggle('hidden', !estimate);
+  if (!estimate) return null;
+
+  const money = amount => FlowFixCost.formatMoney(amount, estimate.currency);
+  const unit = metrics.platform === 'zapier' ? 'tasks' : 'operations';
+  document.getElementById('cost-plan').textContent = `${estimate.plan} plan`;
+
+  const summary = document.getElementById('cost-summary');
+  const list = document.getElementById('cost-list');
+  list.innerHTML = '';
+  if (estimate.reason === 'noPrice') {
+    summary.textContent = `No price set for the ${estimate.plan} plan. Add yours under Settings to see costs.`;
+    return estimate;
   }
 
-  return recs;
+  summary.textContent = [
+    `~${money(estimate.monthlySpend)}/month`,
+    estimate.overageCost > 0
+      ? `${money(estimate.overageCost)} overage (${estimate.overageUnits.toLocaleString()} ${unit})`
+      : null,
+    estimate.totalSavings > 0 ? `${money(estimate.totalSavings)} saveable` : null
+  ].filter(Boolean).join(' · ');
+
+  estimate.perWorkflow.slice(0, 3).forEach(entry =>
+    addListItem(list, 'Costs', entry.name, `${money(entry.cost)} (${entry.share}%)`));
+  estimate.savings.slice(0, 3).forEach(entry =>
+    addListItem(list, 'Saves', entry.name, `${money(entry.amount)}/month`));
+  return estimate;
+}
+
+/**
+ * Draw health, error and usage sparklines from the account's stored history
+ */
+function renderTrends(snapshots) {
+  const trendsEl = document.getElementById('trends');
+  const retention = settings.historyRetentionDays;
+  document.getElementById('trends-range').textContent =
+    retention === 365 ? 'Last year' : `Last ${retention} days`;
+
+  // A trend needs at least two points
+  trendsEl.classList.toggle('hidden', snapshots.length < 2);
+  if (snapshots.length < 2) return;
+
+  const container = document.getElementById('sparklines');
+  container.innerHTML = '';
+  TREND_SERIES.forEach(series => addSparkline(container, snapshots, series));
+}
+
+/**
+ * Add one labelled sparkline row. Built with DOM methods only, like addMetric().
+ */
+function addSparkline(container, snapshots, series) {
+  const points = FlowFixHistory.sparklinePoints(
+    snapshots, series.field, SPARKLINE_WIDTH, SPARKLINE_HEIGHT, series.range
+  );
+  if (points.length === 0) return;
+
+  const row = document.createElement('div');
+  row.className = 'sparkline-row';
+
+  const labelEl = document.createElement('div');
+  labelEl.className = 'metric-label';
+  labelEl.textContent = series.label;
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`);
+  svg.setAttribute('preserveAspectRatio', 'none');
+  svg.setAttribute('role', 'img');
+
+  const line = document.createElementNS(SVG_NS, 'polyline');
+  line.setAttribute('points', points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' '));
+  svg.appendChild(line);
+
+  const last = points[points.length - 1];
+  const dot = document.createElementNS(SVG_NS, 'circle');
+  dot.setAttribute('cx', last.x.toFixed(1));
+  dot.setAttribute('cy', last.y.toFixed(1));
+  dot.setAttribute('r', '2');
+  svg.appendChild(dot);
+
+  const suffix = series.suffix || '';
+  const delta = last.value - points[0].value;
+  svg.setAttribute('aria-label',
+    `${series.label}: ${points[0].value}${suffix} to ${last.value}${suffix} over ${points.length} snapshots`);
+
+  const valueEl = document.createElement('div');
+  valueEl.className = 'sparkline-value';
+  valueEl.textContent = `${last.value}${suffix} `;
+
+  if (delta !== 0) {
+    const deltaEl = document.createElement('span');
+    const improved = (delta > 0) === series.higherIsBetter;
+    deltaEl.className = `sparkline-delta ${improved ? 'better' : 'worse'}`;
+    deltaEl.textContent = `${delta > 0 ? '▲' : '▼'}${Math.abs(delta)}`;
+    valueEl.appendChild(deltaEl);
+  }
+
+  row.appendChild(labelEl);
+  row.appendChild(svg);
+  row.appendChild(valueEl);
+  container.appendChild(row);
+}
+
+/**
+ * Get usage class based on percentage
+ */
+function getUsageClass(percent) {
+  const { critical, warning } = settings.scoring.usage;
+  if (percent >= critical.above) return 'error';
+  if (percent >= warning.above) return 'warning';
+  return 'success';
+}
+
+/**
+ * Get score description for accessibility
+ */
+function getScoreDescription(score) {
+  const { healthy, attention, degraded } = settings.colorBands;
+  if (score >= healthy) return 'Healthy';
+  if (score >= attention) return 'Needs attention';
+  if (score >= degraded) return 'Degraded';
+  return 'Critical';
+}
+
+/**
+ * Recommendations from the enabled rules (shared/recommendations.js) for
+ * the metrics, the quota forecast and the workspace's run history
+ */
+function generateRecommendations(metrics, forecast = null, runHistory = null) {
+  const context = FlowFixRecommendations.buildContext({ metrics, settings, forecast, runHistory });
+  return FlowFixRecommendations.evaluateRules(context, settings.recommendations.disabledRules);
 }
@@ -0,0 +1,106 @@
+/**
+ * FlowFix Alerts
+ * Decides which desktop notifications a fresh extraction warrants, by
+ * comparing it with the state recorded at the previous extraction
+ *
+ * Pure helpers for the service worker, which owns alarms, notifications and
+ * storage. Thresholds come from the "alerts" section of shared/settings.js.
+ * Loaded the same way as shared/history.js, which it builds on, after
+ * shared/text.js.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixHistory = isCommonJS ? require('./history.js') : root.FlowFixHistory;
+  const FlowFixText = isCommonJS ? require('./text.js') : root.FlowFixText;
+
+  const { describeNames, plural } = FlowFixText;
+
+  const ALERT_STATE_KEY = 'alertState';
+
+  const PLATFORM_TERMS = {
+    zapier: { label: 'Zapier', workflow: 'zap', unit: 'tasks' },
+    make: { label: 'Make.com', workflow: 'scenario', unit: 'operations' }
+  };
+
+  function workflowKey(workflow) {
+    return workflow.id || workflow.name;
+  }
+
+  /**
+   * What the next extraction is compared against. erroring is null when the
+   * page had no workflow inventory, so "new" errors can't be told apart.
+   */
+  function toAlertState(metrics) {
+    const snapshot = FlowFixHistory.toSnapshot(metrics);
+    return {
+      timestamp: metrics.timestamp,
+      healthScore: snapshot.healthScore,
+      usagePercent: snapshot.usagePercent,
+      erroring: Array.isArray(metrics.workflows) && metrics.workflows.length > 0
+        ? metrics.workflows.filter(w => w.status === 'error').map(w => ({ key: workflowKey(w), name: w.name }))
+        : null
+    };
+  }
+
+  /**
+   * Alerts for the change from previous to current (both toAlertState results)
+   * under the "alerts" settings. Conditions fire on crossing, not on every
+   * check while they hold; with no previous state the account is assumed
+   * healthy, so a bad first reading alerts.
+   */
+  function detectAlerts(previous, current, platform, settings) {
+    const terms = PLATFORM_TERMS[platform] || { label: platform, workflow: 'workflow', unit: 'usage' };
+    const before = previous || { healthScore: 100, usagePercent: 0, erroring: null };
+    const alerts = [];
+
+    if (typeof current.healthScore === 'number' &&
+        current.healthScore < settings.healthThreshold &&
+        !(before.healthScore < settings.healthThreshold)) {
+      alerts.push({
+        type: 'health',
+        title: `${terms.label} health dropped to ${current.healthScore}`,
+        message: `Below your alert threshold of ${settings.healthThreshold}. Open the dashboard to see what changed.`
+      });
+    }
+
+    if (before.erroring && current.erroring) {
+      const known = new Set(before.erroring.map(w => w.key));
+      const fresh = current.erroring.filter(w => !known.has(w.key));
+      if (fresh.length > 0) {
+        alerts.push({
+          type: 'errors',
+          title: `${fresh.length} new failing ${plural(fresh.length, terms.workflow)} on ${terms.label}`,
+          message: describeNames(fresh.map(w => w.name || w.key))
+        });
+      }
+    }
+
+    // Report only the highest usage level crossed
+    const level = settings.usageLevels.slice().sort((a, b) => b - a)
+      .find(l => current.usagePercent >= l && !(before.usagePercent >= l));
+    if (level) {
+      alerts.push({
+        type: 'usage',
+        title: `${current.usagePercent}% of ${terms.label} ${terms.unit} used`,
+        message: `Usage crossed ${level}% of the ${terms.unit} limit for this billing cycle.`
+      });
+    }
+
+    return alerts;
+  }
+
+  const FlowFixAlerts = {
+    ALERT_STATE_KEY,
+    toAlertState,
+    detectAlerts
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixAlerts;
+  } else {
+    root.FlowFixAlerts = FlowFixAlerts;
+  }
+})(globalThis);
@@ -0,0 +1,314 @@
+/**
+ * FlowFix Backup
+ * A versioned file holding the team's settings (thresholds, weights,
+ * switched-off rules, prices) and, optionally, each workspace's trend
+ * history and latest metrics, so a configuration can be shared and history
+ * can move to another machine
+ *
+ * Import rules:
+ * - Older files are upgraded through MIGRATIONS first; files from a newer
+ *   FlowFix are refused rather than half-read.
+ * - Settings, merge: every value in the file wins, values it lacks stay;
+ *   switched-off rules are combined and price tiers only here are kept.
+ *   Replace: the file's settings, defaults for anything it lacks.
+ * - History, merge: timelines are combined one snapshot per hour (the later
+ *   reading wins within an hour), then cut to the retention setting.
+ *   Replace: the file's timelines instead of this browser's.
+ * - Workspace keys from older versions are renamed the way the extension's
+ *   own migration does (shared/workspaces.js planWorkspaceMigration).
+ * - Workspace metrics are only written when they could have come from a
+ *   dashboard: a known platform, an https URL on its site and numbers where
+ *   numbers belong. The rest are skipped and counted.
+ * - Snapshots need an ISO timestamp and numbers (or null) in their charted
+ *   fields; malformed ones are dropped and counted, and only those fields
+ *   are kept.
+ *
+ * FlowFix keeps no list of ignored workflows; the switched-off
+ * recommendation rules are the nearest thing and travel with the settings.
+ *
+ * Loaded after shared/settings.js, shared/workspaces.js and
+ * shared/history.js. The options page exports and imports; the service
+ * worker writes imported history in its storage queue.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixSettings = isCommonJS ? require('./settings.js') : root.FlowFixSettings;
+  const FlowFixWorkspaces = isCommonJS ? require('./workspaces.js') : root.FlowFixWorkspaces;
+  const FlowFixHistory = isCommonJS ? require('./history.js') : root.FlowFixHistory;
+
+  const BACKUP_FORMAT = 'flowfix-backup';
+  const BACKUP_SCHEMA_VERSION = 1;
+
+  const { HISTORY_KEY } = FlowFixHistory;
+  const { METRICS_KEY_PREFIX, LEGACY_METRICS_KEYS } = FlowFixWorkspaces;
+
+  // Top-level keys only a settings object has
+  const SETTINGS_KEYS = ['scoring', 'colorBands', 'alerts', 'badge', 'pricing', 'historyRetentionDays'];
+
+  // Metrics fields that hold a number (or null when the page didn't show one)
+  const NUMERIC_FIELDS = {
+    zapier: ['healthScore', 'tasksUsed', 'taskLimit', 'taskUsagePercent', 'totalZaps', 'errorZaps', 'pausedZaps'],
+    make: [
+      'healthScore', 'operationsUsed', 'operationsLimit', 'operationsUsagePercent',
+      'totalScenarios', 'activeScenarios', 'errorScenarios', 'inactiveScenarios'
+    ]
+  };
+
+  // Charted snapshot values (shared/history.js toSnapshot), each a number or null
+  const SNAPSHOT_FIELDS = ['healthScore', 'errors', 'usagePercent', 'total', 'used', 'limit'];
+
+  const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+  // Hosts each platform's dashboard is served from
+  const PLATFORM_HOSTS = { zapier: 'zapier.com', make: 'make.com' };
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function isFiniteOrNull(value) {
+    return value === undefined || value === null || Number.isFinite(value);
+  }
+
+  /**
+   * An imported snapshot with only its charted fields, or null when it
+   * isn't one shared/history.js could have recorded
+   */
+  function cleanSnapshot(snapshot) {
+    if (!isObject(snapshot) || typeof snapshot.timestamp !== 'string' ||
+      !ISO_TIMESTAMP.test(snapshot.timestamp) || Number.isNaN(Date.parse(snapshot.timestamp))) return null;
+    if (!SNAPSHOT_FIELDS.every(field => isFiniteOrNull(snapshot[field]))) return null;
+    const clean = { timestamp: snapshot.timestamp };
+    SNAPSHOT_FIELDS.forEach(field => {
+      clean[field] = snapshot[field] === undefined ? null : snapshot[field];
+    });
+    return clean;
+  }
+
+  /**
+   * Whether imported workspace metrics look like ones the content scripts
+   * wrote; the workspaces page links to their URL
+   */
+  function isValidWorkspace(metrics) {
+    if (!isObject(metrics) || !NUMERIC_FIELDS[metrics.platform]) return false;
+    let url;
+    try {
+      url = new URL(metrics.url);
+    } catch (error) {
+      return false;
+    }
+    const host = PLATFORM_HOSTS[metrics.platform];
+    if (url.protocol !== 'https:' || (url.hostname !== host && !url.hostname.endsWith(`.${host}`))) return false;
+    return NUMERIC_FIELDS[metrics.platform].every(field => isFiniteOrNull(metrics[field]));
+  }
+
+  /**
+   * Upgrades, indexed by the schema version they start from. Version 0 is
+   * anything saved before there was a backup format: a bare settings
+   * object, chrome.storage.sync's { settings } or a chrome.storage.local
+   * dump copied out of DevTools.
+   */
+  const MIGRATIONS = [
+    data => {
+      const backup = { format: BACKUP_FORMAT, schemaVersion: 1, exportedAt: null };
+      if (isObject(data.settings)) backup.settings = data.settings;
+      else if (SETTINGS_KEYS.some(key => key in data)) backup.settings = data;
+
+      const workspaces = {};
+      Object.entries(data).forEach(([key, metrics]) => {
+        if (!isObject(metrics) || !metrics.platform) return;
+        if (key.startsWith(METRICS_KEY_PREFIX)) workspaces[key.slice(METRICS_KEY_PREFIX.length)] = metrics;
+        else if (Object.values(LEGACY_METRICS_KEYS).includes(key)) {
+          workspaces[FlowFixWorkspaces.getAccountKey(metrics)] = metrics;
+        }
+      });
+      if (isObject(data[HISTORY_KEY])) {
+        backup.history = data[HISTORY_KEY];
+        backup.workspaces = workspaces;
+      }
+      return backup;
+    }
+  ];
+
+  /**
+   * The backup file for the given settings and chrome.storage.local
+   * contents. Without history, only the settings are written (for sharing
+   * a team configuration).
+   */
+  function createBackup({ settings, stored = {}, includeHistory = true, appVersion = null,
+    exportedAt = new Date().toISOString() }) {
+    const backup = {
+      format: BACKUP_FORMAT,
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      exportedAt,
+      appVersion,
+      settings: FlowFixSettings.normalizeSettings(settings)
+    };
+    if (includeHistory) {
+      backup.history = stored[HISTORY_KEY] || {};
+      backup.workspaces = {};
+      FlowFixWorkspaces.listWorkspaces(stored).forEach(workspace => {
+        backup.workspaces[workspace.key] = workspace.metrics;
+      });
+    }
+    return backup;
+  }
+
+  /**
+   * "flowfix-settings-2026-10-19.json" or "flowfix-backup-2026-10-19.json"
+   */
+  function backupFileName(backup) {
+    const day = (backup.exportedAt || new Date().toISOString()).slice(0, 10);
+    return `flowfix-${backup.history ? 'backup' : 'settings'}-${day}.json`;
+  }
+
+  /**
+   * A backup file's contents, upgraded to the current schema. Throws with a
+   * message the user can act on when the file isn't one.
+   */
+  function parseBackup(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Not a FlowFix backup: the file is not valid JSON');
+    }
+    if (!isObject(data)) throw new Error('Not a FlowFix backup: expected a JSON object');
+
+    let version = 0;
+    if (data.format === BACKUP_FORMAT) {
+      version = data.schemaVersion;
+      if (!Number.isInteger(version) || version < 1) {
+        throw new Error('Not a FlowFix backup: its schema version is missing');
+      }
+      if (version > BACKUP_SCHEMA_VERSION) {
+        throw new Error(`This backup is from a newer FlowFix (schema ${version}). Update the extension to import it.`);
+      }
+    }
+
+    let backup = data;
+    for (; version < BACKUP_SCHEMA_VERSION; version++) {
+      backup = MIGRATIONS[version](backup);
+    }
+
+    if (backup.settings !== undefined && !isObject(backup.settings)) {
+      throw new Error('Not a FlowFix backup: "settings" is not an object');
+    }
+    if (backup.history !== undefined && !isObject(backup.history)) {
+      throw new Error('Not a FlowFix backup: "history" is not an object');
+    }
+    if (!backup.settings && !backup.history) {
+      throw new Error('Not a FlowFix backup: it has neither settings nor history');
+    }
+    return backup;
+  }
+
+  function mergeObjects(current, incoming) {
+    const merged = Object.assign({}, current);
+    Object.entries(incoming).forEach(([key, value]) => {
+      merged[key] = isObject(value) && isObject(current[key]) ? mergeObjects(current[key], value) : value;
+    });
+    return merged;
+  }
+
+  /**
+   * Settings after importing the file's ('merge' or 'replace', see the
+   * header) and the top-level sections that changed
+   */
+  function importSettings(current, incoming, mode = 'merge') {
+    let next;
+    if (mode === 'replace') {
+      next = FlowFixSettings.normalizeSettings(incoming);
+    } else {
+      const merged = mergeObjects(current, incoming);
+      const disabled = [].concat(current.recommendations.disabledRules,
+        (incoming.recommendations && incoming.recommendations.disabledRules) || []);
+      merged.recommendations = Object.assign({}, merged.recommendations,
+        { disabledRules: Array.from(new Set(disabled)) });
+      next = FlowFixSettings.normalizeSettings(merged);
+    }
+    const changed = Object.keys(next).filter(key => JSON.stringify(next[key]) !== JSON.stringify(current[key]));
+    return { settings: next, changed };
+  }
+
+  /**
+   * The file's valid history and workspace metrics under today's workspace
+   * keys, and how many workspaces and snapshots were left out as invalid
+   */
+  function migratedWorkspaces(backup) {
+    const fileStored = { [HISTORY_KEY]: backup.history || {} };
+    let skipped = 0;
+    Object.entries(isObject(backup.workspaces) ? backup.workspaces : {}).forEach(([key, metrics]) => {
+      if (isValidWorkspace(metrics)) fileStored[`${METRICS_KEY_PREFIX}${key}`] = metrics;
+      else skipped++;
+    });
+    const { set, remove } = FlowFixWorkspaces.planWorkspaceMigration(fileStored, [HISTORY_KEY]);
+    remove.forEach(key => delete fileStored[key]);
+    Object.assign(fileStored, set);
+
+    const history = {};
+    let dropped = 0;
+    Object.entries(fileStored[HISTORY_KEY]).forEach(([key, snapshots]) => {
+      if (!Array.isArray(snapshots)) return;
+      history[key] = snapshots.map(cleanSnapshot).filter(Boolean);
+      dropped += snapshots.length - history[key].length;
+    });
+    return { stored: fileStored, history, skipped, dropped };
+  }
+
+  /**
+   * chrome.storage.local changes that import the backup's history and
+   * workspace metrics into what is stored, and what they amount to
+   * ({ accounts, added, workspaces, skipped, dropped })
+   */
+  function planHistoryImport(stored, backup, { mode = 'merge', retentionDays, now = Date.now() } = {}) {
+    const { stored: fileStored, history: incoming, skipped, dropped } = migratedWorkspaces(backup);
+    const current = stored[HISTORY_KEY] || {};
+    const next = mode === 'replace' ? {} : Object.assign({}, current);
+    let added = 0;
+
+    Object.entries(incoming).forEach(([key, snapshots]) => {
+      const mine = mode === 'replace' ? [] : (current[key] || []);
+      const merged = FlowFixHistory.mergeSnapshots(mine, snapshots, retentionDays, now);
+      const known = new Set(mine.map(snapshot => snapshot.timestamp));
+      added += merged.filter(snapshot => !known.has(snapshot.timestamp)).length;
+      if (merged.length > 0) next[key] = merged;
+      else delete next[key];
+    });
+
+    const set = { [HISTORY_KEY]: next };
+    let workspaces = 0;
+    Object.entries(fileStored).forEach(([key, metrics]) => {
+      if (!key.startsWith(METRICS_KEY_PREFIX)) return;
+      const mine = stored[key];
+      // The newer reading of a workspace wins, as on the dashboard
+      if (!mine || (Date.parse(metrics.timestamp) || 0) > (Date.parse(mine.timestamp) || 0)) {
+        set[key] = metrics;
+        workspaces++;
+      }
+    });
+
+    return { set, summary: { accounts: Object.keys(incoming).length, added, workspaces, skipped, dropped } };
+  }
+
+  const FlowFixBackup = {
+    BACKUP_FORMAT,
+    BACKUP_SCHEMA_VERSION,
+    MIGRATIONS,
+    createBackup,
+    backupFileName,
+    parseBackup,
+    importSettings,
+    isValidWorkspace,
+    planHistoryImport
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixBackup;
+  } else {
+    root.FlowFixBackup = FlowFixBackup;
+  }
+})(globalThis);
@@ -0,0 +1,312 @@
+/**
+ * FlowFix Blueprint Linter
+ * Checks a Make scenario blueprint (the JSON from Export Blueprint) for
+ * structures the scenario list can't show: routes without error handlers,
+ * iterators that feed straight into an aggregator, polling triggers and
+ * routers nothing filters, hardcoded credentials and URLs, and iterators
+ * that multiply operations
+ *
+ * Blueprints come from a file dropped on the popup or, on request, from the
+ * scenario open in Make's editor (content/make.js). Findings never repeat a
+ * credential's value, only where it is. Loaded the same way as shared/runs.js,
+ * after shared/text.js.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixText = isCommonJS ? require('./text.js') : root.FlowFixText;
+
+  const { listNames, plural } = FlowFixText;
+
+  const LEVELS = ['critical', 'warning', 'info'];
+
+  // Make's own modules; anything else calls an outside app and can fail
+  const INTERNAL_APPS = ['builtin', 'util', 'json', 'regexp', 'xml', 'csv', 'math'];
+
+  const ROUTER = 'builtin:BasicRouter';
+  const ITERATOR = 'builtin:BasicFeeder';
+
+  // Modules run per item downstream of an iterator before it's worth a warning
+  const FAN_OUT_MODULES = 5;
+
+  // Items assumed when showing what fan-out costs
+  const EXAMPLE_ITEMS = 100;
+
+  const APP_LABELS = { http: 'HTTP', json: 'JSON', xml: 'XML', csv: 'CSV', builtin: 'Flow control', util: 'Tools' };
+
+  // Field names that hold secrets, and secret-looking values wherever they appear
+  const CREDENTIAL_KEY = /^(?:api[_-]?key|apikey|(?:access|auth|bearer|refresh)[_-]?token|token|secret|client[_-]?secret|password|passwd|authorization|private[_-]?key|x-api-key)$/i;
+  const CREDENTIAL_VALUE = [
+    /\bbearer\s+[\w\-.~+/]{12,}=*/i,
+    /\bbasic\s+[a-z\d+/]{16,}=*/i,
+    /\b(?:sk|pk|rk)_(?:live|test)_\w{10,}/,
+    /\bxox[abpr]-[\w-]{10,}/,
+    /\bgh[pousr]_\w{20,}/,
+    /\bAKIA[0-9A-Z]{16}\b/,
+    /[?&](?:api[_-]?key|key|token|access[_-]?token|secret)=[^&{\s]{8,}/i
+  ];
+  const URL_PATTERN = /\bhttps?:\/\/([\w.-]+)/gi;
+
+  // Fields that address a service; links inside message text don't count
+  const URL_KEY = /^(?:url|uri|endpoint|base[_-]?url|webhook[_-]?url)$/i;
+
+  /**
+   * A blueprint from exported JSON text: the blueprint itself or Make's API
+   * wrapper around it. Throws when the text isn't one.
+   */
+  function parseBlueprint(text) {
+    let data;
+    try {
+      data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+      throw new Error('Not a Make blueprint: the file is not valid JSON');
+    }
+    const blueprint = data && (data.response && data.response.blueprint || data.blueprint || data);
+    if (!blueprint || !Array.isArray(blueprint.flow)) {
+      throw new Error('Not a Make blueprint: it has no "flow" list of modules');
+    }
+    return blueprint;
+  }
+
+  function appOf(module) {
+    return String(module.module || '').split(':')[0];
+  }
+
+  /**
+   * "Google Sheets" for google-sheets:watchRows, "HTTP" for http:ActionSendData
+   */
+  function appLabel(module) {
+    const app = appOf(module);
+    if (APP_LABELS[app]) return APP_LABELS[app];
+    return app.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ') || 'Unknown app';
+  }
+
+  function moduleName(module) {
+    return `Module ${module.id} (${appLabel(module)})`;
+  }
+
+  function isExternal(module) {
+    return !INTERNAL_APPS.includes(appOf(module));
+  }
+
+  function hasErrorHandler(module) {
+    return Array.isArray(module.onerror) && module.onerror.length > 0;
+  }
+
+  function isAggregator(module) {
+    return Boolean(module.parameters && module.parameters.feeder !== undefined && module.parameters.feeder !== null);
+  }
+
+  /**
+   * Every route in the blueprint as {kind, label, flow}: the main route,
+   * each router's routes and each error handler route, depth first
+   */
+  function collectRoutes(flow, kind = 'main', label = 'The main route', routes = []) {
+    routes.push({ kind, label, flow });
+    flow.forEach(module => {
+      if (module.module === ROUTER && Array.isArray(module.routes)) {
+        module.routes.forEach((route, index) =>
+          collectRoutes(route.flow || [], 'route', `Route ${index + 1} of the router (module ${module.id})`, routes));
+      }
+      if (hasErrorHandler(module)) {
+        collectRoutes(module.onerror, 'errorHandler', `The error handler of module ${module.id}`, routes);
+      }
+    });
+    return routes;
+  }
+
+  /**
+   * Modules a route runs, including those on its routers' routes
+   */
+  function flattenFlow(flow) {
+    return flow.reduce((modules, module) => {
+      modules.push(module);
+      if (module.module === ROUTER && Array.isArray(module.routes)) {
+        module.routes.forEach(route => modules.push(...flattenFlow(route.flow || [])));
+      }
+      return modules;
+    }, []);
+  }
+
+  /**
+   * Names of fields holding secrets in a module's mapper and parameters
+   */
+  function findCredentials(value, key = '', found = []) {
+    if (typeof value === 'string') {
+      const literal = value.trim() && !value.includes('{{');
+      if ((literal && CREDENTIAL_KEY.test(key)) || CREDENTIAL_VALUE.some(pattern => pattern.test(value))) {
+        found.push(key || 'a value');
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(item => findCredentials(item, key, found));
+    } else if (value && typeof value === 'object') {
+      // Header and query lists: [{ name: 'Authorization', value: 'Bearer ...' }]
+      if (typeof value.name === 'string' && typeof value.value === 'string') {
+        findCredentials(value.value, value.name, found);
+      } else {
+        Object.entries(value).forEach(([childKey, child]) => findCredentials(child, childKey, found));
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Hosts typed into a module's URL fields
+   */
+  function findHosts(value, key = '', hosts = new Set()) {
+    if (typeof value === 'string') {
+      if (URL_KEY.test(key)) {
+        for (const match of value.matchAll(URL_PATTERN)) hosts.add(match[1].toLowerCase());
+      }
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([childKey, child]) => findHosts(child, childKey, hosts));
+    }
+    return hosts;
+  }
+
+  /**
+   * Trigger, module and route counts and findings ({id, level, text,
+   * moduleId}, most severe first) for a blueprint
+   */
+  function lintBlueprint(blueprint) {
+    const routes = collectRoutes(blueprint.flow);
+    const modules = routes.reduce((all, route) => all.concat(route.flow), []);
+    const trigger = blueprint.flow[0] || null;
+    const instant = Boolean(blueprint.metadata && blueprint.metadata.instant) ||
+      (trigger !== null && appOf(trigger) === 'gateway');
+    const findings = [];
+
+    // Error handlers: each route that calls other apps needs one somewhere
+    routes.filter(route => route.kind !== 'errorHandler').forEach(route => {
+      const calls = route.flow.filter(module => module !== trigger && isExternal(module));
+      if (calls.length === 0 || calls.some(hasErrorHandler)) return;
+      const apps = Array.from(new Set(calls.map(appLabel)));
+      findings.push({
+        id: 'noErrorHandler',
+        level: 'warning',
+        moduleId: calls[0].id,
+        text: `${route.label} has no error handler: if ${listNames(apps, 'or')} fails, the run stops there. ` +
+          'Add an error handler (Break to retry, Resume or Ignore) to the modules that call other apps.'
+      });
+    });
+
+    // Iterator straight into its aggregator only rebuilds the array
+    routes.forEach(route => {
+      route.flow.forEach((module, index) => {
+        const previous = route.flow[index - 1];
+        if (!isAggregator(module) || !previous || previous.module !== ITERATOR ||
+            String(module.parameters.feeder) !== String(previous.id)) return;
+        findings.push({
+          id: 'iteratorToAggregator',
+          level: 'warning',
+          moduleId: previous.id,
+          text: `The iterator (module ${previous.id}) feeds the aggregator (module ${module.id}) directly, which rebuilds ` +
+            'the same array at one operation per item. Map the array straight into the next module instead.'
+        });
+      });
+    });
+
+    // Filters: a polling trigger with nothing checking its output, and routers sending every bundle everywhere
+    if (trigger && !instant && modules.length > 1 && !modules.some(module => module.filter)) {
+      findings.push({
+        id: 'pollingNoFilter',
+        level: 'warning',
+        moduleId: trigger.id,
+        text: `The ${appLabel(trigger)} trigger polls and no filter checks what it returns, so every bundle runs the ` +
+          'whole scenario. Add a filter on the link after the trigger.'
+      });
+    }
+    modules.filter(module => module.module === ROUTER && Array.isArray(module.routes)).forEach(router => {
+      const unfiltered = router.routes.filter(route => !(route.flow && route.flow[0] && route.flow[0].filter));
+      if (unfiltered.length < 2) return;
+      findings.push({
+        id: 'routerNoFilter',
+        level: 'warning',
+        moduleId: router.id,
+        text: `The router (module ${router.id}) sends every bundle down ${unfiltered.length} routes without a filter, ` +
+          'so each of them runs for every bundle. Add filters, or merge routes that always run together.'
+      });
+    });
+
+    // Hardcoded credentials and URLs
+    modules.forEach(module => {
+      const fields = Array.from(new Set(findCredentials([module.parameters, module.mapper])));
+      if (fields.length > 0) {
+        findings.push({
+          id: 'hardcodedCredential',
+          level: 'critical',
+          moduleId: module.id,
+          text: `${moduleName(module)} has a credential typed into the ${listNames(fields)} ${plural(fields.length, 'field')}. Anyone with the blueprint can ` +
+            'read it: move it into a connection or keychain and rotate it.'
+        });
+      }
+      const hosts = Array.from(findHosts(module.mapper));
+      if (hosts.length > 0) {
+        findings.push({
+          id: 'hardcodedUrl',
+          level: 'info',
+          moduleId: module.id,
+          text: `${moduleName(module)} calls ${listNames(hosts)} by a hardcoded URL. Keep base URLs in a data store or ` +
+            'scenario input so a move between environments doesn\'t mean editing every module.'
+        });
+      }
+    });
+
+    // Fan-out: modules run once per item after an iterator, and iterators inside iterators
+    routes.forEach(route => {
+      route.flow.forEach((module, index) => {
+        if (module.module !== ITERATOR) return;
+        const rest = route.flow.slice(index + 1);
+        const end = rest.findIndex(next => isAggregator(next) && String(next.parameters.feeder) === String(module.id));
+        const perItem = flattenFlow(end === -1 ? rest : rest.slice(0, end));
+        const nested = perItem.find(next => next.module === ITERATOR);
+        if (nested) {
+          findings.push({
+            id: 'nestedIterator',
+            level: 'warning',
+            moduleId: nested.id,
+            text: `The iterator (module ${nested.id}) runs inside the iterator (module ${module.id}), so operations ` +
+              'grow with items × items. Aggregate the inner items first, or filter both lists down.'
+          });
+        } else if (perItem.length >= FAN_OUT_MODULES) {
+          findings.push({
+            id: 'fanOut',
+            level: 'warning',
+            moduleId: module.id,
+            text: `The iterator (module ${module.id}) runs ${perItem.length} modules for every item: ${EXAMPLE_ITEMS} items ` +
+              `cost ${(perItem.length * EXAMPLE_ITEMS).toLocaleString('en-US')} operations. Filter the items first, or aggregate ` +
+              'before the modules that don\'t need to run per item.'
+          });
+        }
+      });
+    });
+
+    findings.sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level));
+
+    return {
+      name: blueprint.name || null,
+      trigger: trigger ? { app: appLabel(trigger), module: trigger.module, instant } : null,
+      counts: {
+        modules: modules.length,
+        routes: routes.filter(route => route.kind === 'route').length,
+        errorHandlers: modules.filter(hasErrorHandler).length,
+        filters: modules.filter(module => module.filter).length
+      },
+      findings
+    };
+  }
+
+  const FlowFixBlueprint = {
+    parseBlueprint,
+    appLabel,
+    lintBlueprint
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixBlueprint;
+  } else {
+    root.FlowFixBlueprint = FlowFixBlueprint;
+  }
+})(globalThis);
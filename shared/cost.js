@@ -0,0 +1,131 @@
+/**
+ * FlowFix Cost Estimate
+ * Turns plan name and usage into money: monthly spend, cost per workflow,
+ * projected overage charges and what the recommended fixes would save
+ *
+ * Prices come from the pricing table in settings (settings.pricing), which
+ * teams keep up to date on the options page. Loaded after shared/history.js.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixHistory = isCommonJS ? require('./history.js') : root.FlowFixHistory;
+
+  // How many workflows the per-workflow breakdown keeps
+  const TOP_COUNT = 5;
+
+  /**
+   * The pricing table's entry for the plan the page shows: an exact name
+   * match, else a tier whose name starts the other ("Pro" / "Professional")
+   */
+  function findPlan(plans, planName) {
+    if (!plans || !planName) return null;
+    const wanted = planName.trim().toLowerCase();
+    const names = Object.keys(plans);
+    const name = names.find(candidate => candidate.toLowerCase() === wanted) ||
+      names.find(candidate => wanted.startsWith(candidate.toLowerCase()) || candidate.toLowerCase().startsWith(wanted));
+    return name ? Object.assign({ name }, plans[name]) : null;
+  }
+
+  function money(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Cost estimate for a workspace, or null when its plan isn't in the
+   * pricing table. Without a price the estimate says so (reason), so the
+   * popup can point at the settings page.
+   *
+   * runAnalysis (shared/runs.js) splits the spend by how much each workflow
+   * consumed; without it the spend is split evenly over the active ones.
+   * savings lists what the polling fixes (shared/polling.js) would save.
+   */
+  function estimateCost({ metrics, pricing, forecast = null, runAnalysis = null, pollingWaste = [] }) {
+    const planEntry = findPlan(pricing.plans[metrics.platform], metrics.planName);
+    if (!planEntry) return null;
+    if (planEntry.price === null) {
+      return { currency: pricing.currency, plan: planEntry.name, reason: 'noPrice' };
+    }
+
+    // Tiers of a plan differ by quota; price the quota the page shows at the tier's unit price
+    const snapshot = FlowFixHistory.toSnapshot(metrics);
+    const unitPrice = planEntry.price / planEntry.included;
+    const price = money(snapshot.limit ? unitPrice * snapshot.limit : planEntry.price);
+
+    const overageUnits = forecast && forecast.overage > 0 ? forecast.overage : 0;
+    const overageCost = overageUnits > 0 && planEntry.overagePerUnit !== null
+      ? money(overageUnits * planEntry.overagePerUnit)
+      : 0;
+    const monthlySpend = money(price + overageCost);
+
+    let perWorkflow = [];
+    if (runAnalysis && runAnalysis.consumed > 0) {
+      perWorkflow = runAnalysis.byWorkflow
+        .filter(entry => entry.consumed > 0)
+        .map(entry => ({
+          key: entry.key,
+          name: entry.name || entry.key,
+          share: Math.round((entry.consumed / runAnalysis.consumed) * 100),
+          cost: money(monthlySpend * (entry.consumed / runAnalysis.consumed))
+        }));
+    } else if (Array.isArray(metrics.workflows)) {
+      const active = metrics.workflows.filter(workflow => workflow.status !== 'off');
+      perWorkflow = active.map(workflow => ({
+        key: workflow.id || workflow.name,
+        name: workflow.name,
+        share: Math.round(100 / active.length),
+        cost: money(monthlySpend / active.length)
+      }));
+    }
+    perWorkflow.sort((a, b) => b.cost - a.cost);
+
+    // Wasted units are worth the plan's unit price, or the overage rate once over the limit
+    const wasteRate = overageCost > 0 ? planEntry.overagePerUnit : unitPrice;
+    const savings = pollingWaste.map(entry => ({
+      key: entry.key,
+      name: entry.name,
+      units: entry.instantSavings,
+      amount: money(entry.instantSavings * wasteRate)
+    }));
+
+    return {
+      currency: pricing.currency,
+      plan: planEntry.name,
+      reason: null,
+      price,
+      unitPrice,
+      monthlySpend,
+      overageUnits,
+      overageCost,
+      perWorkflow: perWorkflow.slice(0, TOP_COUNT),
+      split: runAnalysis && runAnalysis.consumed > 0 ? 'consumption' : 'even',
+      savings,
+      totalSavings: money(savings.reduce((sum, entry) => sum + entry.amount, 0))
+    };
+  }
+
+  /**
+   * "$29.99" in the configured currency
+   */
+  function formatMoney(amount, currency) {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      return `${amount.toFixed(2)} ${currency}`;
+    }
+  }
+
+  const FlowFixCost = {
+    findPlan,
+    estimateCost,
+    formatMoney
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixCost;
+  } else {
+    root.FlowFixCost = FlowFixCost;
+  }
+})(globalThis);
@@ -0,0 +1,202 @@
+/**
+ * FlowFix Error Clustering
+ * Groups the error messages read off run history pages into a few known
+ * causes (expired connection, rate limit, client error from an app, missing
+ * required field, timeout) and gives each a fix for the platform at hand
+ *
+ * Messages differ run to run only in ids, numbers, quoted values and URLs,
+ * so they are normalized before grouping. Runs are the records stored by
+ * content/core.js buildRunHistory; loaded the same way as shared/runs.js,
+ * after shared/text.js.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixText = isCommonJS ? require('./text.js') : root.FlowFixText;
+
+  const { describeNames, countOf } = FlowFixText;
+
+  // Runs whose message says what went wrong; halted Zapier runs often carry one too
+  const ERROR_STATES = ['error', 'halted', 'incomplete'];
+
+  // Checked in order, so a 401 is an auth problem before it is a 4xx
+  const CATEGORIES = [
+    {
+      id: 'auth',
+      label: 'Expired or invalid connection',
+      level: 'critical',
+      pattern: /\b(?:401|unauthori[sz]ed|invalid[ _-]?(?:api[ _-]?key|token|grant|credentials)|(?:token|session|connection) (?:has )?(?:expired|revoked)|authenticat\w* (?:failed|error)|reconnect)\b/
+    },
+    {
+      id: 'rateLimit',
+      label: 'Rate limit (429)',
+      level: 'warning',
+      pattern: /\b(?:429|too many requests|rate[ -]?limit\w*|throttl\w*|quota exceeded)\b/
+    },
+    {
+      id: 'timeout',
+      label: 'Timeout',
+      level: 'warning',
+      pattern: /\b(?:timed? ?out|timeout|etimedout|esockettimedout|504|gateway time-?out)\b/
+    },
+    {
+      id: 'missingField',
+      label: 'Missing required field',
+      level: 'critical',
+      pattern: /\b(?:required (?:field|parameter|value)|(?:is|are) required|missing (?:required )?(?:field|parameter|value)|was empty|cannot be (?:empty|blank)|must not be (?:empty|blank))\b/
+    },
+    {
+      id: 'clientError',
+      label: 'Request rejected (4xx)',
+      level: 'warning',
+      pattern: /\b(?:4\d\d|bad request|not found|forbidden|unprocessable|conflict)\b/
+    },
+    {
+      id: 'serverError',
+      label: 'App unavailable (5xx)',
+      level: 'warning',
+      pattern: /\b(?:5\d\d|internal server error|service unavailable|bad gateway)\b/
+    }
+  ];
+
+  const OTHER = { id: 'other', label: 'Other errors', level: 'warning' };
+
+  // {app} is replaced with the app the errors came from, or "the app"
+  const REMEDIATIONS = {
+    zapier: {
+      auth: 'Reconnect {app} under My Apps, then replay the failed runs from Zap History.',
+      rateLimit: '{app} is rate limiting this zap. Add a Delay or Delay After Queue step, or batch with Digest, then replay the runs.',
+      timeout: '{app} didn\'t answer in time. Replay the runs; if it keeps happening, split large requests or move heavy work out of the zap.',
+      missingField: 'A required field reached {app} empty. Add a Filter before the step or map a fallback value with Formatter.',
+      clientError: '{app} rejected the request. Check the field mapping against what the app expects (ids, formats, permissions).',
+      serverError: '{app} was down. Turn on Autoreplay so failed runs are retried automatically.',
+      other: 'Open the failed runs in Zap History to see the step that errored.'
+    },
+    make: {
+      auth: 'Reauthorize the connection to {app} under Connections, then run the incomplete executions again.',
+      rateLimit: '{app} is rate limiting this scenario. Add a Break error handler with retries, or lower the scheduling frequency or the max results per run.',
+      timeout: '{app} didn\'t answer in time. Add a Break error handler with retries, or process fewer bundles per cycle.',
+      missingField: 'A required field reached {app} empty. Add a filter before the module or use ifempty() to map a fallback.',
+      clientError: '{app} rejected the request. Check the module mapping and the connection\'s permissions; add a Resume or Ignore handler for expected misses.',
+      serverError: '{app} was down. Add a Break error handler so the executions are retried, and allow storing incomplete executions.',
+      other: 'Open the scenario\'s History to see the module that errored.'
+    }
+  };
+
+  /**
+   * Message with the parts that vary between runs replaced by placeholders,
+   * so the same failure groups together
+   */
+  function normalizeErrorMessage(message) {
+    return (message || '')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, '<url>')
+      .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, '<email>')
+      .replace(/"[^"]*"|'[^']*'|`[^`]*`/g, '<value>')
+      .replace(/\b(?!(?:4|5)\d\d\b)[\da-f]*\d[\da-f-]*\b/g, '<id>')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * App an error came from: Make's failed module ("HTTP (Make a request)",
+   * "Google Sheets - Add a Row") or the start of the message
+   * ("Slack returned ..."). Null when neither says.
+   */
+  function errorApp(run) {
+    const label = (run.errorModule || '').trim();
+    if (label) {
+      // Redacted or renamed modules keep the app in parentheses: "[Sync rows] (Google Sheets)"
+      const renamed = label.match(/^\[[^\]]*\]\s*\(([^)]+)\)$/);
+      if (renamed) return renamed[1].trim();
+      return label.split(/\s+[-–:]\s+|\s*\(/)[0].trim() || null;
+    }
+    const fromMessage = (run.error || '').match(/^([A-Z][\w.&' ]{1,40}?) (?:returned|responded|says|API)\b/);
+    return fromMessage && !/^the\b/i.test(fromMessage[1]) ? fromMessage[1] : null;
+  }
+
+  function classifyError(message) {
+    const text = (message || '').toLowerCase();
+    return CATEGORIES.find(category => category.pattern.test(text)) || OTHER;
+  }
+
+  /**
+   * Error clusters for a list of runs, biggest first. Known causes group by
+   * cause and app; anything else by its normalized message.
+   */
+  function clusterErrors(runs = []) {
+    const clusters = new Map();
+    runs
+      .filter(run => ERROR_STATES.includes(run.status) && (run.error || run.errorModule))
+      .forEach(run => {
+        const category = classifyError(run.error);
+        const app = errorApp(run);
+        const signature = normalizeErrorMessage(run.error);
+        const key = category === OTHER ? `other:${signature}` : `${category.id}:${app || ''}`;
+        if (!clusters.has(key)) {
+          clusters.set(key, {
+            category: category.id,
+            label: category.label,
+            level: category.level,
+            app,
+            signature,
+            sample: run.error || null,
+            count: 0,
+            workflows: [],
+            lastAt: null
+          });
+        }
+        const cluster = clusters.get(key);
+        cluster.count++;
+        const name = run.workflow || run.workflowId;
+        if (name && !cluster.workflows.includes(name)) cluster.workflows.push(name);
+        if (run.timeAt && (!cluster.lastAt || run.timeAt > cluster.lastAt)) cluster.lastAt = run.timeAt;
+      });
+
+    return Array.from(clusters.values())
+      .sort((a, b) => b.count - a.count || (b.lastAt || '').localeCompare(a.lastAt || ''));
+  }
+
+  /**
+   * The platform's fix for a cluster, naming its app
+   */
+  function remediationFor(cluster, platform) {
+    const remediations = REMEDIATIONS[platform] || REMEDIATIONS.zapier;
+    const text = remediations[cluster.category] || remediations.other;
+    const filled = text.replace(/\{app\}/g, cluster.app || 'the app');
+    return filled.charAt(0).toUpperCase() + filled.slice(1);
+  }
+
+  /**
+   * Popup recommendations ({level, text}) for the biggest clusters
+   */
+  function errorRecommendations(runs, platform, max = 3) {
+    return clusterErrors(runs).slice(0, max).map(cluster => {
+      const where = cluster.workflows.length > 0 ? ` in ${describeNames(cluster.workflows)}` : '';
+      const app = cluster.app && cluster.category !== 'other' ? ` from ${cluster.app}` : '';
+      return {
+        level: cluster.level,
+        text: `${cluster.label}${app}: ${countOf(cluster.count, 'run')}${where}. ${remediationFor(cluster, platform)}`
+      };
+    });
+  }
+
+  const FlowFixErrors = {
+    CATEGORIES,
+    REMEDIATIONS,
+    normalizeErrorMessage,
+    errorApp,
+    classifyError,
+    clusterErrors,
+    remediationFor,
+    errorRecommendations
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixErrors;
+  } else {
+    root.FlowFixErrors = FlowFixErrors;
+  }
+})(globalThis);
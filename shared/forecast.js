@@ -0,0 +1,110 @@
+/**
+ * FlowFix Quota Forecast
+ * Projects when the task/operation quota runs out and the overage at the
+ * billing reset, from the stored history and the scraped reset date
+ *
+ * Works on history snapshots (shared/history.js), so it is platform-agnostic.
+ * Loaded the same way as shared/history.js.
+ */
+
+(function(root) {
+  'use strict';
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Below this much history in the current cycle, the cycle-to-date average is steadier
+  const MIN_HISTORY_SPAN_MS = 12 * 60 * 60 * 1000;
+
+  function toDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Start of the monthly cycle ending at resetDate (same day, previous month,
+   * clamped for short months)
+   */
+  function cycleStartFor(resetDate) {
+    const reset = new Date(`${resetDate}T00:00:00Z`);
+    const year = reset.getUTCFullYear();
+    const month = reset.getUTCMonth() - 1;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return Date.UTC(year, month, Math.min(reset.getUTCDate(), lastDay));
+  }
+
+  /**
+   * Snapshots with usage from the current cycle. A drop in usage means the
+   * quota reset in between, so only readings after the last drop count.
+   */
+  function currentCycle(snapshots, cycleStart) {
+    const readings = snapshots.filter(snapshot =>
+      typeof snapshot.used === 'number' && Date.parse(snapshot.timestamp) >= cycleStart
+    );
+    let start = 0;
+    for (let i = 1; i < readings.length; i++) {
+      if (readings[i].used < readings[i - 1].used) start = i;
+    }
+    return readings.slice(start);
+  }
+
+  /**
+   * Forecast for the latest snapshot, or null without enough to go on.
+   * basis is 'history' (slope of this cycle's snapshots) or 'cycle'
+   * (usage so far divided by days since the cycle started).
+   */
+  function forecastQuota(current, snapshots = [], resetDate = null) {
+    const { used, limit } = current;
+    const now = Date.parse(current.timestamp);
+    if (typeof used !== 'number' || !limit || Number.isNaN(now)) return null;
+
+    const resetAt = resetDate ? Date.parse(`${resetDate}T00:00:00Z`) : null;
+    const cycleStart = resetAt ? cycleStartFor(resetDate) : -Infinity;
+
+    const readings = currentCycle(snapshots, cycleStart)
+      .filter(snapshot => Date.parse(snapshot.timestamp) < now);
+    const first = readings[0];
+    const firstTime = first ? Date.parse(first.timestamp) : now;
+
+    let ratePerDay = null;
+    let basis = null;
+    if (first && now - firstTime >= MIN_HISTORY_SPAN_MS && used >= first.used) {
+      ratePerDay = (used - first.used) / ((now - firstTime) / DAY_MS);
+      basis = 'history';
+    } else if (resetAt && now > cycleStart) {
+      ratePerDay = used / ((now - cycleStart) / DAY_MS);
+      basis = 'cycle';
+    }
+    if (ratePerDay === null) return null;
+
+    let exhaustAt = null;
+    if (used >= limit) exhaustAt = now;
+    else if (ratePerDay > 0) exhaustAt = now + ((limit - used) / ratePerDay) * DAY_MS;
+
+    const projectedAtReset = resetAt && resetAt > now
+      ? Math.round(used + ratePerDay * ((resetAt - now) / DAY_MS))
+      : null;
+
+    return {
+      basis,
+      used,
+      limit,
+      ratePerDay: Math.round(ratePerDay),
+      resetDate: resetAt ? resetDate : null,
+      exhaustDate: exhaustAt !== null ? toDay(exhaustAt) : null,
+      daysUntilExhausted: exhaustAt !== null ? Math.floor((exhaustAt - now) / DAY_MS) : null,
+      exhaustsBeforeReset: exhaustAt !== null && (resetAt === null || exhaustAt < resetAt),
+      projectedAtReset,
+      overage: projectedAtReset !== null ? Math.max(0, projectedAtReset - limit) : 0
+    };
+  }
+
+  const FlowFixForecast = {
+    cycleStartFor,
+    forecastQuota
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowFixForecast;
+  } else {
+    root.FlowFixForecast = FlowFixForecast;
+  }
+})(globalThis);
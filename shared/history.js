@@ -0,0 +1,176 @@
+/**
+ * FlowFix Metrics History
+ * Bounded, per-account timeline of metric snapshots kept in chrome.storage.local
+ *
+ * Pure helpers only: the service worker records snapshots with them and the
+ * popup reads them back to draw trend sparklines. Each workspace
+ * (shared/workspaces.js) has its own timeline. Loaded after shared/settings.js
+ * and shared/workspaces.js as a plain script (popup), a side-effect import
+ * (module service worker) or, under Node, a CommonJS module for the test suite.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixSettings = isCommonJS ? require('./settings.js') : root.FlowFixSettings;
+  const FlowFixWorkspaces = isCommonJS ? require('./workspaces.js') : root.FlowFixWorkspaces;
+
+  const HISTORY_KEY = 'metricsHistory';
+  const { RETENTION_OPTIONS } = FlowFixSettings;
+  const DEFAULT_RETENTION_DAYS = FlowFixSettings.DEFAULT_SETTINGS.historyRetentionDays;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // At most one snapshot per hour; a later extraction in the same hour replaces it
+  const SNAPSHOT_BUCKET_MS = 60 * 60 * 1000;
+
+  // Hard cap per account, whatever the retention
+  const MAX_SNAPSHOTS = 2000;
+
+  // Metrics fields behind the charted and forecast values, per platform
+  const PLATFORM_FIELDS = {
+    zapier: {
+      errors: 'errorZaps', usagePercent: 'taskUsagePercent', total: 'totalZaps',
+      used: 'tasksUsed', limit: 'taskLimit'
+    },
+    make: {
+      errors: 'errorScenarios', usagePercent: 'operationsUsagePercent', total: 'totalScenarios',
+      used: 'operationsUsed', limit: 'operationsLimit'
+    }
+  };
+
+  function toSnapshot(metrics) {
+    const fields = PLATFORM_FIELDS[metrics.platform] || {};
+    const read = field => (field && typeof metrics[field] === 'number' ? metrics[field] : null);
+    return {
+      timestamp: metrics.timestamp,
+      healthScore: read('healthScore'),
+      errors: read(fields.errors),
+      usagePercent: read(fields.usagePercent),
+      total: read(fields.total),
+      used: read(fields.used),
+      limit: read(fields.limit)
+    };
+  }
+
+  function normalizeRetention(days) {
+    return RETENTION_OPTIONS.includes(days) ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Drop snapshots older than the retention window and beyond the hard cap
+   */
+  function pruneSnapshots(snapshots, retentionDays, now = Date.now()) {
+    const cutoff = now - normalizeRetention(retentionDays) * DAY_MS;
+    return snapshots
+      .filter(snapshot => Date.parse(snapshot.timestamp) >= cutoff)
+      .slice(-MAX_SNAPSHOTS);
+  }
+
+  function appendSnapshot(snapshots, snapshot, retentionDays, now = Date.now()) {
+    const time = Date.parse(snapshot.timestamp);
+    if (Number.isNaN(time)) return pruneSnapshots(snapshots, retentionDays, now);
+
+    const next = snapshots.slice();
+    const last = next[next.length - 1];
+    const lastTime = last ? Date.parse(last.timestamp) : -Infinity;
+
+    if (time < lastTime) {
+      // Late message from an older extraction; the timeline only moves forward
+    } else if (Math.floor(time / SNAPSHOT_BUCKET_MS) === Math.floor(lastTime / SNAPSHOT_BUCKET_MS)) {
+      next[next.length - 1] = snapshot;
+    } else {
+      next.push(snapshot);
+    }
+    return pruneSnapshots(next, retentionDays, now);
+  }
+
+  /**
+   * One timeline from two (a restored backup and this browser's): one
+   * snapshot per hour, the later reading winning within an hour as in
+   * appendSnapshot, then pruned to the retention window
+   */
+  function mergeSnapshots(current, incoming, retentionDays, now = Date.now()) {
+    const buckets = new Map();
+    current.concat(incoming).forEach(snapshot => {
+      const time = Date.parse(snapshot.timestamp);
+      if (Number.isNaN(time)) return;
+      const bucket = Math.floor(time / SNAPSHOT_BUCKET_MS);
+      const held = buckets.get(bucket);
+      if (!held || time > Date.parse(held.timestamp)) buckets.set(bucket, snapshot);
+    });
+    const merged = Array.from(buckets.values())
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    return pruneSnapshots(merged, retentionDays, now);
+  }
+
+  /**
+   * New history object with the metrics recorded under their account
+   */
+  function recordSnapshot(history, metrics, retentionDays, now = Date.now()) {
+    const key = FlowFixWorkspaces.getAccountKey(metrics);
+    return Object.assign({}, history, {
+      [key]: appendSnapshot(history[key] || [], toSnapshot(metrics), retentionDays, now)
+    });
+  }
+
+  /**
+   * Apply a (possibly shorter) retention to every account, dropping empty ones
+   */
+  function pruneHistory(history, retentionDays, now = Date.now()) {
+    const pruned = {};
+    Object.entries(history).forEach(([key, snapshots]) => {
+      const kept = pruneSnapshots(snapshots, retentionDays, now);
+      if (kept.length > 0) pruned[key] = kept;
+    });
+    return pruned;
+  }
+
+  /**
+   * Chart coordinates for one snapshot field, x by time and y inverted for SVG.
+   * Snapshots where the field was not detected are left out.
+   */
+  function sparklinePoints(snapshots, field, width, height, range = {}) {
+    const points = snapshots
+      .map(snapshot => ({ time: Date.parse(snapshot.timestamp), value: snapshot[field] }))
+      .filter(point => typeof point.value === 'number' && !Number.isNaN(point.time));
+    if (points.length === 0) return [];
+
+    const values = points.map(point => point.value);
+    const min = range.min !== undefined ? range.min : Math.min(...values);
+    const max = range.max !== undefined ? range.max : Math.max(...values);
+    const first = points[0].time;
+    const span = points[points.length - 1].time - first;
+
+    return points.map(point => {
+      const clamped = Math.min(Math.max(point.value, min), max);
+      return {
+        x: span > 0 ? ((point.time - first) / span) * width : width,
+        y: max > min ? height - ((clamped - min) / (max - min)) * height : height / 2,
+        value: point.value
+      };
+    });
+  }
+
+  const FlowFixHistory = {
+    HISTORY_KEY,
+    RETENTION_OPTIONS,
+    DEFAULT_RETENTION_DAYS,
+    MAX_SNAPSHOTS,
+    toSnapshot,
+    normalizeRetention,
+    pruneSnapshots,
+    appendSnapshot,
+    mergeSnapshots,
+    recordSnapshot,
+    pruneHistory,
+    sparklinePoints
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixHistory;
+  } else {
+    root.FlowFixHistory = FlowFixHistory;
+  }
+})(globalThis);
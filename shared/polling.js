@@ -0,0 +1,147 @@
+/**
+ * FlowFix Polling Waste
+ * Finds workflows whose trigger keeps checking for data that isn't there:
+ * many runs a month, almost none of which do anything, each still costing
+ * tasks or operations. Estimates what an instant (webhook) trigger or a
+ * longer interval would save.
+ *
+ * Trigger type comes from the schedule read off the workflow rows (Make's
+ * scenario schedule, Zapier's trigger label: content/core.js "schedule"
+ * fields) and output from the stored run history. Loaded the same way as
+ * shared/runs.js, after shared/text.js.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixText = isCommonJS ? require('./text.js') : root.FlowFixText;
+
+  const MINUTES_PER_MONTH = 30 * 24 * 60;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Finished runs needed before a workflow's output is judged
+  const MIN_SAMPLE = 10;
+
+  // Percent of runs that do nothing for the output to count as near zero
+  const EMPTY_SHARE = 80;
+
+  // Only workflows polling at least hourly are worth a recommendation
+  const MIN_RUNS_PER_MONTH = MINUTES_PER_MONTH / 60;
+
+  // Intervals suggested instead, in minutes
+  const LONGER_INTERVALS = [15, 60, 4 * 60, 24 * 60];
+
+  /**
+   * 'instant', 'polling' or 'manual' from what the row says about the
+   * trigger, or null when it says nothing
+   */
+  function triggerTypeOf(workflow) {
+    if (workflow.triggerType) return workflow.triggerType;
+    if (typeof workflow.scheduleMinutes === 'number') return 'polling';
+    const schedule = (workflow.schedule || '').toLowerCase();
+    if (/\b(?:immediately|instant(?:ly)?|webhook)\b/.test(schedule)) return 'instant';
+    if (/\b(?:on demand|manual(?:ly)?)\b/.test(schedule)) return 'manual';
+    if (/\b(?:polling|scheduled?)\b/.test(schedule)) return 'polling';
+    return null;
+  }
+
+  /**
+   * A finished run that produced nothing: stopped by a filter or a halt, or
+   * on Make a run that only spent the trigger's own check
+   */
+  function isEmptyRun(run, platform) {
+    if (run.status === 'filtered' || run.status === 'halted') return true;
+    return platform === 'make' && ['success', 'warning'].includes(run.status) &&
+      typeof run.consumed === 'number' && run.consumed <= 1;
+  }
+
+  /**
+   * Runs a month from the polling interval, else extrapolated from how
+   * often the workflow ran in the stored history
+   */
+  function estimateRunsPerMonth(workflow, runs) {
+    if (typeof workflow.scheduleMinutes === 'number' && workflow.scheduleMinutes > 0) {
+      return Math.round(MINUTES_PER_MONTH / workflow.scheduleMinutes);
+    }
+    const times = runs.map(run => Date.parse(run.timeAt)).filter(time => !Number.isNaN(time));
+    if (times.length < 2) return null;
+    const spanDays = (Math.max(...times) - Math.min(...times)) / DAY_MS;
+    return spanDays > 0 ? Math.round(((times.length - 1) / spanDays) * 30) : null;
+  }
+
+  function suggestInterval(minutes) {
+    if (typeof minutes !== 'number') return null;
+    return LONGER_INTERVALS.find(interval => interval >= minutes * 4) || null;
+  }
+
+  /**
+   * Polling workflows with near-zero output, most wasteful first. Each
+   * entry has the estimated runs and wasted tasks/operations a month and
+   * the savings from an instant trigger or from suggestedInterval.
+   */
+  function detectPollingWaste(workflows = [], runs = [], platform) {
+    return workflows
+      .filter(workflow => triggerTypeOf(workflow) === 'polling')
+      .map(workflow => {
+        const own = runs.filter(run =>
+          (workflow.id && run.workflowId === workflow.id) || (!workflow.id && run.workflow === workflow.name));
+        const finished = own.filter(run => !['waiting', 'unknown'].includes(run.status));
+        if (finished.length < MIN_SAMPLE) return null;
+
+        const empty = finished.filter(run => isEmptyRun(run, platform));
+        const emptyShare = Math.round((empty.length / finished.length) * 100);
+        const runsPerMonth = estimateRunsPerMonth(workflow, own);
+        if (emptyShare < EMPTY_SHARE || runsPerMonth === null || runsPerMonth < MIN_RUNS_PER_MONTH) return null;
+
+        const costs = empty.map(run => (typeof run.consumed === 'number' ? run.consumed : 0));
+        const perEmptyRun = costs.reduce((sum, cost) => sum + cost, 0) / costs.length;
+        const wastedPerMonth = Math.round(runsPerMonth * (emptyShare / 100) * perEmptyRun);
+        if (wastedPerMonth <= 0) return null;
+
+        const suggestedInterval = suggestInterval(workflow.scheduleMinutes);
+        return {
+          key: workflow.id || workflow.name,
+          name: workflow.name,
+          intervalMinutes: typeof workflow.scheduleMinutes === 'number' ? workflow.scheduleMinutes : null,
+          sample: finished.length,
+          emptyShare,
+          runsPerMonth,
+          wastedPerMonth,
+          // An instant trigger only fires when there is something to do
+          instantSavings: wastedPerMonth,
+          suggestedInterval,
+          intervalSavings: suggestedInterval
+            ? Math.round(wastedPerMonth * (1 - workflow.scheduleMinutes / suggestedInterval))
+            : null
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.wastedPerMonth - a.wastedPerMonth);
+  }
+
+  /**
+   * "15 min", "1 h", "4 h", "1 day"
+   */
+  function formatInterval(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h`;
+    const days = Math.round(minutes / (24 * 60));
+    return FlowFixText.countOf(days, 'day');
+  }
+
+  const FlowFixPolling = {
+    MINUTES_PER_MONTH,
+    triggerTypeOf,
+    isEmptyRun,
+    estimateRunsPerMonth,
+    detectPollingWaste,
+    formatInterval
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixPolling;
+  } else {
+    root.FlowFixPolling = FlowFixPolling;
+  }
+})(globalThis);
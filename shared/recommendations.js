@@ -0,0 +1,446 @@
+/**
+ * FlowFix Recommendations
+ * Rule engine behind the popup's recommendations list
+ *
+ * Each rule declares the context values it needs (skipped when the page
+ * didn't provide them), a condition returning template values (or a list of
+ * them, one recommendation each), a severity and a message template, plus an
+ * optional "learn more" search. Teams turn rules off on the options page
+ * (settings.recommendations.disabledRules); more rules can be added with
+ * registerRule().
+ *
+ * Loaded after shared/text.js, shared/history.js, shared/runs.js,
+ * shared/errors.js and shared/polling.js. The options page loads it with
+ * shared/text.js only, for the rule list.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixHistory = isCommonJS ? require('./history.js') : root.FlowFixHistory;
+  const FlowFixRuns = isCommonJS ? require('./runs.js') : root.FlowFixRuns;
+  const FlowFixErrors = isCommonJS ? require('./errors.js') : root.FlowFixErrors;
+  const FlowFixPolling = isCommonJS ? require('./polling.js') : root.FlowFixPolling;
+  const FlowFixText = isCommonJS ? require('./text.js') : root.FlowFixText;
+
+  const { describeNames, plural } = FlowFixText;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const SEVERITIES = ['critical', 'warning', 'info'];
+
+  const PLATFORM_TERMS = {
+    zapier: {
+      workflow: 'zap', workflows: 'zaps', unit: 'tasks',
+      historyPage: 'Zap History', inactive: 'pausedZaps'
+    },
+    make: {
+      workflow: 'scenario', workflows: 'scenarios', unit: 'operations',
+      historyPage: 'a scenario\'s History', inactive: 'inactiveScenarios'
+    }
+  };
+
+  // What the metrics fields a page may be unsure of are called in messages
+  const FIELD_LABELS = {
+    tasksUsed: 'tasks used',
+    taskLimit: 'task limit',
+    taskUsagePercent: 'task usage',
+    totalZaps: 'zap count',
+    errorZaps: 'zaps with errors',
+    pausedZaps: 'paused zaps',
+    operationsUsed: 'operations used',
+    operationsLimit: 'operations limit',
+    operationsUsagePercent: 'operations usage',
+    totalScenarios: 'scenario count',
+    activeScenarios: 'active scenarios',
+    errorScenarios: 'scenarios with errors',
+    inactiveScenarios: 'inactive scenarios',
+    errorRate: 'error rate',
+    planName: 'plan',
+    accountName: 'account name',
+    teamName: 'team name',
+    billingResetDate: 'billing reset date'
+  };
+
+  // Where "learn more" searches for a rule's topic
+  const HELP_SEARCH = {
+    zapier: 'https://help.zapier.com/hc/en-us/search?query=',
+    make: 'https://community.make.com/search?q='
+  };
+
+  // Paused this long with no run, a workflow is probably abandoned
+  const STALE_PAUSED_DAYS = 60;
+
+  // Share of all consumption one workflow must take to be called out
+  const HIGH_CONSUMER_SHARE = 40;
+
+  function fieldLabel(field) {
+    return FIELD_LABELS[field] || field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  }
+
+  /**
+   * "Oct 27" for a YYYY-MM-DD date
+   */
+  function formatDay(day) {
+    return new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  }
+
+  /**
+   * Names that only differ by copy markers ("Lead sync (copy)", "Copy of
+   * Lead sync", "Lead sync 2") come out the same
+   */
+  function baseName(name) {
+    return (name || '')
+      .toLowerCase()
+      .replace(/^copy of\s+/, '')
+      .replace(/\s*[-–(]?\s*\bcopy\b\s*\)?(?:\s*\d+)?$/, '')
+      .replace(/\s*\(\d+\)$/, '')
+      .replace(/\s+(?:v?\d+)$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // --- Rules ---
+
+  const RULES = [
+    {
+      id: 'manyErrors',
+      title: 'Many workflows failing',
+      description: 'A fifth or more of the workflows on the dashboard show errors.',
+      severity: 'critical',
+      requires: ['errors', 'total'],
+      when: ctx => ctx.errors > 0 && ctx.total > 0 && (ctx.errors / ctx.total) * 100 >= 20 && {
+        errors: ctx.errors,
+        workflows: plural(ctx.errors, ctx.terms.workflow, ctx.terms.workflows),
+        have: plural(ctx.errors, 'has', 'have'),
+        next: ctx.errorsNext,
+        failing: ctx.failing
+      },
+      message: '{errors} {workflows} {have} errors.{next}{failing}'
+    },
+    {
+      id: 'someErrors',
+      title: 'Some workflows failing',
+      description: 'Fewer than a fifth of the workflows show errors.',
+      severity: 'warning',
+      requires: ['errors', 'total'],
+      when: ctx => ctx.errors > 0 && ctx.total > 0 && (ctx.errors / ctx.total) * 100 < 20 && {
+        errors: ctx.errors,
+        workflows: plural(ctx.errors, ctx.terms.workflow, ctx.terms.workflows),
+        needs: plural(ctx.errors, 'needs', 'need'),
+        next: ctx.errorsNext,
+        failing: ctx.failing
+      },
+      message: '{errors} {workflows} {needs} attention.{next}{failing}'
+    },
+    {
+      id: 'errorClusters',
+      title: 'Fixes for recurring errors',
+      description: 'Groups run history errors by cause (expired connection, rate limit, missing field ...) and suggests a fix for each.',
+      severity: 'warning',
+      requires: ['runs'],
+      // errors.js already words each cluster; its level overrides the severity
+      when: ctx => FlowFixErrors.errorRecommendations(ctx.runs, ctx.platform)
+        .map(rec => ({ text: rec.text, severity: rec.level })),
+      message: '{text}',
+      learnMore: { label: 'Error handling', topic: 'error handling' }
+    },
+    {
+      id: 'quotaCritical',
+      title: 'Quota almost used up',
+      description: 'Usage is above the critical usage band on the options page.',
+      severity: 'critical',
+      requires: ['usagePercent'],
+      when: ctx => ctx.usagePercent >= ctx.settings.scoring.usage.critical.above &&
+        { usagePercent: ctx.usagePercent, unit: ctx.terms.unit },
+      message: '{usagePercent}% of {unit} used. Consider upgrading or optimizing.'
+    },
+    {
+      id: 'quotaWarning',
+      title: 'Approaching the quota',
+      description: 'Usage is above the warning usage band.',
+      severity: 'warning',
+      requires: ['usagePercent'],
+      when: ctx => ctx.usagePercent >= ctx.settings.scoring.usage.warning.above &&
+        ctx.usagePercent < ctx.settings.scoring.usage.critical.above &&
+        { unit: ctx.terms.unit.replace(/s$/, '') },
+      message: 'Approaching {unit} limit. Review workflow efficiency.'
+    },
+    {
+      id: 'quotaForecast',
+      title: 'Quota runs out before the reset',
+      description: 'At the current rate the quota is used up before the billing cycle resets.',
+      severity: 'warning',
+      requires: ['forecast'],
+      when: ctx => {
+        const forecast = ctx.forecast;
+        if (!forecast.exhaustsBeforeReset || forecast.used >= forecast.limit) return null;
+        return {
+          severity: forecast.daysUntilExhausted <= 7 ? 'critical' : 'warning',
+          unit: ctx.terms.unit,
+          day: formatDay(forecast.exhaustDate),
+          overage: forecast.overage > 0
+            ? ` Expect about ${forecast.overage.toLocaleString()} ${ctx.terms.unit} over the limit by the ${formatDay(forecast.resetDate)} reset.`
+            : ''
+        };
+      },
+      message: 'At current rate you exhaust {unit} on {day}.{overage}'
+    },
+    {
+      id: 'highConsumer',
+      title: 'One workflow uses most of the quota',
+      description: `A single workflow accounts for ${HIGH_CONSUMER_SHARE}% or more of the tasks or operations in the run history.`,
+      severity: 'warning',
+      requires: ['runAnalysis'],
+      when: ctx => {
+        const top = ctx.runAnalysis.topConsumers[0];
+        if (!top || ctx.runAnalysis.byWorkflow.length < 2) return null;
+        const share = Math.round((top.consumed / ctx.runAnalysis.consumed) * 100);
+        if (share < HIGH_CONSUMER_SHARE) return null;
+        return { name: top.name || top.key, share, unit: ctx.terms.unit, perRun: top.avgConsumed === null ? '?' : top.avgConsumed };
+      },
+      message: '{name} used {share}% of the {unit} in the run history ({perRun} per run). Filter earlier or drop steps to cut it down.',
+      learnMore: { label: 'Reduce usage', topic: 'reduce usage' }
+    },
+    {
+      id: 'pollingWaste',
+      title: 'Polling that finds nothing',
+      description: 'Workflows whose polling trigger runs often while almost every run does nothing, with the tasks or operations an instant trigger or a longer interval would save.',
+      severity: 'warning',
+      requires: ['pollingWaste'],
+      when: ctx => ctx.pollingWaste.map(entry => ({
+        name: entry.name,
+        runsPerMonth: entry.runsPerMonth.toLocaleString(),
+        emptyShare: entry.emptyShare,
+        wasted: entry.wastedPerMonth.toLocaleString(),
+        unit: ctx.terms.unit,
+        interval: entry.suggestedInterval
+          ? `; polling every ${FlowFixPolling.formatInterval(entry.suggestedInterval)} would save about ${entry.intervalSavings.toLocaleString()}`
+          : '',
+        instant: entry.instantSavings.toLocaleString()
+      })),
+      message: '{name} runs about {runsPerMonth} times a month and {emptyShare}% of its runs do nothing, costing about {wasted} {unit} a month. An instant (webhook) trigger would save about {instant}{interval}.',
+      learnMore: { label: 'Instant triggers', topic: 'instant triggers webhooks' }
+    },
+    {
+      id: 'duplicateWorkflows',
+      title: 'Duplicate workflows',
+      description: 'Workflows whose names only differ by "copy" or a number.',
+      severity: 'info',
+      requires: ['workflows'],
+      when: ctx => {
+        const groups = new Map();
+        ctx.workflows.forEach(workflow => {
+          const key = baseName(workflow.name);
+          if (!key) return;
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(workflow.name);
+        });
+        return Array.from(groups.values())
+          .filter(names => names.length > 1)
+          .map(names => ({ count: names.length, workflows: ctx.terms.workflows, names: describeNames(names) }));
+      },
+      message: '{count} {workflows} look like copies of each other: {names}. Merge them or delete the unused ones.'
+    },
+    {
+      id: 'stalePaused',
+      title: 'Long-paused workflows',
+      description: `Workflows that are off and haven't run in ${STALE_PAUSED_DAYS} days.`,
+      severity: 'info',
+      requires: ['workflows'],
+      when: ctx => {
+        const cutoff = ctx.now - STALE_PAUSED_DAYS * DAY_MS;
+        const stale = ctx.workflows.filter(workflow =>
+          workflow.status === 'off' && workflow.lastRunAt && Date.parse(workflow.lastRunAt) < cutoff);
+        return stale.length > 0 && {
+          count: stale.length,
+          workflows: plural(stale.length, ctx.terms.workflow, ctx.terms.workflows),
+          have: plural(stale.length, 'has', 'have'),
+          them: plural(stale.length, 'it', 'them'),
+          days: STALE_PAUSED_DAYS,
+          names: describeNames(stale.map(workflow => workflow.name))
+        };
+      },
+      message: '{count} {workflows} {have} been off for over {days} days: {names}. Delete or archive {them}.'
+    },
+    {
+      id: 'manyInactive',
+      title: 'Many workflows switched off',
+      description: 'A third or more of the workflows are paused or inactive.',
+      severity: 'info',
+      requires: ['inactive', 'total'],
+      when: ctx => ctx.total > 0 && ctx.inactive / ctx.total >= 1 / 3 &&
+        { inactive: ctx.inactive, total: ctx.total, workflows: ctx.terms.workflows },
+      message: '{inactive} of {total} {workflows} are off. Delete the ones you no longer need so real problems stand out.'
+    },
+    {
+      id: 'pollingTriggers',
+      title: 'Polling triggers that could be instant',
+      description: 'Other workflows started by a polling trigger, where the page says which kind of trigger a workflow has.',
+      severity: 'info',
+      requires: ['triggers'],
+      when: ctx => {
+        const wasteful = (ctx.pollingWaste || []).map(entry => entry.key);
+        const polling = ctx.triggers.filter(workflow => FlowFixPolling.triggerTypeOf(workflow) === 'polling' &&
+          !wasteful.includes(workflow.id || workflow.name));
+        return polling.length > 0 && {
+          count: polling.length,
+          workflows: plural(polling.length, ctx.terms.workflow, ctx.terms.workflows),
+          poll: plural(polling.length, 'polls', 'poll'),
+          names: describeNames(polling.map(workflow => workflow.name))
+        };
+      },
+      message: '{count} {workflows} {poll} for new data: {names}. Where the app offers an instant (webhook) trigger, switch to it.',
+      learnMore: { label: 'Instant triggers', topic: 'instant triggers webhooks' }
+    },
+    {
+      id: 'lowConfidence',
+      title: 'Uncertain readings',
+      description: 'Some numbers could only be read from page text and may be off.',
+      severity: 'info',
+      requires: ['provenance'],
+      when: ctx => {
+        const fields = Object.entries(ctx.provenance)
+          .filter(([, entry]) => entry && entry.confidence === 'low')
+          .map(([field]) => fieldLabel(field));
+        return fields.length > 0 && { fields: describeNames(fields) };
+      },
+      message: 'Some values were read from page text and may be off ({fields}). Re-analyze once the dashboard has fully loaded.'
+    },
+    {
+      id: 'healthy',
+      title: 'All clear',
+      description: 'Shown when no other rule has anything to say.',
+      severity: 'info',
+      fallback: true,
+      requires: [],
+      when: () => ({}),
+      message: 'Your integrations are healthy! Consider consolidating similar workflows.'
+    }
+  ];
+
+  /**
+   * Add a rule. Rules need a unique id, a title, a severity, a when(context)
+   * condition and a message template.
+   */
+  function registerRule(rule) {
+    if (!rule || !rule.id || typeof rule.when !== 'function' || !rule.message) {
+      throw new Error('A rule needs an id, a when() condition and a message');
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule ${rule.id} has unknown severity ${rule.severity}`);
+    }
+    if (RULES.some(existing => existing.id === rule.id)) {
+      throw new Error(`A rule with id ${rule.id} already exists`);
+    }
+    RULES.push(Object.assign({ requires: [], title: rule.id, description: '' }, rule));
+    return rule;
+  }
+
+  /**
+   * Everything a rule can ask for, from the popup's metrics, settings,
+   * quota forecast and stored run history. Values the page didn't provide
+   * are null, which skips the rules that require them.
+   */
+  function buildContext({ metrics, settings, forecast = null, runHistory = null, now = Date.now() }) {
+    const terms = PLATFORM_TERMS[metrics.platform] ||
+      { workflow: 'workflow', workflows: 'workflows', unit: 'usage', historyPage: 'the run history', inactive: null };
+    const snapshot = FlowFixHistory.toSnapshot(metrics);
+    const workflows = Array.isArray(metrics.workflows) && metrics.workflows.length > 0 ? metrics.workflows : null;
+    const runs = runHistory && Array.isArray(runHistory.runs) && runHistory.runs.length > 0 ? runHistory.runs : null;
+    const failingNames = (workflows || []).filter(w => w.status === 'error' && w.name).map(w => w.name);
+    const triggers = workflows ? workflows.filter(workflow => FlowFixPolling.triggerTypeOf(workflow)) : [];
+    const pollingWaste = workflows ? FlowFixPolling.detectPollingWaste(workflows, runs || [], metrics.platform) : [];
+    const errorClusters = runs ? FlowFixErrors.clusterErrors(runs) : [];
+
+    return {
+      platform: metrics.platform,
+      terms,
+      metrics,
+      settings,
+      now,
+      errors: snapshot.errors,
+      total: snapshot.total,
+      usagePercent: snapshot.usagePercent,
+      inactive: typeof metrics[terms.inactive] === 'number' ? metrics[terms.inactive] : null,
+      workflows,
+      triggers: triggers.length > 0 ? triggers : null,
+      pollingWaste: pollingWaste.length > 0 ? pollingWaste : null,
+      provenance: metrics.provenance || null,
+      forecast,
+      runs,
+      runAnalysis: runs ? FlowFixRuns.analyzeRuns(runs) : null,
+      failing: failingNames.length > 0 ? ` Failing: ${describeNames(failingNames)}` : '',
+      // Without grouped run errors, point at the page that has them
+      errorsNext: errorClusters.length > 0 ? ''
+        : ` Open ${terms.historyPage} so FlowFix can group the errors and suggest fixes.`
+    };
+  }
+
+  function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+  }
+
+  function helpUrl(platform, topic) {
+    const base = HELP_SEARCH[platform];
+    return base ? `${base}${encodeURIComponent(topic)}` : null;
+  }
+
+  function isEnabled(rule, disabledRules) {
+    return !disabledRules.includes(rule.id);
+  }
+
+  function runRule(rule, context) {
+    if (!rule.requires.every(key => context[key] !== null && context[key] !== undefined)) return [];
+    const result = rule.when(context);
+    const matches = Array.isArray(result) ? result : result ? [result] : [];
+    return matches.map(values => {
+      const url = rule.learnMore ? helpUrl(context.platform, rule.learnMore.topic) : null;
+      return {
+        rule: rule.id,
+        level: values.severity || rule.severity,
+        text: fillTemplate(rule.message, values),
+        learnMore: url ? { label: rule.learnMore.label, url } : null
+      };
+    });
+  }
+
+  /**
+   * Recommendations from every enabled rule, most severe first (rule order
+   * within a severity). Fallback rules only speak when nothing else did.
+   */
+  function evaluateRules(context, disabledRules = []) {
+    const enabled = RULES.filter(rule => isEnabled(rule, disabledRules));
+    let recs = [];
+    enabled.filter(rule => !rule.fallback).forEach(rule => {
+      recs = recs.concat(runRule(rule, context));
+    });
+    if (recs.length === 0) {
+      enabled.filter(rule => rule.fallback).forEach(rule => {
+        recs = recs.concat(runRule(rule, context));
+      });
+    }
+    return recs
+      .map((rec, index) => ({ rec, index }))
+      .sort((a, b) => SEVERITIES.indexOf(a.rec.level) - SEVERITIES.indexOf(b.rec.level) || a.index - b.index)
+      .map(entry => entry.rec);
+  }
+
+  const FlowFixRecommendations = {
+    SEVERITIES,
+    RULES,
+    registerRule,
+    buildContext,
+    fillTemplate,
+    evaluateRules,
+    formatDay,
+    baseName
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixRecommendations;
+  } else {
+    root.FlowFixRecommendations = FlowFixRecommendations;
+  }
+})(globalThis);
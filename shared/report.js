@@ -0,0 +1,390 @@
+/**
+ * FlowFix Health Report
+ * Everything the popup shows for a workspace, as a file a consultant can
+ * hand to a client: score and its deductions, the metrics, trend history,
+ * per-workflow inventory, cost and recommendations
+ *
+ * buildReport() collects it into one plain object; toJSON(), toCSV(),
+ * toMarkdown() and toHTML() write it out. Nothing leaves the browser: the
+ * popup downloads the text it gets back. Loaded after shared/workspaces.js
+ * and shared/cost.js.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixWorkspaces = isCommonJS ? require('./workspaces.js') : root.FlowFixWorkspaces;
+  const FlowFixCost = isCommonJS ? require('./cost.js') : root.FlowFixCost;
+
+  const REPORT_VERSION = 1;
+
+  const FORMATS = {
+    json: { extension: 'json', type: 'application/json' },
+    csv: { extension: 'csv', type: 'text/csv' },
+    markdown: { extension: 'md', type: 'text/markdown' },
+    html: { extension: 'html', type: 'text/html' }
+  };
+
+  const { PLATFORM_LABELS } = FlowFixWorkspaces;
+
+  // The popup's metric cards, per platform
+  const SUMMARY_FIELDS = {
+    zapier: [
+      { label: 'Total Zaps', field: 'totalZaps' },
+      { label: 'Errors', field: 'errorZaps' },
+      { label: 'Task Usage', field: 'taskUsagePercent', suffix: '%' },
+      { label: 'Paused', field: 'pausedZaps' },
+      { label: 'Tasks Used', field: 'tasksUsed' },
+      { label: 'Task Limit', field: 'taskLimit' }
+    ],
+    make: [
+      { label: 'Scenarios', field: 'totalScenarios' },
+      { label: 'Errors', field: 'errorScenarios' },
+      { label: 'Operations', field: 'operationsUsagePercent', suffix: '%' },
+      { label: 'Inactive', field: 'inactiveScenarios' },
+      { label: 'Operations Used', field: 'operationsUsed' },
+      { label: 'Operations Limit', field: 'operationsLimit' }
+    ]
+  };
+
+  const HISTORY_COLUMNS = ['timestamp', 'healthScore', 'errors', 'usagePercent', 'total', 'used', 'limit'];
+
+  const WORKFLOW_COLUMNS = [
+    'name', 'status', 'lastRun', 'schedule', 'folder', 'owner', 'apps', 'runs', 'successRate', 'consumed'
+  ];
+
+  /**
+   * The report for a workspace's metrics. snapshots are its stored history,
+   * recommendations and cost what the popup computed for it.
+   */
+  function buildReport({ metrics, snapshots = [], runHistory = null, forecast = null, recommendations = [],
+    cost = null, generatedAt = new Date().toISOString() }) {
+    const stats = new Map((metrics.runStats || []).map(entry => [entry.key, entry]));
+    const workflows = (metrics.workflows || []).map(workflow => {
+      const own = stats.get(workflow.id) || stats.get(workflow.name) || null;
+      return {
+        id: workflow.id || null,
+        name: workflow.name,
+        status: workflow.status || null,
+        lastRun: workflow.lastRunAt || workflow.lastRun || null,
+        schedule: workflow.schedule || null,
+        folder: workflow.folder || null,
+        owner: workflow.owner || null,
+        apps: workflow.apps || [],
+        runs: own ? own.runs : null,
+        successRate: own ? own.successRate : null,
+        consumed: own ? own.consumed : null
+      };
+    });
+
+    return {
+      format: 'flowfix-report',
+      version: REPORT_VERSION,
+      generatedAt,
+      platform: metrics.platform,
+      workspace: FlowFixWorkspaces.getAccountLabel(metrics),
+      planName: metrics.planName || null,
+      url: metrics.url || null,
+      readAt: metrics.timestamp || null,
+      healthScore: metrics.healthScore,
+      scoreBreakdown: (metrics.scoreBreakdown || []).map(({ label, value, points, confidence }) =>
+        ({ label, value, points, confidence })),
+      summary: (SUMMARY_FIELDS[metrics.platform] || []).map(({ label, field, suffix }) => ({
+        label,
+        value: typeof metrics[field] === 'number' ? metrics[field] : null,
+        suffix: suffix || ''
+      })),
+      history: snapshots.map(snapshot => {
+        const row = {};
+        HISTORY_COLUMNS.forEach(column => { row[column] = snapshot[column] === undefined ? null : snapshot[column]; });
+        return row;
+      }),
+      runHistoryReadAt: runHistory ? runHistory.timestamp || null : null,
+      forecast,
+      workflows,
+      cost,
+      recommendations: recommendations.map(rec => ({
+        level: rec.level,
+        text: rec.text,
+        learnMore: rec.learnMore ? rec.learnMore.url : null
+      }))
+    };
+  }
+
+  function show(value, suffix = '') {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+    return `${value}${suffix}`;
+  }
+
+  function day(timestamp) {
+    return timestamp ? String(timestamp).slice(0, 10) : '—';
+  }
+
+  // "2026-10-19 10:00" for ISO times; page text ("2 hours ago") as read
+  function when(value) {
+    return /^\d{4}-\d\d-\d\dT\d\d:\d\d/.test(value || '') ? value.slice(0, 16).replace('T', ' ') : show(value);
+  }
+
+  function workflowRow(workflow) {
+    return WORKFLOW_COLUMNS.map(column => {
+      if (column === 'lastRun') return when(workflow.lastRun);
+      return column === 'successRate' ? show(workflow[column], '%') : show(workflow[column]);
+    });
+  }
+
+  const WORKFLOW_HEADINGS = ['Name', 'Status', 'Last run', 'Schedule', 'Folder', 'Owner', 'Apps',
+    'Runs', 'Success', 'Used'];
+
+  const HISTORY_HEADINGS = ['Date', 'Score', 'Errors', 'Usage', 'Workflows', 'Used', 'Limit'];
+
+  function historyRow(snapshot) {
+    return [day(snapshot.timestamp), show(snapshot.healthScore), show(snapshot.errors),
+      show(snapshot.usagePercent, '%'), show(snapshot.total), show(snapshot.used), show(snapshot.limit)];
+  }
+
+  /**
+   * One line each for the monthly spend, overage and savings, or nothing
+   */
+  function costLines(cost) {
+    if (!cost) return [];
+    if (cost.reason === 'noPrice') return [`No price set for the ${cost.plan} plan.`];
+    const money = amount => FlowFixCost.formatMoney(amount, cost.currency);
+    return [
+      `About ${money(cost.monthlySpend)} a month on the ${cost.plan} plan.`,
+      cost.overageCost > 0 ? `${money(cost.overageCost)} of it is projected overage.` : null,
+      cost.totalSavings > 0 ? `The polling fixes would save ${money(cost.totalSavings)} a month.` : null
+    ].filter(Boolean);
+  }
+
+  function forecastLine(forecast) {
+    if (!forecast || forecast.projectedAtReset === null) return null;
+    const reset = forecast.resetDate ? ` by the ${forecast.resetDate} reset` : '';
+    return `Projected ${forecast.projectedAtReset.toLocaleString()} of ${forecast.limit.toLocaleString()} used${reset}.`;
+  }
+
+  function title(report) {
+    return `FlowFix health report: ${report.workspace}`;
+  }
+
+  function toJSON(report) {
+    return `${JSON.stringify(report, null, 2)}\n`;
+  }
+
+  /**
+   * Quote a CSV cell, and keep spreadsheet apps from running text that
+   * starts like a formula (workflow names come from the client's account)
+   */
+  function csvCell(value) {
+    let text = value === null || value === undefined ? '' : Array.isArray(value) ? value.join('; ') : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * One long table (section, item, field, value) so every part of the
+   * report fits a single sheet and can be pivoted or filtered
+   */
+  function toCSV(report) {
+    const rows = [['section', 'item', 'field', 'value']];
+    const add = (section, item, field, value) => rows.push([section, item, field, value]);
+
+    add('report', report.workspace, 'platform', report.platform);
+    add('report', report.workspace, 'plan', report.planName);
+    add('report', report.workspace, 'readAt', report.readAt);
+    add('report', report.workspace, 'healthScore', report.healthScore);
+    report.scoreBreakdown.forEach(deduction => add('score', deduction.label, 'points', -deduction.points));
+    report.summary.forEach(entry => add('metrics', entry.label, 'value', entry.value));
+    report.history.forEach(snapshot => HISTORY_COLUMNS.slice(1).forEach(column =>
+      add('history', snapshot.timestamp, column, snapshot[column])));
+    report.workflows.forEach(workflow => WORKFLOW_COLUMNS.slice(1).forEach(column =>
+      add('workflow', workflow.name, column, workflow[column])));
+    if (report.cost && !report.cost.reason) {
+      add('cost', report.cost.plan, 'monthlySpend', report.cost.monthlySpend);
+      add('cost', report.cost.plan, 'overageCost', report.cost.overageCost);
+      add('cost', report.cost.plan, 'totalSavings', report.cost.totalSavings);
+      add('cost', report.cost.plan, 'currency', report.cost.currency);
+    }
+    report.recommendations.forEach((rec, index) => add('recommendation', index + 1, rec.level, rec.text));
+
+    return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+  }
+
+  function markdownCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  }
+
+  function markdownTable(headings, rows) {
+    return [
+      `| ${headings.join(' | ')} |`,
+      `| ${headings.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+    ].join('\n');
+  }
+
+  function toMarkdown(report) {
+    const lines = [
+      `# ${title(report)}`,
+      '',
+      `${PLATFORM_LABELS[report.platform] || report.platform}${report.planName ? ` · ${report.planName} plan` : ''} · ` +
+        `read ${day(report.readAt)} · generated ${day(report.generatedAt)}`,
+      '',
+      `## Health score: ${show(report.healthScore)}/100`,
+      ''
+    ];
+    report.scoreBreakdown.forEach(d => lines.push(`- -${d.points} ${d.label} ${d.value}%`));
+    if (report.scoreBreakdown.length > 0) lines.push('');
+    lines.push(markdownTable(report.summary.map(entry => entry.label),
+      [report.summary.map(entry => show(entry.value, entry.suffix))]), '');
+
+    const outlook = [forecastLine(report.forecast)].concat(costLines(report.cost)).filter(Boolean);
+    if (outlook.length > 0) lines.push('## Usage and cost', '', ...outlook.map(line => `- ${line}`), '');
+
+    lines.push('## Recommendations', '');
+    report.recommendations.forEach(rec => {
+      lines.push(`- **${rec.level}** ${rec.text}${rec.learnMore ? ` ([learn more](${rec.learnMore}))` : ''}`);
+    });
+    lines.push('');
+
+    if (report.workflows.length > 0) {
+      lines.push('## Workflows', '', markdownTable(WORKFLOW_HEADINGS, report.workflows.map(workflowRow)), '');
+    }
+    if (report.history.length > 0) {
+      lines.push('## History', '', markdownTable(HISTORY_HEADINGS, report.history.map(historyRow)), '');
+    }
+    return lines.join('\n');
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function htmlTable(headings, rows) {
+    const head = headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('');
+    const body = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+    return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+  }
+
+  // The popup's palette and recommendation styles, kept in the printed PDF
+  const REPORT_CSS = `
+    :root { --bg: #1a1a2e; --card: rgba(255, 255, 255, 0.05); --border: rgba(255, 255, 255, 0.1);
+      --text: #ffffff; --muted: rgba(255, 255, 255, 0.7); --success: #34d399; --warning: #fbbf24;
+      --error: #f87171; --info: #60a5fa; --score: var(--success); }
+    * { box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    body { margin: 0 auto; padding: 32px; max-width: 960px; background: var(--bg); color: var(--text);
+      font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.05em; color: var(--muted); margin: 28px 0 10px; }
+    .meta { color: var(--muted); margin: 0; }
+    .score { display: flex; align-items: center; gap: 24px; margin-top: 24px; }
+    .score-ring { width: 110px; height: 110px; border-radius: 50%; border: 4px solid var(--score);
+      display: flex; flex-direction: column; align-items: center; justify-content: center; flex-shrink: 0; }
+    .score-value { font-size: 36px; font-weight: 700; color: var(--score); line-height: 1; }
+    .score-label { font-size: 10px; text-transform: uppercase; color: var(--muted); }
+    .cards { display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; }
+    .card { background: var(--card); border: 1px solid var(--border); border-radius: 12px; padding: 12px; }
+    .card b { display: block; font-size: 20px; }
+    .card span { font-size: 11px; text-transform: uppercase; color: var(--muted); }
+    ul { margin: 0; padding: 0; list-style: none; }
+    .deductions li { color: var(--muted); }
+    .recommendations li { padding: 10px 14px; margin-bottom: 8px; border-left: 3px solid var(--info);
+      border-radius: 0 12px 12px 0; background: rgba(96, 165, 250, 0.06); color: var(--muted); }
+    .recommendations li.critical { border-left-color: var(--error); background: rgba(248, 113, 113, 0.08); }
+    .recommendations li.warning { border-left-color: var(--warning); background: rgba(251, 191, 36, 0.08); }
+    .recommendations a { color: var(--info); font-weight: 600; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--border); }
+    th { color: var(--muted); font-weight: 600; }
+    tr { break-inside: avoid; }
+    @page { margin: 12mm; }
+    @media print { body { padding: 0; max-width: none; } }`;
+
+  /**
+   * A standalone page styled like the popup; print it to get a PDF.
+   * scoreColor is the band color the popup shows for the score.
+   */
+  function toHTML(report, scoreColor = null) {
+    const cards = report.summary.map(entry =>
+      `<div class="card"><b>${escapeHtml(show(entry.value, entry.suffix))}</b><span>${escapeHtml(entry.label)}</span></div>`);
+    const deductions = report.scoreBreakdown.map(d =>
+      `<li>-${d.points} ${escapeHtml(d.label)} ${d.value}%</li>`);
+    const outlook = [forecastLine(report.forecast)].concat(costLines(report.cost)).filter(Boolean);
+    const recommendations = report.recommendations.map(rec => {
+      const link = rec.learnMore ? ` <a href="${escapeHtml(rec.learnMore)}">Learn more</a>` : '';
+      return `<li class="${escapeHtml(rec.level)}">${escapeHtml(rec.text)}${link}</li>`;
+    });
+    const style = scoreColor && /^#[0-9a-f]{3,8}$/i.test(scoreColor) ? ` style="--score: ${scoreColor}"` : '';
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(title(report))}</title>`,
+      `<style>${REPORT_CSS}\n</style>`,
+      '</head>',
+      `<body${style}>`,
+      `<h1>${escapeHtml(title(report))}</h1>`,
+      `<p class="meta">${escapeHtml(PLATFORM_LABELS[report.platform] || report.platform)}` +
+        `${report.planName ? ` · ${escapeHtml(report.planName)} plan` : ''} · read ${day(report.readAt)}` +
+        ` · generated ${day(report.generatedAt)}</p>`,
+      '<div class="score">',
+      `<div class="score-ring"><div class="score-value">${escapeHtml(show(report.healthScore))}</div>` +
+        '<div class="score-label">Health Score</div></div>',
+      `<ul class="deductions">${deductions.join('')}</ul>`,
+      '</div>',
+      '<h2>Metrics</h2>',
+      `<div class="cards">${cards.join('')}</div>`,
+      outlook.length > 0 ? `<h2>Usage and cost</h2>\n<ul>${outlook.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : '',
+      '<h2>Recommendations</h2>',
+      `<ul class="recommendations">\n${recommendations.join('\n')}\n</ul>`,
+      report.workflows.length > 0
+        ? `<h2>Workflows</h2>\n${htmlTable(WORKFLOW_HEADINGS, report.workflows.map(workflowRow))}` : '',
+      report.history.length > 0
+        ? `<h2>History</h2>\n${htmlTable(HISTORY_HEADINGS, report.history.map(historyRow))}` : '',
+      '</body>',
+      '</html>',
+      ''
+    ].filter(line => line !== '').join('\n');
+  }
+
+  const WRITERS = { json: toJSON, csv: toCSV, markdown: toMarkdown, html: toHTML };
+
+  /**
+   * The report as a download: file name, MIME type and text
+   * ("flowfix-report-acme-ops-2026-10-19.md")
+   */
+  function exportReport(report, format, options = {}) {
+    const spec = FORMATS[format];
+    if (!spec) throw new Error(`Unknown report format: ${format}`);
+    const slug = String(report.workspace || report.platform).toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'workspace';
+    return {
+      filename: `flowfix-report-${slug}-${day(report.generatedAt)}.${spec.extension}`,
+      type: spec.type,
+      content: format === 'html' ? toHTML(report, options.scoreColor) : WRITERS[format](report)
+    };
+  }
+
+  const FlowFixReport = {
+    REPORT_VERSION,
+    FORMATS,
+    buildReport,
+    toJSON,
+    toCSV,
+    toMarkdown,
+    toHTML,
+    exportReport
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixReport;
+  } else {
+    root.FlowFixReport = FlowFixReport;
+  }
+})(globalThis);
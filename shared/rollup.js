@@ -0,0 +1,98 @@
+/**
+ * FlowFix Workspace Roll-up
+ * One summary row per tracked workspace for the all-workspaces page, plus
+ * the sorting and filtering behind its table
+ *
+ * Loaded after shared/settings.js, shared/workspaces.js and shared/history.js.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixWorkspaces = isCommonJS ? require('./workspaces.js') : root.FlowFixWorkspaces;
+  const FlowFixHistory = isCommonJS ? require('./history.js') : root.FlowFixHistory;
+
+  const MINUTE_MS = 60 * 1000;
+
+  const SORT_COLUMNS = ['label', 'platform', 'healthScore', 'errors', 'usagePercent', 'ageMinutes'];
+
+  /**
+   * Summary rows for every workspace in a chrome.storage.local dump.
+   * stale means the metrics are older than the staleness window.
+   */
+  function summarizeWorkspaces(stored, stalenessMinutes, now = Date.now()) {
+    return FlowFixWorkspaces.listWorkspaces(stored).map(workspace => {
+      const snapshot = FlowFixHistory.toSnapshot(workspace.metrics);
+      const updatedAt = Date.parse(workspace.metrics.timestamp);
+      const ageMinutes = Number.isNaN(updatedAt) ? null : Math.max(0, Math.floor((now - updatedAt) / MINUTE_MS));
+      return {
+        key: workspace.key,
+        platform: workspace.platform,
+        label: workspace.label,
+        url: workspace.metrics.url || null,
+        healthScore: snapshot.healthScore,
+        errors: snapshot.errors,
+        usagePercent: snapshot.usagePercent,
+        total: snapshot.total,
+        ageMinutes,
+        stale: ageMinutes === null || ageMinutes >= stalenessMinutes
+      };
+    });
+  }
+
+  /**
+   * Rows sorted by one column. Missing values sort last either way, so
+   * accounts that couldn't be read don't hide the worst real ones.
+   */
+  function sortSummaries(rows, column = 'healthScore', direction = 'asc') {
+    const sign = direction === 'desc' ? -1 : 1;
+    return rows.slice().sort((a, b) => {
+      const x = a[column];
+      const y = b[column];
+      if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+      if (y === null || y === undefined) return -1;
+      const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+      return order * sign || a.label.localeCompare(b.label);
+    });
+  }
+
+  /**
+   * Rows matching the page's filters: platform ('all' or a platform id),
+   * a name query, a maximum health score and stale-only
+   */
+  function filterSummaries(rows, filters = {}) {
+    const query = (filters.query || '').trim().toLowerCase();
+    return rows.filter(row =>
+      (!filters.platform || filters.platform === 'all' || row.platform === filters.platform) &&
+      (!query || row.label.toLowerCase().includes(query) || row.key.toLowerCase().includes(query)) &&
+      (typeof filters.maxHealth !== 'number' || (row.healthScore !== null && row.healthScore <= filters.maxHealth)) &&
+      (!filters.staleOnly || row.stale)
+    );
+  }
+
+  /**
+   * "just now", "12 min ago", "3 h ago", "5 d ago"
+   */
+  function formatAge(minutes) {
+    if (minutes === null) return 'unknown';
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return `${Math.floor(minutes / (24 * 60))} d ago`;
+  }
+
+  const FlowFixRollup = {
+    SORT_COLUMNS,
+    summarizeWorkspaces,
+    sortSummaries,
+    filterSummaries,
+    formatAge
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixRollup;
+  } else {
+    root.FlowFixRollup = FlowFixRollup;
+  }
+})(globalThis);
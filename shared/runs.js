@@ -0,0 +1,148 @@
+/**
+ * FlowFix Run History Analysis
+ * Real failure rates and the worst workflows from the runs read off a run
+ * history page (content/core.js buildRunHistory), instead of inferring errors
+ * from the status badges on the dashboard
+ *
+ * Platform-agnostic: run records carry status, workflow, workflowId, timeAt,
+ * error and consumed (tasks or operations); Make execution logs add
+ * durationMs, transferBytes and errorModule. Loaded the same way as
+ * shared/history.js, and by the content scripts, which merge each page read
+ * into the stored runs.
+ */
+
+(function(root) {
+  'use strict';
+
+  // Runs that never finished say nothing about failure yet
+  const PENDING_STATES = ['waiting', 'unknown'];
+
+  // Finished runs that did what they were meant to (a filter stopping a run is not a failure)
+  const SUCCESS_STATES = ['success', 'warning', 'filtered'];
+
+  // How many workflows each top list keeps
+  const TOP_COUNT = 5;
+
+  // Runs kept per workspace across page reads, newest first
+  const MAX_RUNS = 500;
+
+  function percent(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 100) : null;
+  }
+
+  function average(values, decimals = 0) {
+    if (values.length === 0) return null;
+    const factor = Math.pow(10, decimals);
+    return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * factor) / factor;
+  }
+
+  const numbers = (runs, field) => runs.map(run => run[field]).filter(value => typeof value === 'number');
+
+  /**
+   * Identity of a run across page reads: the platform's run id, else the
+   * workflow and start time. Runs with neither can't be matched up.
+   */
+  function runKey(run) {
+    if (run.id) return `id:${run.id}`;
+    if (run.timeAt) return `at:${run.workflowId || run.workflow || ''}@${run.timeAt}`;
+    return null;
+  }
+
+  /**
+   * Runs from a new page read merged into the stored ones. A run read again
+   * replaces its stored copy (a waiting run may have finished); runs that
+   * can't be matched up are only kept from the latest read. Newest first,
+   * capped at limit.
+   */
+  function mergeRuns(existing = [], incoming = [], limit = MAX_RUNS) {
+    const merged = new Map();
+    existing.forEach(run => {
+      const key = runKey(run);
+      if (key) merged.set(key, run);
+    });
+    const unmatched = [];
+    incoming.forEach(run => {
+      const key = runKey(run);
+      if (key) merged.set(key, run);
+      else unmatched.push(run);
+    });
+
+    const time = run => Date.parse(run.timeAt) || 0;
+    return Array.from(merged.values())
+      .sort((a, b) => time(b) - time(a))
+      .concat(unmatched)
+      .slice(0, limit);
+  }
+
+  /**
+   * Totals and per-workflow breakdown for a list of run records.
+   * failureRate is errored runs as a percent of finished runs; halted runs
+   * (stopped by a step, not an error) are counted separately. Per workflow,
+   * successRate is the share of finished runs in SUCCESS_STATES, and the
+   * averages only count runs that showed the value.
+   */
+  function analyzeRuns(runs = []) {
+    const finished = runs.filter(run => !PENDING_STATES.includes(run.status));
+    const count = status => runs.filter(run => run.status === status).length;
+    const times = runs.map(run => Date.parse(run.timeAt)).filter(time => !Number.isNaN(time));
+
+    const byKey = new Map();
+    runs.forEach(run => {
+      const key = run.workflowId || run.workflow || 'unknown';
+      if (!byKey.has(key)) byKey.set(key, { key, name: run.workflow || null, runs: [] });
+      byKey.get(key).runs.push(run);
+    });
+
+    const byWorkflow = Array.from(byKey.values()).map(entry => {
+      const done = entry.runs.filter(run => !PENDING_STATES.includes(run.status));
+      const failed = entry.runs.filter(run => run.status === 'error').length;
+      const consumed = numbers(entry.runs, 'consumed');
+      const transfer = numbers(entry.runs, 'transferBytes');
+      return {
+        key: entry.key,
+        name: entry.name,
+        runs: entry.runs.length,
+        failed,
+        failureRate: percent(failed, done.length),
+        successRate: percent(done.filter(run => SUCCESS_STATES.includes(run.status)).length, done.length),
+        consumed: consumed.reduce((sum, value) => sum + value, 0),
+        avgConsumed: average(consumed, 1),
+        avgDurationMs: average(numbers(entry.runs, 'durationMs')),
+        transferBytes: transfer.length > 0 ? transfer.reduce((sum, value) => sum + value, 0) : null
+      };
+    });
+
+    return {
+      runs: runs.length,
+      finished: finished.length,
+      failed: count('error'),
+      halted: count('halted'),
+      filtered: count('filtered'),
+      failureRate: percent(count('error'), finished.length),
+      consumed: byWorkflow.reduce((sum, entry) => sum + entry.consumed, 0),
+      since: times.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+      until: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null,
+      byWorkflow,
+      topFailing: byWorkflow
+        .filter(entry => entry.failed > 0)
+        .sort((a, b) => b.failed - a.failed || b.failureRate - a.failureRate)
+        .slice(0, TOP_COUNT),
+      topConsumers: byWorkflow
+        .filter(entry => entry.consumed > 0)
+        .sort((a, b) => b.consumed - a.consumed)
+        .slice(0, TOP_COUNT)
+    };
+  }
+
+  const FlowFixRuns = {
+    MAX_RUNS,
+    mergeRuns,
+    analyzeRuns
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowFixRuns;
+  } else {
+    root.FlowFixRuns = FlowFixRuns;
+  }
+})(globalThis);
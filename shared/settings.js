@@ -0,0 +1,238 @@
+/**
+ * FlowFix Settings
+ * Team-tunable thresholds and behavior, stored as one object in
+ * chrome.storage.sync so they follow the user across browsers
+ *
+ * Read by the content scripts (scoring, badge, polling), the service worker
+ * (toolbar badge, alerts, history retention), the popup and the options page.
+ * Loaded before any of them; under Node it is a CommonJS module.
+ */
+
+(function(root) {
+  'use strict';
+
+  const SETTINGS_KEY = 'settings';
+
+  const RETENTION_OPTIONS = [7, 30, 90, 365];
+
+  /**
+   * A plan tier's monthly price, the tasks/operations it includes and what
+   * each unit over the limit costs. Null prices are unknown (custom plans).
+   */
+  function plan(price, included, overagePerUnit) {
+    return { price, included, overagePerUnit };
+  }
+
+  const DEFAULT_SETTINGS = {
+    scoring: {
+      // Quota usage deductions, checked from critical down; first band exceeded applies
+      usage: {
+        critical: { above: 90, points: 30 },
+        warning: { above: 75, points: 15 },
+        notice: { above: 50, points: 5 }
+      },
+      errorRateMultiplier: 2,
+      errorRateCap: 40,
+      inactiveCap: 20
+    },
+    // Lowest score in each band; anything below "degraded" is critical
+    colorBands: { healthy: 80, attention: 60, degraded: 40 },
+    stalenessMinutes: 5,
+    maxAttempts: 30,
+    badge: { showOnPage: true, showOnToolbar: true },
+    alerts: {
+      enabled: true,
+      healthThreshold: 60,
+      usageLevels: [75, 90],
+      recheckMinutes: 30
+    },
+    historyRetentionDays: 30,
+    // Ids of shared/recommendations.js rules the team has switched off
+    recommendations: { disabledRules: [] },
+    // Monthly list prices when this version shipped; edited on the options page as they change
+    pricing: {
+      currency: 'USD',
+      plans: {
+        zapier: {
+          Free: plan(0, 100, null),
+          Starter: plan(19.99, 750, 0.04),
+          Professional: plan(29.99, 750, 0.05),
+          Team: plan(103.5, 2000, 0.065),
+          Enterprise: plan(null, 2000, null)
+        },
+        make: {
+          Free: plan(0, 1000, null),
+          Core: plan(10.59, 10000, 0.0013),
+          Pro: plan(18.82, 10000, 0.0024),
+          Teams: plan(34.12, 10000, 0.0043),
+          Enterprise: plan(null, 10000, null)
+        }
+      }
+    }
+  };
+
+  function clamp(value, min, max, fallback) {
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number)) return fallback;
+    return Math.min(Math.max(number, min), max);
+  }
+
+  function flag(value, fallback) {
+    return typeof value === 'boolean' ? value : fallback;
+  }
+
+  /**
+   * Complete, in-range settings from whatever is stored (missing or partial
+   * objects from older versions included)
+   */
+  function normalizeSettings(stored) {
+    const s = stored || {};
+    const d = DEFAULT_SETTINGS;
+    const scoring = s.scoring || {};
+    const usage = scoring.usage || {};
+    const bands = s.colorBands || {};
+    const badge = s.badge || {};
+    const alerts = s.alerts || {};
+    const recommendations = s.recommendations || {};
+    const pricing = s.pricing || {};
+    const storedPlans = pricing.plans || {};
+
+    // Every default tier plus any the team added, with numbers in range
+    const pricingPlans = platform => {
+      const stored = storedPlans[platform] || {};
+      const names = Array.from(new Set(Object.keys(d.pricing.plans[platform]).concat(Object.keys(stored))));
+      const plans = {};
+      names.forEach(name => {
+        const fallback = d.pricing.plans[platform][name] || plan(null, 1, null);
+        const tier = stored[name] || {};
+        plans[name] = {
+          price: clamp('price' in tier ? tier.price : fallback.price, 0, 1000000, null),
+          included: Math.round(clamp(tier.included, 1, 1e9, fallback.included)),
+          overagePerUnit: clamp('overagePerUnit' in tier ? tier.overagePerUnit : fallback.overagePerUnit, 0, 1000, null)
+        };
+      });
+      return plans;
+    };
+
+    const usageBand = name => ({
+      above: clamp((usage[name] || {}).above, 0, 100, d.scoring.usage[name].above),
+      points: clamp((usage[name] || {}).points, 0, 100, d.scoring.usage[name].points)
+    });
+
+    const usageLevels = Array.isArray(alerts.usageLevels)
+      ? alerts.usageLevels.map(level => clamp(level, 1, 100, null)).filter(level => level !== null)
+      : d.alerts.usageLevels;
+
+    return {
+      scoring: {
+        usage: {
+          critical: usageBand('critical'),
+          warning: usageBand('warning'),
+          notice: usageBand('notice')
+        },
+        errorRateMultiplier: clamp(scoring.errorRateMultiplier, 0, 10, d.scoring.errorRateMultiplier),
+        errorRateCap: clamp(scoring.errorRateCap, 0, 100, d.scoring.errorRateCap),
+        inactiveCap: clamp(scoring.inactiveCap, 0, 100, d.scoring.inactiveCap)
+      },
+      colorBands: {
+        healthy: clamp(bands.healthy, 0, 100, d.colorBands.healthy),
+        attention: clamp(bands.attention, 0, 100, d.colorBands.attention),
+        degraded: clamp(bands.degraded, 0, 100, d.colorBands.degraded)
+      },
+      stalenessMinutes: clamp(s.stalenessMinutes, 1, 1440, d.stalenessMinutes),
+      maxAttempts: Math.round(clamp(s.maxAttempts, 1, 120, d.maxAttempts)),
+      badge: {
+        showOnPage: flag(badge.showOnPage, d.badge.showOnPage),
+        showOnToolbar: flag(badge.showOnToolbar, d.badge.showOnToolbar)
+      },
+      alerts: {
+        enabled: flag(alerts.enabled, d.alerts.enabled),
+        healthThreshold: clamp(alerts.healthThreshold, 0, 100, d.alerts.healthThreshold),
+        usageLevels: Array.from(new Set(usageLevels)).sort((a, b) => a - b),
+        recheckMinutes: clamp(alerts.recheckMinutes, 5, 1440, d.alerts.recheckMinutes)
+      },
+      historyRetentionDays: RETENTION_OPTIONS.includes(s.historyRetentionDays)
+        ? s.historyRetentionDays
+        : d.historyRetentionDays,
+      recommendations: {
+        disabledRules: Array.isArray(recommendations.disabledRules)
+          ? Array.from(new Set(recommendations.disabledRules.filter(id => typeof id === 'string' && id)))
+          : d.recommendations.disabledRules.slice()
+      },
+      pricing: {
+        currency: /^[A-Z]{3}$/.test(pricing.currency) ? pricing.currency : d.pricing.currency,
+        plans: {
+          zapier: pricingPlans('zapier'),
+          make: pricingPlans('make')
+        }
+      }
+    };
+  }
+
+  /**
+   * Problems normalizeSettings can't fix on its own, for the options page
+   */
+  function validateSettings(settings) {
+    const errors = [];
+    const { critical, warning, notice } = settings.scoring.usage;
+    if (!(critical.above > warning.above && warning.above > notice.above)) {
+      errors.push('Usage thresholds must go down from critical to warning to notice.');
+    }
+    const { healthy, attention, degraded } = settings.colorBands;
+    if (!(healthy > attention && attention > degraded)) {
+      errors.push('Color bands must go down from healthy to needs attention to degraded.');
+    }
+    return errors;
+  }
+
+  async function loadSettings() {
+    const stored = await chrome.storage.sync.get(SETTINGS_KEY);
+    return normalizeSettings(stored[SETTINGS_KEY]);
+  }
+
+  async function saveSettings(settings) {
+    const normalized = normalizeSettings(settings);
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: normalized });
+    return normalized;
+  }
+
+  /**
+   * Call listener with fresh settings whenever they change in any context
+   */
+  function onSettingsChanged(listener) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes[SETTINGS_KEY]) {
+        listener(normalizeSettings(changes[SETTINGS_KEY].newValue),
+          changes[SETTINGS_KEY].oldValue ? normalizeSettings(changes[SETTINGS_KEY].oldValue) : null);
+      }
+    });
+  }
+
+  /**
+   * Badge/ring color for a score under the configured bands
+   */
+  function getScoreColor(score, bands = DEFAULT_SETTINGS.colorBands) {
+    if (score >= bands.healthy) return '#22c55e';
+    if (score >= bands.attention) return '#eab308';
+    if (score >= bands.degraded) return '#f97316';
+    return '#ef4444';
+  }
+
+  const FlowFixSettings = {
+    SETTINGS_KEY,
+    RETENTION_OPTIONS,
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    validateSettings,
+    loadSettings,
+    saveSettings,
+    onSettingsChanged,
+    getScoreColor
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowFixSettings;
+  } else {
+    root.FlowFixSettings = FlowFixSettings;
+  }
+})(globalThis);
@@ -0,0 +1,321 @@
+/**
+ * FlowFix Zap Step Analysis
+ * Checks the step list read off a Zap in Zapier's editor for structures that
+ * waste tasks or fail silently: a polling trigger nothing filters, Formatter
+ * steps that use a task each run, path branches that can never run, and
+ * no error handling on steps that call other apps
+ *
+ * Steps are the records read by the Zapier adapter's editor extractor
+ * (content/zapier.js): kind, app, event, title, triggerType and the rules of
+ * filters and path branches. Zaps from Zapier's Export Zaps file are turned
+ * into the same records (parseZapExport) for tools/flowfix-report.js. Loaded
+ * the same way as shared/runs.js, after shared/text.js.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+  const FlowFixText = isCommonJS ? require('./text.js') : root.FlowFixText;
+
+  const { listNames, plural, countOf } = FlowFixText;
+
+  const LEVELS = ['critical', 'warning', 'info'];
+
+  // Zapier's built-in apps, recognized by name when the step label only says "Action"
+  const BUILT_IN_KINDS = [
+    { kind: 'filter', pattern: /^filter by zapier\b/i },
+    { kind: 'paths', pattern: /^paths by zapier\b/i },
+    { kind: 'formatter', pattern: /^formatter by zapier\b/i },
+    { kind: 'delay', pattern: /^delay by zapier\b/i }
+  ];
+
+  // Built-ins that run inside Zapier and don't call another app
+  const INTERNAL_APP = /\bby zapier\b/i;
+
+  // "Region (Text) Exactly matches EU": field, value type, operator, value
+  const RULE_PATTERN = /^(.+?)\s*\((?:text|number|date\/time|boolean|generic)\)\s*(exactly matches|does not exactly match|greater than|less than|is true|is false|exists|does not exist)\s*(.*)$/i;
+
+  /**
+   * 'trigger', 'action', 'filter', 'paths', 'path', 'formatter', 'delay' or
+   * 'errorHandler'. Built-in apps win over a generic "Action" label.
+   */
+  function stepKind(step) {
+    const builtIn = BUILT_IN_KINDS.find(entry => entry.pattern.test(step.app || ''));
+    if (builtIn && step.kind !== 'trigger') return builtIn.kind;
+    return step.kind && step.kind !== 'unknown' ? step.kind : 'action';
+  }
+
+  /**
+   * 'instant', 'schedule' or 'polling'. Zapier marks instant triggers; any
+   * other trigger checks for new data on the plan's interval.
+   */
+  function triggerTypeOf(step) {
+    if (step.triggerType === 'instant' || /^webhooks by zapier\b/i.test(step.app || '')) return 'instant';
+    if (/^schedule by zapier\b/i.test(step.app || '')) return 'schedule';
+    return 'polling';
+  }
+
+  function parseRule(text) {
+    const match = (text || '').trim().match(RULE_PATTERN);
+    if (!match) return null;
+    return { field: match[1].trim().toLowerCase(), operator: match[2].toLowerCase(), value: match[3].trim() };
+  }
+
+  /**
+   * Why a path branch's rules can never all be true, or null. Branches with
+   * OR groups are left alone: any group may still match.
+   */
+  function contradiction(conditions) {
+    if (conditions.some(text => /^or\b/i.test(text.trim()))) return null;
+    const rules = conditions.map(parseRule).filter(Boolean);
+    for (let i = 0; i < rules.length; i++) {
+      for (let j = i + 1; j < rules.length; j++) {
+        const a = rules[i];
+        const b = rules[j];
+        if (a.field !== b.field) continue;
+        const pair = [a.operator, b.operator].sort().join('|');
+        if (pair === 'exactly matches|exactly matches' && a.value.toLowerCase() !== b.value.toLowerCase()) {
+          return `${a.field} would have to be both "${a.value}" and "${b.value}"`;
+        }
+        if (pair === 'does not exist|exists') return `${a.field} would have to both exist and not exist`;
+        if (pair === 'is false|is true') return `${a.field} would have to be both true and false`;
+        if (pair === 'greater than|less than') {
+          const low = a.operator === 'greater than' ? a : b;
+          const high = a.operator === 'less than' ? a : b;
+          if (Number(low.value) >= Number(high.value)) {
+            return `${a.field} would have to be greater than ${low.value} and less than ${high.value}`;
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  function stepName(step) {
+    const label = step.position ? `Step ${step.position}` : 'A step';
+    return step.app ? `${label} (${step.app})` : label;
+  }
+
+  /**
+   * Trigger, step counts and findings ({id, level, text, position}, most
+   * severe first) for a Zap's step list
+   */
+  function analyzeSteps(steps = []) {
+    const typed = steps.map(step => Object.assign({}, step, { kind: stepKind(step) }));
+    const ofKind = kind => typed.filter(step => step.kind === kind);
+    const trigger = ofKind('trigger')[0] || null;
+    const body = typed.filter(step => step !== trigger);
+    const findings = [];
+
+    const triggerType = trigger ? triggerTypeOf(trigger) : null;
+    const firstFilter = body.findIndex(step => step.kind === 'filter');
+    // Filters and path rules stop a run for free; every action or Formatter before one is paid for
+    const firstPaid = body.findIndex(step => step.kind === 'action' || step.kind === 'formatter');
+
+    if (triggerType === 'polling' && firstPaid !== -1 && (firstFilter === -1 || firstFilter > firstPaid)) {
+      findings.push({
+        id: 'pollingNoFilter',
+        level: 'warning',
+        position: trigger.position || null,
+        text: `The ${trigger.app || 'trigger'} trigger polls for new data and nothing filters what it finds ` +
+          `before ${stepName(body[firstPaid])}, so every item uses tasks. Add a Filter right after the trigger.`
+      });
+    }
+
+    const formatters = ofKind('formatter');
+    const early = firstFilter === -1 ? [] : body.slice(0, firstFilter).filter(step => step.kind === 'formatter');
+    if (early.length > 0) {
+      const filterAt = body[firstFilter].position ? ` in step ${body[firstFilter].position}` : '';
+      findings.push({
+        id: 'formatterBeforeFilter',
+        level: 'warning',
+        position: early[0].position || null,
+        text: `${listNames(early.map(stepName))} ${plural(early.length, 'runs', 'run')} before the filter${filterAt}, ` +
+          'so runs the filter stops still use a task. ' +
+          'Move the filter up if it doesn\'t need the formatted value.'
+      });
+    }
+    if (formatters.length >= 2) {
+      findings.push({
+        id: 'formatterTasks',
+        level: 'info',
+        position: formatters[0].position || null,
+        text: `${countOf(formatters.length, 'Formatter step')} use ${countOf(formatters.length, 'task')} on every run. ` +
+          'Combine them where one step can do the work, or format values in the field mapping.'
+      });
+    }
+
+    // A fallback branch runs when no other path matches, so it needs no rules
+    ofKind('path').filter(branch => !/\bfallback\b/i.test(branch.title || '')).forEach(branch => {
+      const name = branch.title || 'A path';
+      const conditions = branch.conditions || [];
+      const reason = conditions.length === 0 ? 'it has no rules' : contradiction(conditions);
+      if (!reason) return;
+      findings.push({
+        id: 'unreachablePath',
+        level: 'warning',
+        position: branch.position || null,
+        text: `${name} can never run: ${reason}. Fix its rules or delete the branch.`
+      });
+    });
+
+    const external = body.filter(step => step.kind === 'action' && step.app && !INTERNAL_APP.test(step.app));
+    if (external.length > 0 && ofKind('errorHandler').length === 0) {
+      const apps = Array.from(new Set(external.map(step => step.app)));
+      findings.push({
+        id: 'noErrorHandling',
+        level: 'warning',
+        position: external[0].position || null,
+        text: `No error handling: if ${listNames(apps, 'or')} fails, the run stops and only shows in Zap History. ` +
+          'Add an error handler to those steps, or turn on Autoreplay.'
+      });
+    }
+
+    findings.sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level));
+
+    return {
+      trigger: trigger ? { app: trigger.app || null, event: trigger.event || null, type: triggerType } : null,
+      counts: {
+        steps: typed.filter(step => step.kind !== 'path' && step.kind !== 'errorHandler').length,
+        actions: ofKind('action').length,
+        filters: ofKind('filter').length,
+        paths: ofKind('path').length,
+        formatters: formatters.length,
+        delays: ofKind('delay').length
+      },
+      findings
+    };
+  }
+
+  // Zapier's export names apps by API ("GoogleSheetsV2CLIAPI@2.3.0"); built-ins by their editor name
+  const EXPORT_BUILT_INS = [
+    { app: 'Filter by Zapier', pattern: /^Filter/ },
+    { app: 'Paths by Zapier', pattern: /^(?:Branching|Paths)/ },
+    { app: 'Formatter by Zapier', pattern: /Formatter/ },
+    { app: 'Delay by Zapier', pattern: /Delay/ },
+    { app: 'Webhooks by Zapier', pattern: /^WebHook/i },
+    { app: 'Schedule by Zapier', pattern: /^Schedule/ }
+  ];
+
+  // Filter and path rule operators in the export, as the editor words them
+  const EXPORT_OPERATORS = {
+    text_exact: ['Text', 'Exactly matches'],
+    text_not_exact: ['Text', 'Does not exactly match'],
+    number_gt: ['Number', 'Greater than'],
+    number_lt: ['Number', 'Less than'],
+    bool_true: ['Boolean', 'Is true'],
+    bool_false: ['Boolean', 'Is false'],
+    exists: ['Generic', 'Exists'],
+    not_exists: ['Generic', 'Does not exist']
+  };
+
+  function exportAppName(api) {
+    const name = (api || '').replace(/@.*$/, '');
+    const builtIn = EXPORT_BUILT_INS.find(entry => entry.pattern.test(name));
+    if (builtIn) return builtIn.app;
+    const words = name.replace(/(?:CLI)?API$/, '').replace(/V\d+$/, '').replace(/([a-z])([A-Z])/g, '$1 $2');
+    return words.trim() || null;
+  }
+
+  function exportEventName(action) {
+    if (!action) return null;
+    const words = action.replace(/[_-]+/g, ' ').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * A filter or path's rules as the editor shows them ("Status (Text)
+   * Exactly matches Paid"); every OR group after the first starts with "or"
+   */
+  function exportConditions(params = {}) {
+    const groups = Array.isArray(params.filter_criteria) ? params.filter_criteria : [];
+    const conditions = [];
+    groups.forEach((group, index) => {
+      (Array.isArray(group) ? group : [group]).forEach((rule, position) => {
+        const [type, operator] = EXPORT_OPERATORS[rule.match] || ['Generic', rule.match || ''];
+        const field = String(rule.key || '').replace(/^\{\{\s*|\s*\}\}$/g, '');
+        const text = `${field} (${type}) ${operator} ${rule.value === undefined ? '' : rule.value}`.trim();
+        conditions.push(index > 0 && position === 0 ? `or ${text}` : text);
+      });
+    });
+    return conditions;
+  }
+
+  /**
+   * One Zap from Zapier's Export Zaps file as the step records the editor
+   * extractor reads: nodes in run order, steps numbered along the way and
+   * each branch of a Paths step listed before the steps inside it
+   */
+  function stepsFromZap(zap) {
+    const nodes = Object.values(zap.nodes || {});
+    const children = parentId => nodes
+      .filter(node => (node.parent_id === undefined ? null : node.parent_id) === parentId)
+      .sort((a, b) => a.id - b.id);
+    const steps = [];
+    let position = 0;
+
+    const visit = (node, parentKind) => {
+      const app = exportAppName(node.selected_api);
+      let kind;
+      if (parentKind === 'paths') kind = 'path';
+      else if (/error/i.test(node.type_of || '')) kind = 'errorHandler';
+      else if (node.parent_id === null || node.parent_id === undefined) kind = 'trigger';
+      else kind = stepKind({ app, kind: 'action' });
+
+      const step = {
+        position: kind === 'path' || kind === 'errorHandler' ? null : ++position,
+        kind,
+        app: kind === 'path' ? null : app,
+        event: kind === 'path' ? null : exportEventName(node.action),
+        title: node.title || null,
+        triggerType: 'unknown',
+        conditions: kind === 'path' || kind === 'filter' ? exportConditions(node.params) : []
+      };
+      steps.push(step);
+      children(node.id).forEach(child => visit(child, kind));
+    };
+
+    children(null).forEach(node => visit(node, null));
+    return steps;
+  }
+
+  /**
+   * The Zaps in an Export Zaps file (or a single exported Zap) as
+   * {id, title, status, steps}. Throws with a message the user can act on
+   * when the text isn't one.
+   */
+  function parseZapExport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Not a Zapier export: the file is not valid JSON');
+    }
+    const zaps = data && Array.isArray(data.zaps) ? data.zaps : data && data.nodes ? [data] : null;
+    if (!zaps) {
+      throw new Error('Not a Zapier export: it has no "zaps" list or Zap "nodes"');
+    }
+    return zaps.map(zap => ({
+      id: zap.id === undefined ? null : String(zap.id),
+      title: zap.title || null,
+      status: zap.status || null,
+      steps: stepsFromZap(zap)
+    }));
+  }
+
+  const FlowFixSteps = {
+    stepKind,
+    triggerTypeOf,
+    parseRule,
+    analyzeSteps,
+    stepsFromZap,
+    parseZapExport
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixSteps;
+  } else {
+    root.FlowFixSteps = FlowFixSteps;
+  }
+})(globalThis);
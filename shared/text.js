@@ -0,0 +1,58 @@
+/**
+ * FlowFix Text
+ * Wording helpers for the messages other modules write: a list of workflow
+ * names cut to the first few, a short list joined in prose, and words that
+ * agree with a count
+ *
+ * Loaded before every module that words messages (content/core.js and the
+ * shared modules it names), in the content scripts, service worker, popup,
+ * options and workspaces pages; under Node it is a CommonJS module.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isCommonJS = typeof module !== 'undefined' && module.exports;
+
+  /**
+   * "A, B, C and 2 more"
+   */
+  function describeNames(names, max = 3) {
+    const shown = names.slice(0, max).join(', ');
+    return names.length > max ? `${shown} and ${names.length - max} more` : shown;
+  }
+
+  /**
+   * "A", "A and B", "A, B or C"
+   */
+  function listNames(names, joiner = 'and') {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} ${joiner} ${names[names.length - 1]}` : names.join('');
+  }
+
+  /**
+   * The word for the count: plural(1, 'zap') is "zap", plural(2, 'has', 'have') "have"
+   */
+  function plural(count, singular, pluralWord = `${singular}s`) {
+    return count === 1 ? singular : pluralWord;
+  }
+
+  /**
+   * The count with its word: "1 snapshot", "3 snapshots"
+   */
+  function countOf(count, singular, pluralWord) {
+    return `${count} ${plural(count, singular, pluralWord)}`;
+  }
+
+  const FlowFixText = {
+    describeNames,
+    listNames,
+    plural,
+    countOf
+  };
+
+  if (isCommonJS) {
+    module.exports = FlowFixText;
+  } else {
+    root.FlowFixText = FlowFixText;
+  }
+})(globalThis);
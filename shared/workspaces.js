@@ -0,0 +1,220 @@
+/**
+ * FlowFix Workspaces
+ * Which account, team or organization a metrics object belongs to, and the
+ * latest metrics kept for each one in chrome.storage.local
+ *
+ * Every workspace's latest metrics live under their own storage key, so tabs
+ * open on different client accounts or Make teams never write the same entry.
+ * Loaded before shared/history.js in every context, including the content
+ * scripts; under Node it is a CommonJS module.
+ */
+
+(function(root) {
+  'use strict';
+
+  const METRICS_KEY_PREFIX = 'metrics:';
+
+  // Runs read off run history pages per workspace (content/core.js buildRunHistory)
+  const RUNS_KEY_PREFIX = 'runs:';
+
+  // Step lists read in a workflow's editor, per workflow (content/core.js buildWorkflowSteps)
+  const STEPS_KEY_PREFIX = 'steps:';
+
+  // Single per-platform keys used before metrics were kept per workspace
+  const LEGACY_METRICS_KEYS = { zapier: 'zapierMetrics', make: 'makeMetrics' };
+
+  const PLATFORM_LABELS = { zapier: 'Zapier', make: 'Make.com' };
+
+  /**
+   * Region and team or organization id from a Make URL
+   * ("eu1.make.com/123456/scenarios", "us2.make.com/organization/98765/dashboard").
+   * Ids are only unique within a region, so the region is part of the identity.
+   */
+  function parseMakeUrl(url) {
+    const regionMatch = (url || '').match(/^https?:\/\/([a-z]{2}\d+)\.make\.com(?:[/?#:]|$)/i);
+    const region = regionMatch ? regionMatch[1].toLowerCase() : null;
+    const orgMatch = (url || '').match(/make\.com\/organization\/(\d+)(?:[/?#]|$)/);
+    if (orgMatch) return { region, organizationId: orgMatch[1], teamId: null };
+    const teamMatch = (url || '').match(/make\.com\/(\d+)(?:[/?#]|$)/);
+    return { region, organizationId: null, teamId: teamMatch ? teamMatch[1] : null };
+  }
+
+  /**
+   * Which workspace a metrics object belongs to. Make URLs carry the region
+   * and the team or organization id; Zapier URLs carry nothing, so the account name shown in
+   * the page is used, and without one the platform has a single workspace.
+   */
+  function getAccountKey(metrics) {
+    const platform = metrics.platform || 'unknown';
+    if (platform === 'make') {
+      const { region, organizationId, teamId } = parseMakeUrl(metrics.url);
+      const prefix = region ? `make:${region}:` : 'make:';
+      if (teamId) return `${prefix}${teamId}`;
+      if (organizationId) return `${prefix}org-${organizationId}`;
+      if (metrics.teamName) return `${prefix}${metrics.teamName}`;
+    }
+    if (platform === 'zapier' && metrics.accountName) {
+      return `zapier:${metrics.accountName}`;
+    }
+    return `${platform}:default`;
+  }
+
+  /**
+   * Human name for the workspace switcher ("Acme Ops", "Team 123456 (EU1)")
+   */
+  function getAccountLabel(metrics) {
+    if (metrics.platform === 'make') {
+      const { region, organizationId, teamId } = parseMakeUrl(metrics.url);
+      const suffix = region ? ` (${region.toUpperCase()})` : '';
+      if (metrics.teamName) return `${metrics.teamName}${suffix}`;
+      if (teamId) return `Team ${teamId}${suffix}`;
+      if (organizationId) return `Organization ${organizationId}${suffix}`;
+    }
+    if (metrics.platform === 'zapier' && metrics.accountName) return metrics.accountName;
+    return `${PLATFORM_LABELS[metrics.platform] || metrics.platform} account`;
+  }
+
+  function metricsKey(accountKey) {
+    return `${METRICS_KEY_PREFIX}${accountKey}`;
+  }
+
+  function metricsKeyFor(metrics) {
+    return metricsKey(getAccountKey(metrics));
+  }
+
+  function runsKey(accountKey) {
+    return `${RUNS_KEY_PREFIX}${accountKey}`;
+  }
+
+  function runsKeyFor(runHistory) {
+    return runsKey(getAccountKey(runHistory));
+  }
+
+  /**
+   * Zap and scenario ids are unique per platform, so the step list is keyed
+   * by workflow rather than workspace: the editor rarely shows the account
+   */
+  function stepsKeyFor(record) {
+    return `${STEPS_KEY_PREFIX}${record.platform}:${record.workflowId}`;
+  }
+
+  /**
+   * Stored step list for the workflow an editor URL is showing, or null
+   */
+  function findStepsForUrl(stored, url) {
+    const path = (url || '').split(/[?#]/)[0];
+    return Object.entries(stored || {})
+      .filter(([key, record]) => key.startsWith(STEPS_KEY_PREFIX) && record && record.workflowId)
+      .map(([, record]) => record)
+      .find(record => new RegExp(`/${record.workflowId}(?:/|$)`).test(path) &&
+        path.includes(record.platform === 'make' ? 'make.com' : 'zapier.com')) || null;
+  }
+
+  /**
+   * Workspaces found in a chrome.storage.local dump, most recently updated first
+   */
+  function listWorkspaces(stored) {
+    return Object.entries(stored || {})
+      .filter(([key, metrics]) => key.startsWith(METRICS_KEY_PREFIX) && metrics && metrics.platform)
+      .map(([key, metrics]) => ({
+        key: key.slice(METRICS_KEY_PREFIX.length),
+        platform: metrics.platform,
+        label: getAccountLabel(metrics),
+        metrics
+      }))
+      .sort((a, b) => (Date.parse(b.metrics.timestamp) || 0) - (Date.parse(a.metrics.timestamp) || 0));
+  }
+
+  /**
+   * The workspace a dashboard URL is showing: an exact match when the URL
+   * names the team or organization, else the most recently updated one on the
+   * platform (and, for Make, in the URL's region)
+   */
+  function findWorkspaceForUrl(workspaces, url) {
+    const platform = (url || '').includes('zapier.com') ? 'zapier'
+      : (url || '').includes('make.com') ? 'make'
+        : null;
+    if (!platform) return null;
+
+    const key = getAccountKey({ platform, url });
+    const region = platform === 'make' ? parseMakeUrl(url).region : null;
+    return workspaces.find(workspace => workspace.key === key) ||
+      workspaces.find(workspace => workspace.platform === platform &&
+        (!region || parseMakeUrl(workspace.metrics.url).region === region)) ||
+      null;
+  }
+
+  /**
+   * Storage changes that move metrics to their current workspace key: from
+   * the old single per-platform keys, and from keys an older getAccountKey
+   * produced (before Make regions were part of the identity). The per-account
+   * maps named in accountMapKeys (history, alert state) follow the renames.
+   * Where the new key is already taken, what is there wins.
+   */
+  function planWorkspaceMigration(stored, accountMapKeys = []) {
+    const set = {};
+    const remove = [];
+    const renames = {};
+
+    const moveTo = (target, metrics) => {
+      if (!stored[target] && !set[target]) set[target] = metrics;
+    };
+
+    Object.values(LEGACY_METRICS_KEYS).forEach(legacyKey => {
+      const metrics = stored[legacyKey];
+      if (!metrics) return;
+      remove.push(legacyKey);
+      if (metrics.platform) moveTo(metricsKeyFor(metrics), metrics);
+    });
+
+    Object.entries(stored).forEach(([key, metrics]) => {
+      if (!key.startsWith(METRICS_KEY_PREFIX) || !metrics || !metrics.platform) return;
+      const from = key.slice(METRICS_KEY_PREFIX.length);
+      const to = getAccountKey(metrics);
+      if (from === to) return;
+      remove.push(key);
+      renames[from] = to;
+      moveTo(metricsKey(to), metrics);
+    });
+
+    accountMapKeys.forEach(mapKey => {
+      const map = stored[mapKey];
+      if (!map || !Object.keys(renames).some(from => from in map)) return;
+      const next = Object.assign({}, map);
+      Object.entries(renames).forEach(([from, to]) => {
+        if (!(from in next)) return;
+        if (!(to in next)) next[to] = next[from];
+        delete next[from];
+      });
+      set[mapKey] = next;
+    });
+
+    return { set, remove };
+  }
+
+  const FlowFixWorkspaces = {
+    METRICS_KEY_PREFIX,
+    RUNS_KEY_PREFIX,
+    STEPS_KEY_PREFIX,
+    LEGACY_METRICS_KEYS,
+    PLATFORM_LABELS,
+    parseMakeUrl,
+    getAccountKey,
+    getAccountLabel,
+    metricsKey,
+    metricsKeyFor,
+    runsKey,
+    runsKeyFor,
+    stepsKeyFor,
+    findStepsForUrl,
+    listWorkspaces,
+    findWorkspaceForUrl,
+    planWorkspaceMigration
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowFixWorkspaces;
+  } else {
+    root.FlowFixWorkspaces = FlowFixWorkspaces;
+  }
+})(globalThis);
@@ -0,0 +1,74 @@
+/**
+ * FlowFix alert detection tests (shared/alerts.js)
+ */
+
+const assert = require('assert');
+const Alerts = require('../shared/alerts.js');
+const FlowFixSettings = require('../shared/settings.js');
+
+const settings = FlowFixSettings.normalizeSettings({}).alerts;
+
+function zapierState(healthScore, taskUsagePercent, workflows) {
+  return Alerts.toAlertState({
+    platform: 'zapier',
+    timestamp: '2026-10-19T10:00:00Z',
+    healthScore,
+    taskUsagePercent,
+    workflows
+  });
+}
+
+const types = alerts => alerts.map(alert => alert.type);
+
+describe('Alerts - detectAlerts', () => {
+  const ok = { id: '1', name: 'Sync leads', status: 'on' };
+  const broken = { id: '2', name: 'Invoice bot', status: 'error' };
+  const broken2 = { id: '3', name: 'Slack digest', status: 'error' };
+
+  it('should alert when health drops below the threshold', () => {
+    const alerts = Alerts.detectAlerts(zapierState(80, 10, []), zapierState(45, 10, []), 'zapier', settings);
+    assert.deepStrictEqual(alerts, [{
+      type: 'health',
+      title: 'Zapier health dropped to 45',
+      message: 'Below your alert threshold of 60. Open the dashboard to see what changed.'
+    }]);
+  });
+
+  it('should not repeat a health alert while the score stays low', () => {
+    const alerts = Alerts.detectAlerts(zapierState(50, 10, []), zapierState(40, 10, []), 'zapier', settings);
+    assert.deepStrictEqual(types(alerts), []);
+  });
+
+  it('should name workflows that started failing', () => {
+    const alerts = Alerts.detectAlerts(
+      zapierState(90, 10, [ok, broken]),
+      zapierState(90, 10, [ok, broken, broken2]),
+      'zapier', settings
+    );
+    assert.deepStrictEqual(alerts, [{
+      type: 'errors',
+      title: '1 new failing zap on Zapier',
+      message: 'Slack digest'
+    }]);
+  });
+
+  it('should skip new-error alerts without a previous inventory', () => {
+    const alerts = Alerts.detectAlerts(null, zapierState(90, 10, [broken]), 'zapier', settings);
+    assert.deepStrictEqual(types(alerts), []);
+  });
+
+  it('should alert once per usage level crossed', () => {
+    const crossed75 = Alerts.detectAlerts(zapierState(90, 70, []), zapierState(90, 80, []), 'zapier', settings);
+    assert.strictEqual(crossed75[0].message, 'Usage crossed 75% of the tasks limit for this billing cycle.');
+
+    const crossed90 = Alerts.detectAlerts(zapierState(90, 80, []), zapierState(90, 93, []), 'zapier', settings);
+    assert.strictEqual(crossed90[0].message, 'Usage crossed 90% of the tasks limit for this billing cycle.');
+
+    assert.deepStrictEqual(types(Alerts.detectAlerts(zapierState(90, 93, []), zapierState(90, 95, []), 'zapier', settings)), []);
+  });
+
+  it('should treat a first bad reading as a change from healthy', () => {
+    const alerts = Alerts.detectAlerts(undefined, zapierState(30, 92, []), 'zapier', settings);
+    assert.deepStrictEqual(types(alerts), ['health', 'usage']);
+  });
+});
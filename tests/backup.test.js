@@ -0,0 +1,186 @@
+/**
+ * FlowFix settings and history backup tests (shared/backup.js)
+ */
+
+const assert = require('assert');
+const Backup = require('../shared/backup.js');
+const { DEFAULT_SETTINGS, normalizeSettings } = require('../shared/settings.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.parse('2026-10-19T12:00:00Z');
+const exportedAt = '2026-10-19T12:00:00.000Z';
+
+const zapier = { platform: 'zapier', url: 'https://zapier.com/app/zaps', timestamp: '2026-10-19T11:00:00Z', healthScore: 80 };
+const make = { platform: 'make', url: 'https://eu1.make.com/123456/scenarios', timestamp: '2026-10-18T09:00:00Z', healthScore: 65 };
+
+function snapshot(timestamp, healthScore) {
+  return { timestamp, healthScore, errors: 0, usagePercent: 50, total: 4, used: 500, limit: 1000 };
+}
+
+const stored = {
+  'metrics:zapier:default': zapier,
+  'metrics:make:eu1:123456': make,
+  metricsHistory: {
+    'zapier:default': [snapshot('2026-10-18T10:00:00Z', 78), snapshot('2026-10-19T11:00:00Z', 80)]
+  },
+  alertState: { 'zapier:default': {} }
+};
+
+describe('Backup - createBackup', () => {
+  it('should write the settings, history and workspace metrics', () => {
+    const backup = Backup.createBackup({ settings: {}, stored, appVersion: '1.9.0', exportedAt });
+    assert.strictEqual(backup.format, Backup.BACKUP_FORMAT);
+    assert.strictEqual(backup.schemaVersion, Backup.BACKUP_SCHEMA_VERSION);
+    assert.deepStrictEqual(backup.settings, normalizeSettings({}));
+    assert.deepStrictEqual(backup.history, stored.metricsHistory);
+    assert.deepStrictEqual(backup.workspaces, { 'zapier:default': zapier, 'make:eu1:123456': make });
+    assert.strictEqual(Backup.backupFileName(backup), 'flowfix-backup-2026-10-19.json');
+  });
+
+  it('should write only the settings when sharing a configuration', () => {
+    const backup = Backup.createBackup({ settings: {}, stored, includeHistory: false, exportedAt });
+    assert.strictEqual(backup.history, undefined);
+    assert.strictEqual(backup.workspaces, undefined);
+    assert.strictEqual(Backup.backupFileName(backup), 'flowfix-settings-2026-10-19.json');
+  });
+});
+
+describe('Backup - parseBackup', () => {
+  it('should round-trip a backup', () => {
+    const backup = Backup.createBackup({ settings: {}, stored, exportedAt });
+    assert.deepStrictEqual(Backup.parseBackup(JSON.stringify(backup)), backup);
+  });
+
+  it('should upgrade a bare settings object', () => {
+    const backup = Backup.parseBackup(JSON.stringify({ historyRetentionDays: 90 }));
+    assert.strictEqual(backup.schemaVersion, 1);
+    assert.deepStrictEqual(backup.settings, { historyRetentionDays: 90 });
+    assert.strictEqual(backup.history, undefined);
+  });
+
+  it('should upgrade a chrome.storage.local dump with legacy keys', () => {
+    const backup = Backup.parseBackup(JSON.stringify({
+      zapierMetrics: zapier,
+      'metrics:make:123456': make,
+      metricsHistory: { 'zapier:default': [] }
+    }));
+    assert.strictEqual(backup.settings, undefined);
+    assert.deepStrictEqual(backup.history, { 'zapier:default': [] });
+    assert.deepStrictEqual(Object.keys(backup.workspaces), ['zapier:default', 'make:123456']);
+  });
+
+  it('should refuse files it cannot read', () => {
+    assert.throws(() => Backup.parseBackup('{'), /not valid JSON/);
+    assert.throws(() => Backup.parseBackup('[]'), /expected a JSON object/);
+    assert.throws(() => Backup.parseBackup('{"format":"flowfix-backup"}'), /schema version is missing/);
+    assert.throws(() => Backup.parseBackup('{"format":"flowfix-backup","schemaVersion":1,"settings":[]}'),
+      /"settings" is not an object/);
+    assert.throws(() => Backup.parseBackup('{"zaps":[]}'), /neither settings nor history/);
+  });
+
+  it('should refuse a backup from a newer version', () => {
+    assert.throws(() => Backup.parseBackup('{"format":"flowfix-backup","schemaVersion":2,"settings":{}}'),
+      /newer FlowFix \(schema 2\)/);
+  });
+});
+
+describe('Backup - importSettings', () => {
+  const current = normalizeSettings({
+    colorBands: { healthy: 85, attention: 60, degraded: 40 },
+    recommendations: { disabledRules: ['someErrors'] }
+  });
+  const incoming = { badge: { showOnPage: false }, recommendations: { disabledRules: ['quotaCritical'] } };
+
+  it('should merge the file into the current settings', () => {
+    const { settings, changed } = Backup.importSettings(current, incoming, 'merge');
+    assert.strictEqual(settings.colorBands.healthy, 85);
+    assert.strictEqual(settings.badge.showOnPage, false);
+    assert.strictEqual(settings.badge.showOnToolbar, true);
+    assert.deepStrictEqual(settings.recommendations.disabledRules, ['someErrors', 'quotaCritical']);
+    assert.deepStrictEqual(changed, ['badge', 'recommendations']);
+  });
+
+  it('should replace the current settings, with defaults for the rest', () => {
+    const { settings, changed } = Backup.importSettings(current, incoming, 'replace');
+    assert.deepStrictEqual(settings.colorBands, DEFAULT_SETTINGS.colorBands);
+    assert.deepStrictEqual(settings.recommendations.disabledRules, ['quotaCritical']);
+    assert.deepStrictEqual(changed, ['colorBands', 'badge', 'recommendations']);
+  });
+});
+
+describe('Backup - planHistoryImport', () => {
+  const backup = {
+    format: 'flowfix-backup',
+    schemaVersion: 1,
+    history: {
+      'zapier:default': [snapshot('2026-10-17T08:00:00Z', 70), snapshot('2026-10-19T11:30:00Z', 82)],
+      'make:123456': [snapshot('2026-10-18T09:00:00Z', 64), snapshot(new Date(now - 40 * DAY_MS).toISOString(), 10)]
+    },
+    workspaces: {
+      'zapier:default': Object.assign({}, zapier, { timestamp: '2026-10-10T00:00:00Z' }),
+      'make:123456': Object.assign({}, make, { timestamp: '2026-10-19T11:45:00Z' })
+    }
+  };
+
+  it('should merge timelines by hour under current workspace keys', () => {
+    const { set, summary } = Backup.planHistoryImport(stored, backup, { retentionDays: 30, now });
+    assert.deepStrictEqual(set.metricsHistory['zapier:default'].map(s => s.healthScore), [70, 78, 82]);
+    assert.deepStrictEqual(set.metricsHistory['make:eu1:123456'].map(s => s.healthScore), [64]);
+    assert.deepStrictEqual(summary, { accounts: 2, added: 3, workspaces: 1, skipped: 0, dropped: 0 });
+  });
+
+  it('should keep the newer metrics of each workspace', () => {
+    const { set } = Backup.planHistoryImport(stored, backup, { retentionDays: 30, now });
+    assert.strictEqual(set['metrics:zapier:default'], undefined);
+    assert.strictEqual(set['metrics:make:eu1:123456'].timestamp, '2026-10-19T11:45:00Z');
+  });
+
+  it('should skip workspace metrics that no dashboard could have written', () => {
+    const crafted = Object.assign({}, backup, {
+      workspaces: {
+        'zapier:link': Object.assign({}, zapier, { url: 'javascript:alert(1)' }),
+        'zapier:offsite': Object.assign({}, zapier, { url: 'https://zapier.com.example.org/app' }),
+        'zapier:plain': Object.assign({}, zapier, { url: 'http://zapier.com/app/zaps' }),
+        'zapier:score': Object.assign({}, zapier, { healthScore: '100' }),
+        'other:default': { platform: 'other', url: 'https://example.org' },
+        'make:eu2:42': Object.assign({}, make, { url: 'https://eu2.make.com/42/scenarios', totalScenarios: null })
+      }
+    });
+    const { set, summary } = Backup.planHistoryImport({}, crafted, { retentionDays: 30, now });
+    assert.deepStrictEqual(Object.keys(set).filter(key => key.startsWith('metrics:')), ['metrics:make:eu2:42']);
+    assert.strictEqual(summary.skipped, 5);
+    assert.strictEqual(summary.workspaces, 1);
+  });
+
+  it('should drop malformed snapshots from a corrupt backup', () => {
+    const corrupt = Backup.parseBackup(JSON.stringify({
+      format: 'flowfix-backup',
+      schemaVersion: 1,
+      history: {
+        'zapier:default': [
+          snapshot('2026-10-19T08:00:00Z', 81),
+          Object.assign(snapshot('2026-10-19T09:00:00Z', 82), { used: '500' }),
+          Object.assign(snapshot('2026-10-19T10:00:00Z', 83), { healthScore: { evil: true } }),
+          snapshot('yesterday', 84),
+          snapshot(1760860800000, 85),
+          Object.assign(snapshot('2026-10-19T11:15:00Z', 86), { note: '<img src=x onerror=alert(1)>' }),
+          'not a snapshot'
+        ],
+        'make:eu1:123456': { not: 'a list' }
+      }
+    }));
+    const { set, summary } = Backup.planHistoryImport({}, corrupt, { retentionDays: 30, now });
+    assert.deepStrictEqual(set.metricsHistory, {
+      'zapier:default': [snapshot('2026-10-19T08:00:00Z', 81), snapshot('2026-10-19T11:15:00Z', 86)]
+    });
+    assert.strictEqual(summary.dropped, 5);
+    assert.strictEqual(summary.added, 2);
+  });
+
+  it('should replace this browser\'s history', () => {
+    const { set, summary } = Backup.planHistoryImport(stored, backup, { mode: 'replace', retentionDays: 30, now });
+    assert.deepStrictEqual(set.metricsHistory['zapier:default'].map(s => s.healthScore), [70, 82]);
+    assert.deepStrictEqual(Object.keys(set.metricsHistory), ['zapier:default', 'make:eu1:123456']);
+    assert.strictEqual(summary.added, 3);
+  });
+});
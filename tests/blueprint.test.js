@@ -0,0 +1,78 @@
+/**
+ * FlowFix Make blueprint linter tests (shared/blueprint.js)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Blueprint = require('../shared/blueprint.js');
+
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'make-blueprint.json'), 'utf8');
+
+function scenarioModule(id, name, details = {}) {
+  return Object.assign({ id, module: name, version: 1, parameters: {}, mapper: {} }, details);
+}
+
+const findingIds = flow => Blueprint.lintBlueprint({ flow }).findings.map(finding => finding.id);
+
+describe('Blueprint - parseBlueprint', () => {
+  it('should accept a blueprint or the API response around one', () => {
+    assert.strictEqual(Blueprint.parseBlueprint(fixture).name, '[redacted-scenario-1]');
+    const wrapped = JSON.stringify({ code: 'OK', response: { blueprint: JSON.parse(fixture) } });
+    assert.strictEqual(Blueprint.parseBlueprint(wrapped).flow.length, 5);
+  });
+
+  it('should explain why a file is not a blueprint', () => {
+    assert.throws(() => Blueprint.parseBlueprint('{ nope'), /not valid JSON/);
+    assert.throws(() => Blueprint.parseBlueprint('{"name": "x"}'), /no "flow" list/);
+  });
+});
+
+describe('Blueprint - lintBlueprint', () => {
+  it('should lint the exported scenario', () => {
+    const lint = Blueprint.lintBlueprint(Blueprint.parseBlueprint(fixture));
+    assert.deepStrictEqual(lint.trigger, { app: 'Google Sheets', module: 'google-sheets:watchRows', instant: false });
+    assert.deepStrictEqual(lint.counts, { modules: 15, routes: 3, errorHandlers: 1, filters: 1 });
+    assert.deepStrictEqual(lint.findings.map(finding => [finding.id, finding.moduleId]), [
+      ['hardcodedCredential', 4],
+      ['hardcodedCredential', 14],
+      ['noErrorHandler', 4],
+      ['noErrorHandler', 6],
+      ['noErrorHandler', 15],
+      ['iteratorToAggregator', 2],
+      ['routerNoFilter', 5],
+      ['fanOut', 7],
+      ['hardcodedUrl', 4],
+      ['hardcodedUrl', 14]
+    ]);
+  });
+
+  it('should name where a credential is without repeating it', () => {
+    const [credential] = Blueprint.lintBlueprint(Blueprint.parseBlueprint(fixture)).findings;
+    assert.strictEqual(credential.text, 'Module 4 (HTTP) has a credential typed into the Authorization field. ' +
+      'Anyone with the blueprint can read it: move it into a connection or keychain and rotate it.');
+    assert.deepStrictEqual(findingIds([
+      scenarioModule(1, 'gateway:CustomWebHook'),
+      scenarioModule(2, 'util:SetVariable2', { mapper: { token: '{{1.token}}', note: 'see https://example.com/docs' } })
+    ]), []);
+  });
+
+  it('should flag a polling trigger nothing filters', () => {
+    const flow = [scenarioModule(1, 'google-sheets:watchRows'), scenarioModule(2, 'util:SetVariable2')];
+    assert.deepStrictEqual(findingIds(flow), ['pollingNoFilter']);
+    assert.deepStrictEqual(findingIds([flow[0], Object.assign({ filter: { name: 'New only' } }, flow[1])]), []);
+    assert.deepStrictEqual(Blueprint.lintBlueprint({ flow, metadata: { instant: true } }).findings, []);
+  });
+
+  it('should flag iterators inside iterators', () => {
+    const lint = Blueprint.lintBlueprint({
+      flow: [
+        scenarioModule(1, 'gateway:CustomWebHook'),
+        scenarioModule(2, 'builtin:BasicFeeder'),
+        scenarioModule(3, 'builtin:BasicFeeder'),
+        scenarioModule(4, 'util:SetVariable2')
+      ]
+    });
+    assert.deepStrictEqual(lint.findings.map(finding => [finding.id, finding.moduleId]), [['nestedIterator', 3]]);
+  });
+});
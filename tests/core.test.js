@@ -0,0 +1,235 @@
+/**
+ * FlowFix Content Core Tests
+ *
+ * Covers the DOM-free helpers shared by every platform adapter.
+ */
+
+const assert = require('assert');
+const FlowFix = require('../content/core.js');
+const FlowFixSettings = require('../shared/settings.js');
+const { adapter: zapierAdapter } = require('../content/zapier.js');
+const { adapter: makeAdapter } = require('../content/make.js');
+
+describe('Core - extractNumber', () => {
+  it('should strip thousands separators', () => {
+    assert.strictEqual(FlowFix.extractNumber('1,234 tasks'), 1234);
+  });
+
+  it('should return null for empty or non-numeric text', () => {
+    assert.strictEqual(FlowFix.extractNumber(''), null);
+    assert.strictEqual(FlowFix.extractNumber('no data'), null);
+  });
+});
+
+describe('Core - calculateHealthScore', () => {
+  it('should score a clean Zapier account at 100', () => {
+    const metrics = { taskUsagePercent: 10, errorRate: 0, pausedZaps: 0, totalZaps: 5 };
+    assert.strictEqual(FlowFix.calculateHealthScore(metrics, zapierAdapter.fields), 100);
+  });
+
+  it('should apply the same penalties to both platforms', () => {
+    const zapier = { taskUsagePercent: 92, errorRate: 10, pausedZaps: 2, totalZaps: 10 };
+    const make = { operationsUsagePercent: 92, errorRate: 10, inactiveScenarios: 2, totalScenarios: 10 };
+    const zapierScore = FlowFix.calculateHealthScore(zapier, zapierAdapter.fields);
+    const makeScore = FlowFix.calculateHealthScore(make, makeAdapter.fields);
+    // 100 - 30 (usage > 90) - 20 (error rate * 2) - 20 (paused rate, capped)
+    assert.strictEqual(zapierScore, 30);
+    assert.strictEqual(makeScore, zapierScore);
+  });
+
+  it('should cap each deduction', () => {
+    const metrics = { taskUsagePercent: 100, errorRate: 100, pausedZaps: 10, totalZaps: 10 };
+    assert.strictEqual(FlowFix.calculateHealthScore(metrics, zapierAdapter.fields), 10);
+  });
+
+  it('should use the configured scoring weights', () => {
+    const metrics = { taskUsagePercent: 92, errorRate: 10, pausedZaps: 2, totalZaps: 10 };
+    const scoring = FlowFixSettings.normalizeSettings({
+      scoring: { usage: { critical: { above: 95 } }, errorRateMultiplier: 1, inactiveCap: 10 }
+    }).scoring;
+    // 100 - 15 (usage > 75) - 10 (error rate * 1) - 10 (paused rate, capped at 10)
+    assert.strictEqual(FlowFix.calculateHealthScore(metrics, zapierAdapter.fields, scoring), 65);
+  });
+});
+
+describe('Core - calculateScoreBreakdown', () => {
+  const fields = zapierAdapter.fields;
+
+  it('should list a named deduction per factor that sums to the score', () => {
+    const metrics = { taskUsagePercent: 92, errorRate: 6, pausedZaps: 3, totalZaps: 25 };
+    const breakdown = FlowFix.calculateScoreBreakdown(metrics, fields, undefined, zapierAdapter.scoreLabels);
+    assert.deepStrictEqual(breakdown, {
+      score: 46,
+      deductions: [
+        { factor: 'usage', label: 'task usage', value: 92, points: 30, confidence: 'high' },
+        { factor: 'errors', label: 'error rate', value: 6, points: 12, confidence: 'high' },
+        { factor: 'inactive', label: 'paused zaps', value: 12, points: 12, confidence: 'high' }
+      ]
+    });
+    assert.strictEqual(FlowFix.formatDeduction(breakdown.deductions[2]), '-12 paused zaps 12%');
+  });
+
+  it('should leave out factors that cost nothing', () => {
+    const metrics = { taskUsagePercent: 40, errorRate: 0, pausedZaps: 0, totalZaps: 8 };
+    assert.deepStrictEqual(FlowFix.calculateScoreBreakdown(metrics, fields), { score: 100, deductions: [] });
+  });
+
+  it('should record discounted deductions with their confidence', () => {
+    const metrics = {
+      taskUsagePercent: 60, errorRate: 0, pausedZaps: 0, totalZaps: 5,
+      provenance: { taskUsagePercent: { derivedFrom: ['tasksUsed', 'taskLimit'], confidence: 'low' } }
+    };
+    // 5 points * 0.5, rounded
+    assert.deepStrictEqual(FlowFix.calculateScoreBreakdown(metrics, fields).deductions, [
+      { factor: 'usage', label: 'usage', value: 60, points: 3, confidence: 'low' }
+    ]);
+  });
+});
+
+describe('Core - getScoreColor', () => {
+  it('should map score bands to colors', () => {
+    assert.strictEqual(FlowFix.getScoreColor(85), '#22c55e');
+    assert.strictEqual(FlowFix.getScoreColor(65), '#eab308');
+    assert.strictEqual(FlowFix.getScoreColor(45), '#f97316');
+    assert.strictEqual(FlowFix.getScoreColor(10), '#ef4444');
+  });
+});
+
+describe('Core - selector registry', () => {
+  const registries = {
+    zapier: require('../selectors/zapier.json'),
+    make: require('../selectors/make.json')
+  };
+
+  Object.entries(registries).forEach(([platform, registry]) => {
+    it(`should accept the bundled ${platform} registry`, () => {
+      assert.strictEqual(FlowFix.validateRegistry(registry, platform), registry);
+    });
+
+    it(`should only use known strategies in the ${platform} registry`, () => {
+      Object.entries(registry.metrics).forEach(([name, metric]) => {
+        assert(['number', 'string', 'date', 'list', 'count'].includes(metric.type), `${name} has unknown type`);
+        metric.strategies.forEach(step => {
+          assert(['testid', 'aria', 'structural', 'text'].includes(step.strategy), `${name} has unknown strategy`);
+          assert(step.selectors || step.label, `${name} ${step.strategy} step needs selectors or a label`);
+        });
+      });
+    });
+  });
+
+  it('should reject a registry for another platform', () => {
+    assert.throws(() => FlowFix.validateRegistry(registries.make, 'zapier'), /is for make/);
+  });
+
+  it('should reject an unknown schema version', () => {
+    const future = Object.assign({}, registries.zapier, { schemaVersion: 99 });
+    assert.throws(() => FlowFix.validateRegistry(future, 'zapier'), /Unsupported selector registry schema/);
+  });
+});
+
+describe('Core - extraction confidence', () => {
+  const fields = zapierAdapter.fields;
+
+  it('should report the lowest of several confidence levels', () => {
+    assert.strictEqual(FlowFix.lowestConfidence('high', 'medium'), 'medium');
+    assert.strictEqual(FlowFix.lowestConfidence('high', 'low', 'medium'), 'low');
+    assert.strictEqual(FlowFix.lowestConfidence(), 'high');
+  });
+
+  it('should halve deductions that rest on low-confidence values', () => {
+    const metrics = {
+      taskUsagePercent: 92, errorRate: 0, pausedZaps: 0, totalZaps: 5,
+      provenance: { taskUsagePercent: { derivedFrom: ['tasksUsed', 'taskLimit'], confidence: 'low' } }
+    };
+    // 100 - 30 * 0.5 (usage > 90%, estimated)
+    assert.strictEqual(FlowFix.calculateHealthScore(metrics, fields), 85);
+    assert.deepStrictEqual(FlowFix.getEstimatedFields(metrics, fields), ['taskUsagePercent']);
+  });
+
+  it('should treat metrics without provenance as trusted', () => {
+    const metrics = { taskUsagePercent: 92, errorRate: 0, pausedZaps: 0, totalZaps: 5 };
+    assert.strictEqual(FlowFix.calculateHealthScore(metrics, fields), 70);
+    assert.deepStrictEqual(FlowFix.getEstimatedFields(metrics, fields), []);
+  });
+});
+
+describe('Core - workflow inventory', () => {
+  const now = Date.parse('2026-02-16T10:00:00Z');
+  const timeEl = (text, datetime = null) => ({
+    textContent: text,
+    getAttribute: name => (name === 'datetime' ? datetime : null)
+  });
+
+  it('should prefer a machine-readable datetime', () => {
+    assert.strictEqual(FlowFix.parseRunTime(timeEl('Yesterday', '2026-02-15T08:00:00Z'), now), '2026-02-15T08:00:00.000Z');
+  });
+
+  it('should resolve relative last-run phrases against now', () => {
+    assert.strictEqual(FlowFix.parseRunTime(timeEl('5 minutes ago'), now), '2026-02-16T09:55:00.000Z');
+    assert.strictEqual(FlowFix.parseRunTime(timeEl('an hour ago'), now), '2026-02-16T09:00:00.000Z');
+    assert.strictEqual(FlowFix.parseRunTime(timeEl('Yesterday'), now), '2026-02-15T10:00:00.000Z');
+  });
+
+  it('should not guess a year for dates without one', () => {
+    assert.strictEqual(FlowFix.parseRunTime(timeEl('Jan 12'), now), null);
+    assert.strictEqual(FlowFix.parseRunTime(timeEl('Never'), now), null);
+  });
+
+  it('should return no workflows when the registry has no row fields', () => {
+    assert.deepStrictEqual(FlowFix.extractWorkflows({ metrics: {} }, [{}]), []);
+  });
+});
+
+describe('Core - execution log values', () => {
+  it('should read run durations in milliseconds', () => {
+    assert.strictEqual(FlowFix.parseDuration('850 ms'), 850);
+    assert.strictEqual(FlowFix.parseDuration('2.4 s'), 2400);
+    assert.strictEqual(FlowFix.parseDuration('1 min 5 s'), 65000);
+    assert.strictEqual(FlowFix.parseDuration('00:01:05'), 65000);
+    assert.strictEqual(FlowFix.parseDuration('n/a'), null);
+  });
+
+  it('should read data transfer in bytes', () => {
+    assert.strictEqual(FlowFix.parseDataSize('512 B'), 512);
+    assert.strictEqual(FlowFix.parseDataSize('1.5 KB'), 1536);
+    assert.strictEqual(FlowFix.parseDataSize('2 MB'), 2 * 1024 * 1024);
+    assert.strictEqual(FlowFix.parseDataSize(null), null);
+  });
+
+  it('should copy per-workflow run stats onto the metrics', () => {
+    const metrics = FlowFix.attachRunStats({ platform: 'make' }, {
+      runs: [
+        { status: 'success', workflowId: '7', workflow: 'Sync', consumed: 4, durationMs: 1000 },
+        { status: 'error', workflowId: '7', workflow: 'Sync', consumed: 2, durationMs: 3000 }
+      ]
+    });
+    assert.strictEqual(metrics.runStats.length, 1);
+    assert.strictEqual(metrics.runStats[0].successRate, 50);
+    assert.strictEqual(metrics.runStats[0].avgConsumed, 3);
+    assert.strictEqual(metrics.runStats[0].avgDurationMs, 2000);
+    assert.strictEqual(FlowFix.attachRunStats({}, null).runStats, undefined);
+  });
+});
+
+describe('Core - parseCalendarDate', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+
+  it('should read ISO, month-first and day-first dates', () => {
+    assert.strictEqual(FlowFix.parseCalendarDate('2026-11-01T00:00:00Z', now), '2026-11-01');
+    assert.strictEqual(FlowFix.parseCalendarDate('Resets on Nov 1, 2026', now), '2026-11-01');
+    assert.strictEqual(FlowFix.parseCalendarDate('Usage resets on 14 March 2027', now), '2027-03-14');
+    assert.strictEqual(FlowFix.parseCalendarDate('Renews September 3rd', now), '2027-09-03');
+  });
+
+  it('should pick the next occurrence when the year is missing', () => {
+    assert.strictEqual(FlowFix.parseCalendarDate('Resets Nov 1', now), '2026-11-01');
+    assert.strictEqual(FlowFix.parseCalendarDate('Resets Oct 19', now), '2026-10-19');
+    assert.strictEqual(FlowFix.parseCalendarDate('Resets Oct 2', now), '2027-10-02');
+  });
+
+  it('should reject text without a valid date', () => {
+    assert.strictEqual(FlowFix.parseCalendarDate('Resets monthly', now), null);
+    assert.strictEqual(FlowFix.parseCalendarDate('Feb 30, 2026', now), null);
+    assert.strictEqual(FlowFix.parseCalendarDate(null, now), null);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * FlowFix cost estimate tests (shared/cost.js)
+ */
+
+const assert = require('assert');
+const Cost = require('../shared/cost.js');
+const { DEFAULT_SETTINGS } = require('../shared/settings.js');
+
+const pricing = DEFAULT_SETTINGS.pricing;
+
+function zapierMetrics(overrides = {}) {
+  return Object.assign({
+    platform: 'zapier',
+    planName: 'Professional',
+    tasksUsed: 600,
+    taskLimit: 750,
+    workflows: [
+      { id: '1', name: 'Lead sync', status: 'on' },
+      { id: '2', name: 'Invoice bot', status: 'on' },
+      { id: '3', name: 'Old import', status: 'off' }
+    ]
+  }, overrides);
+}
+
+describe('Cost - findPlan', () => {
+  it('should match plan names exactly, then by prefix', () => {
+    assert.strictEqual(Cost.findPlan(pricing.plans.zapier, 'professional').name, 'Professional');
+    assert.strictEqual(Cost.findPlan(pricing.plans.zapier, 'Pro').name, 'Professional');
+    assert.strictEqual(Cost.findPlan(pricing.plans.make, 'Pro').name, 'Pro');
+    assert.strictEqual(Cost.findPlan(pricing.plans.make, 'Teams plan').name, 'Teams');
+    assert.strictEqual(Cost.findPlan(pricing.plans.make, 'Legacy'), null);
+    assert.strictEqual(Cost.findPlan(pricing.plans.make, null), null);
+  });
+});
+
+describe('Cost - estimateCost', () => {
+  it('should return null for plans missing from the table', () => {
+    assert.strictEqual(Cost.estimateCost({ metrics: zapierMetrics({ planName: 'Legacy' }), pricing }), null);
+  });
+
+  it('should ask for a price when the tier has none', () => {
+    const estimate = Cost.estimateCost({ metrics: zapierMetrics({ planName: 'Enterprise' }), pricing });
+    assert.deepStrictEqual(estimate, { currency: 'USD', plan: 'Enterprise', reason: 'noPrice' });
+  });
+
+  it('should split the spend evenly over active workflows without run history', () => {
+    const estimate = Cost.estimateCost({ metrics: zapierMetrics(), pricing });
+    assert.strictEqual(estimate.monthlySpend, 29.99);
+    assert.strictEqual(estimate.overageCost, 0);
+    assert.strictEqual(estimate.split, 'even');
+    assert.deepStrictEqual(estimate.perWorkflow.map(entry => [entry.name, entry.cost, entry.share]), [
+      ['Lead sync', 15, 50],
+      ['Invoice bot', 15, 50]
+    ]);
+  });
+
+  it('should price a larger quota at the tier unit price', () => {
+    const estimate = Cost.estimateCost({ metrics: zapierMetrics({ taskLimit: 1500 }), pricing });
+    assert.strictEqual(estimate.price, 59.98);
+  });
+
+  it('should add projected overage and split by consumption', () => {
+    const runAnalysis = {
+      consumed: 300,
+      byWorkflow: [
+        { key: '1', name: 'Lead sync', consumed: 100 },
+        { key: '2', name: 'Invoice bot', consumed: 200 },
+        { key: '3', name: 'Old import', consumed: 0 }
+      ]
+    };
+    const estimate = Cost.estimateCost({ metrics: zapierMetrics(), pricing, forecast: { overage: 200 }, runAnalysis });
+    assert.strictEqual(estimate.overageCost, 10);
+    assert.strictEqual(estimate.monthlySpend, 39.99);
+    assert.strictEqual(estimate.split, 'consumption');
+    assert.deepStrictEqual(estimate.perWorkflow.map(entry => [entry.name, entry.cost, entry.share]), [
+      ['Invoice bot', 26.66, 67],
+      ['Lead sync', 13.33, 33]
+    ]);
+  });
+
+  it('should price polling savings at the overage rate once over the limit', () => {
+    const pollingWaste = [{ key: '1', name: 'Lead sync', instantSavings: 100 }];
+    const under = Cost.estimateCost({ metrics: zapierMetrics(), pricing, pollingWaste });
+    const over = Cost.estimateCost({ metrics: zapierMetrics(), pricing, forecast: { overage: 50 }, pollingWaste });
+    assert.strictEqual(under.totalSavings, 4);
+    assert.strictEqual(over.totalSavings, 5);
+    assert.deepStrictEqual(over.savings, [{ key: '1', name: 'Lead sync', units: 100, amount: 5 }]);
+  });
+});
+
+describe('Cost - formatMoney', () => {
+  it('should fall back to the code for unknown currencies', () => {
+    assert.ok(Cost.formatMoney(12.5, 'USD').includes('12.50'));
+    assert.strictEqual(Cost.formatMoney(12.5, 'X1'), '12.50 X1');
+  });
+});
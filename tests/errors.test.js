@@ -0,0 +1,77 @@
+/**
+ * FlowFix error clustering tests (shared/errors.js)
+ */
+
+const assert = require('assert');
+const Errors = require('../shared/errors.js');
+
+function failed(workflow, error, errorModule = null, status = 'error') {
+  return { status, workflow, workflowId: null, error, errorModule, timeAt: null };
+}
+
+describe('Errors - classifyError', () => {
+  const category = message => Errors.classifyError(message).id;
+
+  it('should recognize the common causes', () => {
+    assert.strictEqual(category('The app returned "Invalid API key".'), 'auth');
+    assert.strictEqual(category('401 Unauthorized'), 'auth');
+    assert.strictEqual(category('The operation failed with an error: 429 Too Many Requests'), 'rateLimit');
+    assert.strictEqual(category('Request timed out after 40 seconds'), 'timeout');
+    assert.strictEqual(category('Required field "Email" was empty.'), 'missingField');
+    assert.strictEqual(category('Slack returned (404) channel_not_found'), 'clientError');
+    assert.strictEqual(category('503 Service Unavailable'), 'serverError');
+    assert.strictEqual(category('Something odd happened'), 'other');
+  });
+});
+
+describe('Errors - normalizeErrorMessage', () => {
+  it('should mask the parts that vary between runs', () => {
+    assert.strictEqual(
+      Errors.normalizeErrorMessage('Record 5f3a9c for "Bob" not found at https://api.example.com/x (404)'),
+      'record <id> for <value> not found at <url> (404)'
+    );
+  });
+});
+
+describe('Errors - errorApp', () => {
+  it('should read the app from Make modules and from the message', () => {
+    assert.strictEqual(Errors.errorApp({ errorModule: '[redacted-module] (Google Sheets)' }), 'Google Sheets');
+    assert.strictEqual(Errors.errorApp({ errorModule: 'HTTP (Make a request)' }), 'HTTP');
+    assert.strictEqual(Errors.errorApp({ error: 'Slack returned (404) channel_not_found' }), 'Slack');
+    assert.strictEqual(Errors.errorApp({ error: 'The app returned "Invalid API key".' }), null);
+  });
+});
+
+describe('Errors - clusterErrors', () => {
+  const runs = [
+    failed('Invoice bot', 'The app returned "Invalid API key".'),
+    failed('Invoice bot', 'The app returned "Invalid API key".'),
+    failed('Lead sync', 'Token has expired'),
+    failed('Lead sync', 'Required field "Email" was empty.', null, 'halted'),
+    failed('Sheets sync', 'The operation failed with an error: 429 Too Many Requests', '[redacted-module] (Google Sheets)'),
+    { status: 'success', workflow: 'Invoice bot', error: null }
+  ];
+
+  it('should group runs by cause and app, biggest first', () => {
+    const clusters = Errors.clusterErrors(runs);
+    assert.deepStrictEqual(clusters.map(cluster => [cluster.category, cluster.app, cluster.count]), [
+      ['auth', null, 3],
+      ['missingField', null, 1],
+      ['rateLimit', 'Google Sheets', 1]
+    ]);
+    assert.deepStrictEqual(clusters[0].workflows, ['Invoice bot', 'Lead sync']);
+  });
+
+  it('should turn clusters into platform-specific fixes', () => {
+    const [auth, , rateLimit] = Errors.errorRecommendations(runs, 'make');
+    assert.strictEqual(auth.level, 'critical');
+    assert.strictEqual(auth.text, 'Expired or invalid connection: 3 runs in Invoice bot, Lead sync. ' +
+      'Reauthorize the connection to the app under Connections, then run the incomplete executions again.');
+    assert.ok(rateLimit.text.startsWith('Rate limit (429) from Google Sheets: 1 run in Sheets sync. Google Sheets is rate limiting this scenario.'));
+    assert.ok(Errors.errorRecommendations(runs, 'zapier')[0].text.includes('under My Apps'));
+  });
+
+  it('should return nothing without errored runs', () => {
+    assert.deepStrictEqual(Errors.errorRecommendations([], 'zapier'), []);
+  });
+});
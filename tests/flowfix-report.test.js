@@ -0,0 +1,139 @@
+/**
+ * FlowFix offline report tests (tools/flowfix-report.js)
+ *
+ * Runs the command-line report over the saved fixtures, the way CI does.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURE_DIR } = require('./helpers/fixture-dom');
+const Report = require('../tools/flowfix-report.js');
+
+const now = Date.parse('2026-10-19T12:00:00Z');
+const fixture = name => path.join(FIXTURE_DIR, name);
+
+/**
+ * Run main() and capture what it writes
+ */
+function run(args) {
+  const output = { out: '', err: '' };
+  const stream = key => ({ write: text => { output[key] += text; } });
+  output.status = Report.main(args, stream('out'), stream('err'));
+  return output;
+}
+
+describe('Report - pageUrl', () => {
+  it('should find where a page was saved from', () => {
+    assert.strictEqual(Report.pageUrl(fs.readFileSync(fixture('zapier-dashboard.html'), 'utf8')),
+      'https://zapier.com/app/zaps');
+    assert.strictEqual(Report.pageUrl('<!-- saved from url=(0031)https://eu1.make.com/scenarios -->\n<html>'),
+      'https://eu1.make.com/scenarios');
+    assert.strictEqual(Report.pageUrl('<link rel="canonical" href="https://zapier.com/app/home">'),
+      'https://zapier.com/app/home');
+    assert.strictEqual(Report.pageUrl('<html></html>'), null);
+  });
+});
+
+describe('Report - analyzeFiles', () => {
+  it('should score a dashboard together with its run history', () => {
+    const [report] = Report.analyzeFiles([fixture('zapier-dashboard.html'), fixture('zapier-history.html')], { now });
+    assert.strictEqual(report.kind, 'account');
+    assert.strictEqual(report.platform, 'zapier');
+    assert.strictEqual(report.healthScore, 16);
+    assert.deepStrictEqual(report.scoreBreakdown.map(deduction => deduction.points), [30, 34, 20]);
+    assert.strictEqual(report.runs.runs, 6);
+    assert.deepStrictEqual(report.recommendations.map(rec => rec.rule), [
+      'errorClusters', 'errorClusters', 'quotaCritical', 'someErrors', 'highConsumer', 'stalePaused', 'manyInactive'
+    ]);
+    assert.strictEqual(report.cost.plan, 'Professional');
+  });
+
+  it('should apply the given settings', () => {
+    const settings = require('../shared/settings.js').normalizeSettings({
+      recommendations: { disabledRules: ['errorClusters', 'stalePaused'] }
+    });
+    const [report] = Report.analyzeFiles([fixture('zapier-dashboard.html')], { now, settings });
+    assert.strictEqual(report.runs, null);
+    assert.deepStrictEqual(report.recommendations.map(rec => rec.rule), ['quotaCritical', 'someErrors', 'manyInactive']);
+  });
+
+  it('should report run history on its own when there is no dashboard', () => {
+    const [report] = Report.analyzeFiles([fixture('make-scenario-history.html')], { now });
+    assert.strictEqual(report.kind, 'runs');
+    assert.strictEqual(report.runs.runs, 4);
+    assert.deepStrictEqual(report.recommendations.map(rec => rec.level), ['warning']);
+  });
+
+  it('should report each workspace of several dashboards', () => {
+    const reports = Report.analyzeFiles([
+      fixture('zapier-dashboard.html'), fixture('zapier-dashboard-fallback.html'), fixture('zapier-history.html'),
+      fixture('make-scenarios.html'), fixture('make-scenarios-fallback.html'), fixture('make-scenario-history.html')
+    ], { now });
+    assert.deepStrictEqual(reports.map(report => [report.kind, report.workspace.key, report.files.length]), [
+      ['account', 'zapier:[redacted-account]', 2],
+      ['account', 'zapier:default', 1],
+      ['account', 'make:eu1:123456', 2],
+      ['account', 'make:us1:654321', 1]
+    ]);
+  });
+
+  it('should refuse two dashboards of one workspace', () => {
+    assert.throws(() => Report.analyzeFiles([fixture('make-scenarios.html'), fixture('make-scenarios.html')], { now }),
+      /make-scenarios\.html and .*make-scenarios\.html are both dashboards of .*; pass one/);
+  });
+
+  it('should check Zaps from the editor and from an export, and Make blueprints', () => {
+    const reports = Report.analyzeFiles(
+      [fixture('zapier-editor.html'), fixture('zapier-zap-export.json'), fixture('make-blueprint.json')], { now });
+    assert.deepStrictEqual(reports.map(report => [report.kind, report.workflow]), [
+      ['steps', '[redacted-zap-2]'],
+      ['steps', '[redacted-zap-3]'],
+      ['steps', '[redacted-zap-4]'],
+      ['blueprint', '[redacted-scenario-1]']
+    ]);
+    assert.strictEqual(reports[1].analysis.findings.length, 4);
+    assert.strictEqual(reports[3].lint.findings[0].id, 'hardcodedCredential');
+  });
+});
+
+describe('Report - main', () => {
+  it('should print a readable report', () => {
+    const output = run([fixture('make-scenarios.html'), fixture('zapier-zap-export.json')]);
+    assert.strictEqual(output.status, 0);
+    assert.match(output.out, /^Make\.com health score: 25\/100$/m);
+    assert.match(output.out, /^  -15 operations usage 85%$/m);
+    assert.match(output.out, /^Trigger: Webhooks by Zapier – Hook \(instant\)$/m);
+    assert.match(output.out, /^2 steps · 0 actions · 0 filters · 0 paths · 0 formatters · 1 delay$/m);
+  });
+
+  it('should print JSON', () => {
+    const output = run(['--json', fixture('make-blueprint.json')]);
+    assert.strictEqual(JSON.parse(output.out)[0].lint.counts.modules, 15);
+  });
+
+  it('should fail CI gates on a low score or a finding', () => {
+    assert.strictEqual(run(['--fail-under', '20', fixture('zapier-dashboard.html')]).status, 1);
+    assert.strictEqual(run(['--fail-under', '10', fixture('zapier-dashboard.html')]).status, 0);
+    assert.strictEqual(run(['--fail-on', 'critical', fixture('make-blueprint.json')]).status, 1);
+    assert.strictEqual(run(['--fail-on', 'critical', fixture('zapier-zap-export.json')]).status, 0);
+    assert.strictEqual(run(['--fail-on', 'warning', fixture('zapier-zap-export.json')]).status, 1);
+  });
+
+  it('should explain inputs it cannot read', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowfix-'));
+    const page = path.join(dir, 'page.html');
+    fs.writeFileSync(page, '<html><body>Saved page</body></html>');
+    try {
+      assert.deepStrictEqual(run([page]), {
+        out: '', err: 'flowfix-report: Not a Zapier or Make page (no address recorded); pass --url\n', status: 2
+      });
+      assert.strictEqual(run(['--url', 'https://zapier.com/app/zaps', page]).status, 0);
+      assert.strictEqual(run(['--fail-on', 'severe', page]).err, 'flowfix-report: --fail-on needs one of critical, warning, info\n');
+      assert.strictEqual(run([]).status, 2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * FlowFix quota forecast tests (shared/forecast.js)
+ */
+
+const assert = require('assert');
+const { cycleStartFor, forecastQuota } = require('../shared/forecast.js');
+
+function snapshot(timestamp, used, limit = 10000) {
+  return { timestamp, used, limit };
+}
+
+describe('Forecast - billing cycle', () => {
+  it('should start the cycle one month before the reset', () => {
+    assert.strictEqual(new Date(cycleStartFor('2026-11-01')).toISOString(), '2026-10-01T00:00:00.000Z');
+  });
+
+  it('should clamp to the end of a shorter previous month', () => {
+    assert.strictEqual(new Date(cycleStartFor('2026-03-31')).toISOString(), '2026-02-28T00:00:00.000Z');
+  });
+});
+
+describe('Forecast - forecastQuota', () => {
+  it('should project from the cycle average without history', () => {
+    // 10 days into the cycle, 5,000 used: 500/day, 5,000 left
+    const forecast = forecastQuota(snapshot('2026-10-11T00:00:00Z', 5000), [], '2026-11-01');
+    assert.deepStrictEqual(forecast, {
+      basis: 'cycle',
+      used: 5000,
+      limit: 10000,
+      ratePerDay: 500,
+      resetDate: '2026-11-01',
+      exhaustDate: '2026-10-21',
+      daysUntilExhausted: 10,
+      exhaustsBeforeReset: true,
+      projectedAtReset: 15500,
+      overage: 5500
+    });
+  });
+
+  it('should prefer the slope of this cycle\'s history', () => {
+    const history = [
+      snapshot('2026-09-28T00:00:00Z', 9000), // previous cycle
+      snapshot('2026-10-05T00:00:00Z', 1000),
+      snapshot('2026-10-09T00:00:00Z', 1400)
+    ];
+    // 100/day since Oct 5: 8,200 left lasts 82 days, well past the reset
+    const forecast = forecastQuota(snapshot('2026-10-13T00:00:00Z', 1800), history, '2026-11-01');
+    assert.strictEqual(forecast.basis, 'history');
+    assert.strictEqual(forecast.ratePerDay, 100);
+    assert.strictEqual(forecast.exhaustDate, '2027-01-03');
+    assert.strictEqual(forecast.exhaustsBeforeReset, false);
+    assert.strictEqual(forecast.projectedAtReset, 3700);
+    assert.strictEqual(forecast.overage, 0);
+  });
+
+  it('should only use readings since the last quota reset', () => {
+    const history = [
+      snapshot('2026-10-01T00:00:00Z', 8000),
+      snapshot('2026-10-10T00:00:00Z', 200),
+      snapshot('2026-10-11T00:00:00Z', 1200)
+    ];
+    const forecast = forecastQuota(snapshot('2026-10-12T00:00:00Z', 2200), history);
+    assert.strictEqual(forecast.ratePerDay, 1000);
+    assert.strictEqual(forecast.exhaustDate, '2026-10-19');
+    assert.strictEqual(forecast.resetDate, null);
+    assert.strictEqual(forecast.exhaustsBeforeReset, true);
+  });
+
+  it('should return null without usage, a limit or anything to measure a rate from', () => {
+    assert.strictEqual(forecastQuota(snapshot('2026-10-11T00:00:00Z', null), [], '2026-11-01'), null);
+    assert.strictEqual(forecastQuota(snapshot('2026-10-11T00:00:00Z', 10, null), [], '2026-11-01'), null);
+    assert.strictEqual(forecastQuota(snapshot('2026-10-11T00:00:00Z', 10)), null);
+  });
+
+  it('should not project exhaustion when usage is flat', () => {
+    const history = [snapshot('2026-10-10T00:00:00Z', 300)];
+    const forecast = forecastQuota(snapshot('2026-10-11T00:00:00Z', 300), history, '2026-11-01');
+    assert.strictEqual(forecast.exhaustDate, null);
+    assert.strictEqual(forecast.exhaustsBeforeReset, false);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Load a saved dashboard snapshot from tests/fixtures into jsdom and expose
+ * it as the globals the content scripts read (window, document, NodeFilter).
+ *
+ * Fixtures start with a header comment recording where they were captured:
+ *   <!-- flowfix-fixture platform="zapier" url="https://zapier.com/app/zaps" captured="2026-02-16" -->
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+
+function parseFixtureHeader(html) {
+  const header = html.match(/<!--\s*flowfix-fixture([^>]*)-->/);
+  const meta = {};
+  if (!header) return meta;
+  for (const [, key, value] of header[1].matchAll(/([\w-]+)="([^"]*)"/g)) {
+    meta[key] = value;
+  }
+  return meta;
+}
+
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+  const meta = parseFixtureHeader(html);
+  const dom = new JSDOM(html, { url: meta.url || 'https://example.invalid/' });
+
+  global.window = dom.window;
+  global.document = dom.window.document;
+  global.NodeFilter = dom.window.NodeFilter;
+
+  return {
+    dom,
+    meta,
+    cleanup() {
+      dom.window.close();
+      delete global.window;
+      delete global.document;
+      delete global.NodeFilter;
+    }
+  };
+}
+
+module.exports = { FIXTURE_DIR, loadFixture, parseFixtureHeader };
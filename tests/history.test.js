@@ -0,0 +1,126 @@
+/**
+ * FlowFix metrics history tests (shared/history.js)
+ */
+
+const assert = require('assert');
+const History = require('../shared/history.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const now = Date.parse('2026-02-16T10:30:00Z');
+
+function zapierMetrics(timestamp, healthScore, extra = {}) {
+  return Object.assign({
+    platform: 'zapier',
+    url: 'https://zapier.com/app/zaps',
+    timestamp,
+    healthScore,
+    errorZaps: 1,
+    taskUsagePercent: 50,
+    totalZaps: 6,
+    tasksUsed: 1000,
+    taskLimit: 2000
+  }, extra);
+}
+
+describe('History - recording snapshots', () => {
+  it('should store the charted fields under the account', () => {
+    const history = History.recordSnapshot({}, zapierMetrics('2026-02-16T10:00:00Z', 72), 30, now);
+    assert.deepStrictEqual(history, {
+      'zapier:default': [
+        { timestamp: '2026-02-16T10:00:00Z', healthScore: 72, errors: 1, usagePercent: 50, total: 6, used: 1000, limit: 2000 }
+      ]
+    });
+  });
+
+  it('should keep one snapshot per hour, the latest one', () => {
+    let history = {};
+    history = History.recordSnapshot(history, zapierMetrics('2026-02-16T09:10:00Z', 70), 30, now);
+    history = History.recordSnapshot(history, zapierMetrics('2026-02-16T10:05:00Z', 71), 30, now);
+    history = History.recordSnapshot(history, zapierMetrics('2026-02-16T10:25:00Z', 74), 30, now);
+    assert.deepStrictEqual(history['zapier:default'].map(s => s.healthScore), [70, 74]);
+  });
+
+  it('should ignore snapshots older than the latest one', () => {
+    let history = History.recordSnapshot({}, zapierMetrics('2026-02-16T10:00:00Z', 70), 30, now);
+    history = History.recordSnapshot(history, zapierMetrics('2026-02-16T07:00:00Z', 10), 30, now);
+    assert.deepStrictEqual(history['zapier:default'].map(s => s.healthScore), [70]);
+  });
+
+  it('should record undetected values as null', () => {
+    const history = History.recordSnapshot({}, zapierMetrics('2026-02-16T10:00:00Z', 90, { taskUsagePercent: null }), 30, now);
+    assert.strictEqual(history['zapier:default'][0].usagePercent, null);
+  });
+});
+
+describe('History - retention', () => {
+  const snapshots = [40, 10, 2].map(days => ({
+    timestamp: new Date(now - days * DAY_MS).toISOString(),
+    healthScore: days
+  }));
+
+  it('should drop snapshots outside the retention window', () => {
+    assert.deepStrictEqual(History.pruneSnapshots(snapshots, 30, now).map(s => s.healthScore), [10, 2]);
+    assert.deepStrictEqual(History.pruneSnapshots(snapshots, 7, now).map(s => s.healthScore), [2]);
+  });
+
+  it('should fall back to the default for unsupported retention values', () => {
+    assert.strictEqual(History.normalizeRetention(3), History.DEFAULT_RETENTION_DAYS);
+    assert.strictEqual(History.normalizeRetention(90), 90);
+  });
+
+  it('should cap each account at MAX_SNAPSHOTS', () => {
+    const many = Array.from({ length: History.MAX_SNAPSHOTS + 5 }, (_, i) => ({
+      timestamp: new Date(now - i * 60 * 1000).toISOString()
+    })).reverse();
+    assert.strictEqual(History.pruneSnapshots(many, 365, now).length, History.MAX_SNAPSHOTS);
+  });
+
+  it('should drop accounts left without snapshots', () => {
+    const history = { 'zapier:default': snapshots, 'make:1': snapshots.slice(0, 1) };
+    assert.deepStrictEqual(Object.keys(History.pruneHistory(history, 30, now)), ['zapier:default']);
+  });
+});
+
+describe('History - merging timelines', () => {
+  it('should keep one snapshot per hour, the later reading', () => {
+    const mine = [
+      { timestamp: '2026-02-15T09:10:00Z', healthScore: 60 },
+      { timestamp: '2026-02-16T10:05:00Z', healthScore: 71 }
+    ];
+    const restored = [
+      { timestamp: '2026-02-14T08:00:00Z', healthScore: 50 },
+      { timestamp: '2026-02-16T10:20:00Z', healthScore: 74 },
+      { timestamp: 'not a date', healthScore: 1 }
+    ];
+    assert.deepStrictEqual(History.mergeSnapshots(mine, restored, 30, now).map(s => s.healthScore), [50, 60, 74]);
+  });
+
+  it('should prune the merged timeline to the retention window', () => {
+    const old = [{ timestamp: new Date(now - 40 * DAY_MS).toISOString(), healthScore: 40 }];
+    assert.deepStrictEqual(History.mergeSnapshots([], old, 30, now), []);
+  });
+});
+
+describe('History - sparkline points', () => {
+  const snapshots = [
+    { timestamp: '2026-02-10T00:00:00Z', healthScore: 100 },
+    { timestamp: '2026-02-11T00:00:00Z', healthScore: null },
+    { timestamp: '2026-02-12T00:00:00Z', healthScore: 50 },
+    { timestamp: '2026-02-14T00:00:00Z', healthScore: 0 }
+  ];
+
+  it('should place points by time and invert y', () => {
+    const points = History.sparklinePoints(snapshots, 'healthScore', 100, 20, { min: 0, max: 100 });
+    assert.deepStrictEqual(points, [
+      { x: 0, y: 0, value: 100 },
+      { x: 50, y: 10, value: 50 },
+      { x: 100, y: 20, value: 0 }
+    ]);
+  });
+
+  it('should draw a flat series across the middle', () => {
+    const flat = snapshots.map(s => Object.assign({}, s, { healthScore: 5 }));
+    assert(History.sparklinePoints(flat, 'healthScore', 100, 20).every(p => p.y === 10));
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * FlowFix polling waste tests (shared/polling.js)
+ */
+
+const assert = require('assert');
+const Polling = require('../shared/polling.js');
+
+/**
+ * count runs of one scenario, the first `useful` of which processed data
+ */
+function makeRuns(count, useful, workflowId = '200002') {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `exec-${i}`,
+    status: 'success',
+    workflowId,
+    workflow: `Scenario ${workflowId}`,
+    consumed: i < useful ? 6 : 1,
+    timeAt: new Date(Date.parse('2026-02-16T10:00:00Z') - i * 15 * 60 * 1000).toISOString()
+  }));
+}
+
+describe('Polling - triggerTypeOf', () => {
+  it('should read the trigger type from the schedule', () => {
+    assert.strictEqual(Polling.triggerTypeOf({ schedule: 'Every 15 minutes', scheduleMinutes: 15 }), 'polling');
+    assert.strictEqual(Polling.triggerTypeOf({ schedule: 'Immediately', scheduleMinutes: null }), 'instant');
+    assert.strictEqual(Polling.triggerTypeOf({ schedule: 'On demand', scheduleMinutes: null }), 'manual');
+    assert.strictEqual(Polling.triggerTypeOf({ schedule: 'Polling', scheduleMinutes: null }), 'polling');
+    assert.strictEqual(Polling.triggerTypeOf({ schedule: null }), null);
+    assert.strictEqual(Polling.triggerTypeOf({ triggerType: 'instant', scheduleMinutes: 5 }), 'instant');
+  });
+});
+
+describe('Polling - detectPollingWaste', () => {
+  const scenario = { id: '200002', name: 'Scenario 200002', schedule: 'Every 15 minutes', scheduleMinutes: 15 };
+
+  it('should estimate the waste and savings of an idle polling scenario', () => {
+    const [entry] = Polling.detectPollingWaste([scenario], makeRuns(40, 2), 'make');
+    assert.deepStrictEqual(entry, {
+      key: '200002',
+      name: 'Scenario 200002',
+      intervalMinutes: 15,
+      sample: 40,
+      emptyShare: 95,
+      runsPerMonth: 2880,
+      wastedPerMonth: 2736,
+      instantSavings: 2736,
+      suggestedInterval: 60,
+      intervalSavings: 2052
+    });
+  });
+
+  it('should leave busy, instant and barely sampled workflows alone', () => {
+    assert.deepStrictEqual(Polling.detectPollingWaste([scenario], makeRuns(40, 20), 'make'), []);
+    assert.deepStrictEqual(Polling.detectPollingWaste([Object.assign({}, scenario, { schedule: 'Immediately', scheduleMinutes: null })],
+      makeRuns(40, 0), 'make'), []);
+    assert.deepStrictEqual(Polling.detectPollingWaste([scenario], makeRuns(5, 0), 'make'), []);
+  });
+
+  it('should ignore daily schedules that poll too rarely to matter', () => {
+    const daily = Object.assign({}, scenario, { schedule: 'Daily', scheduleMinutes: 1440 });
+    assert.deepStrictEqual(Polling.detectPollingWaste([daily], makeRuns(40, 0), 'make'), []);
+  });
+
+  it('should extrapolate runs a month from the history without a schedule', () => {
+    assert.strictEqual(Polling.estimateRunsPerMonth({}, makeRuns(5, 0)), 2880);
+    assert.strictEqual(Polling.estimateRunsPerMonth({}, makeRuns(1, 0)), null);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * FlowFix popup tests (popup/popup.js)
+ *
+ * Loads popup/index.html and its scripts into jsdom with a stubbed chrome
+ * API, then checks what the popup shows for a given tab and storage.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { loadFixture } = require('./helpers/fixture-dom');
+const FlowFix = require('../content/core.js');
+const { adapter: zapierAdapter } = require('../content/zapier.js');
+
+const ROOT = path.join(__dirname, '..');
+const POPUP_URL = 'chrome-extension://flowfix/popup/index.html';
+
+/**
+ * The popup opened on a tab, with chrome.storage.local holding `stored` and
+ * the content script answering ANALYZE_TAB with `analysis`
+ */
+async function openPopup({ tabUrl, stored = {}, analysis = {} }) {
+  const html = fs.readFileSync(path.join(ROOT, 'popup', 'index.html'), 'utf8');
+  const dom = new JSDOM(html, { url: POPUP_URL, runScripts: 'outside-only' });
+  const { window } = dom;
+
+  window.chrome = {
+    storage: {
+      local: { get: async () => stored, set: async () => {} },
+      sync: { get: async () => ({}), set: async () => {} },
+      onChanged: { addListener() {} }
+    },
+    runtime: {
+      getURL: file => `chrome-extension://flowfix/${file}`,
+      openOptionsPage() {},
+      sendMessage: async message => (message.type === 'ANALYZE_TAB' ? analysis : undefined)
+    },
+    tabs: {
+      query: async () => [{ id: 1, url: tabUrl }],
+      create() {},
+      sendMessage: async () => ({})
+    }
+  };
+
+  // The popup's own script tags, in order
+  const sources = Array.from(window.document.querySelectorAll('script[src]'), script => script.getAttribute('src'));
+  sources.forEach(src => window.eval(fs.readFileSync(path.join(ROOT, 'popup', src), 'utf8')));
+
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  return dom;
+}
+
+function zapierEditorSteps() {
+  const page = loadFixture('zapier-editor.html');
+  try {
+    return FlowFix.buildWorkflowSteps(zapierAdapter, require('../selectors/zapier.json'));
+  } finally {
+    page.cleanup();
+  }
+}
+
+describe('Popup - Zap editor', () => {
+  it('should show the Zap\'s steps with no dashboard metrics stored', async () => {
+    const steps = zapierEditorSteps();
+    const dom = await openPopup({ tabUrl: steps.url, analysis: { steps } });
+    const $ = id => dom.window.document.getElementById(id);
+    try {
+      assert($('no-platform').classList.contains('hidden'));
+      assert($('health-display').classList.contains('hidden'));
+      assert(!$('steps').classList.contains('hidden'));
+      assert.strictEqual($('steps-heading').textContent, 'This Zap');
+      assert.strictEqual($('steps-name').textContent, '[redacted-zap-2]');
+      assert($('steps-findings').children.length > 0);
+    } finally {
+      dom.window.close();
+    }
+  });
+});
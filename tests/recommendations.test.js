@@ -0,0 +1,157 @@
+/**
+ * FlowFix recommendation rule tests (shared/recommendations.js)
+ */
+
+const assert = require('assert');
+const Recommendations = require('../shared/recommendations.js');
+const FlowFixSettings = require('../shared/settings.js');
+
+const settings = FlowFixSettings.normalizeSettings({});
+const now = Date.parse('2026-10-19T12:00:00Z');
+
+function zapierMetrics(overrides = {}) {
+  return Object.assign({
+    platform: 'zapier',
+    totalZaps: 10,
+    errorZaps: 0,
+    pausedZaps: 0,
+    taskUsagePercent: 20,
+    workflows: []
+  }, overrides);
+}
+
+function evaluate(metrics, extra = {}, disabledRules = []) {
+  const context = Recommendations.buildContext(Object.assign({ metrics, settings, now }, extra));
+  return Recommendations.evaluateRules(context, disabledRules);
+}
+
+const rules = recs => recs.map(rec => rec.rule);
+
+describe('Recommendations - evaluateRules', () => {
+  it('should fall back to the all-clear message for a healthy account', () => {
+    assert.deepStrictEqual(evaluate(zapierMetrics()), [{
+      rule: 'healthy',
+      level: 'info',
+      text: 'Your integrations are healthy! Consider consolidating similar workflows.',
+      learnMore: null
+    }]);
+  });
+
+  it('should order recommendations by severity', () => {
+    const recs = evaluate(zapierMetrics({ errorZaps: 1, taskUsagePercent: 95, pausedZaps: 5 }));
+    assert.deepStrictEqual(rules(recs), ['quotaCritical', 'someErrors', 'manyInactive']);
+    assert.strictEqual(recs[0].text, '95% of tasks used. Consider upgrading or optimizing.');
+    assert.strictEqual(recs[1].text,
+      '1 zap needs attention. Open Zap History so FlowFix can group the errors and suggest fixes.');
+  });
+
+  it('should skip rules the team switched off', () => {
+    const recs = evaluate(zapierMetrics({ taskUsagePercent: 95 }), {}, ['quotaCritical']);
+    assert.deepStrictEqual(rules(recs), ['healthy']);
+    assert.deepStrictEqual(evaluate(zapierMetrics({ taskUsagePercent: 95 }), {}, ['quotaCritical', 'healthy']), []);
+  });
+
+  it('should skip rules whose data the page did not provide', () => {
+    const recs = evaluate({ platform: 'make', totalScenarios: 4, errorScenarios: 0 });
+    assert.deepStrictEqual(rules(recs), ['healthy']);
+  });
+});
+
+describe('Recommendations - rules', () => {
+  it('should name failing workflows and group run errors with a learn more link', () => {
+    const recs = evaluate(zapierMetrics({
+      errorZaps: 5,
+      workflows: [{ name: 'Invoice bot', status: 'error' }]
+    }), {
+      runHistory: { runs: [{ status: 'error', workflow: 'Invoice bot', error: '401 Unauthorized' }] }
+    });
+    assert.deepStrictEqual(rules(recs), ['manyErrors', 'errorClusters']);
+    assert.strictEqual(recs[0].text, '5 zaps have errors. Failing: Invoice bot');
+    assert.strictEqual(evaluate(zapierMetrics({ totalZaps: 2, errorZaps: 1 }))[0].text.split('.')[0],
+      '1 zap has errors');
+    assert.strictEqual(evaluate({ platform: 'make', totalScenarios: 2, errorScenarios: 2 })[0].text,
+      '2 scenarios have errors. Open a scenario\'s History so FlowFix can group the errors and suggest fixes.');
+    assert.strictEqual(recs[1].level, 'critical');
+    assert.deepStrictEqual(recs[1].learnMore, {
+      label: 'Error handling',
+      url: 'https://help.zapier.com/hc/en-us/search?query=error%20handling'
+    });
+  });
+
+  it('should name uncertain readings in words', () => {
+    const recs = evaluate(zapierMetrics({
+      provenance: {
+        errorZaps: { metric: 'errorZaps', strategy: 'text', confidence: 'low' },
+        errorRate: { derivedFrom: ['errorZaps', 'totalZaps'], confidence: 'low' },
+        taskLimit: { metric: 'taskLimit', strategy: 'testid', confidence: 'high' }
+      }
+    }));
+    assert.strictEqual(recs.find(rec => rec.rule === 'lowConfidence').text,
+      'Some values were read from page text and may be off (zaps with errors, error rate). ' +
+      'Re-analyze once the dashboard has fully loaded.');
+  });
+
+  it('should spot copies and long-paused workflows', () => {
+    const recs = evaluate(zapierMetrics({
+      workflows: [
+        { name: 'Lead sync', status: 'on' },
+        { name: 'Lead sync (copy)', status: 'off', lastRunAt: '2026-10-18T00:00:00Z' },
+        { name: 'Old digest', status: 'off', lastRunAt: '2026-05-01T00:00:00Z' }
+      ]
+    }));
+    assert.deepStrictEqual(recs.map(rec => rec.text), [
+      '2 zaps look like copies of each other: Lead sync, Lead sync (copy). Merge them or delete the unused ones.',
+      '1 zap has been off for over 60 days: Old digest. Delete or archive it.'
+    ]);
+  });
+
+  it('should call out a workflow using most of the quota', () => {
+    const run = (workflowId, consumed) => ({ status: 'success', workflow: `Scenario ${workflowId}`, workflowId, consumed });
+    const recs = evaluate({ platform: 'make', totalScenarios: 2, errorScenarios: 0 }, {
+      runHistory: { runs: [run('1', 40), run('1', 60), run('2', 10)] }
+    });
+    assert.strictEqual(recs[0].rule, 'highConsumer');
+    assert.strictEqual(recs[0].text,
+      'Scenario 1 used 91% of the operations in the run history (50 per run). Filter earlier or drop steps to cut it down.');
+  });
+
+  it('should flag polling triggers once trigger types are known', () => {
+    const recs = evaluate(zapierMetrics({
+      workflows: [{ name: 'RSS digest', status: 'on', triggerType: 'polling' }, { name: 'Form hook', status: 'on', triggerType: 'instant' }]
+    }));
+    assert.deepStrictEqual(rules(recs), ['pollingTriggers']);
+  });
+});
+
+describe('Recommendations - polling waste', () => {
+  it('should estimate what an idle polling scenario costs', () => {
+    const runs = Array.from({ length: 20 }, (_, i) => ({
+      status: 'success', workflowId: '7', workflow: 'Sheet watcher', consumed: 1,
+      timeAt: new Date(Date.parse('2026-10-19T10:00:00Z') - i * 5 * 60 * 1000).toISOString()
+    }));
+    const recs = evaluate({
+      platform: 'make',
+      totalScenarios: 1,
+      errorScenarios: 0,
+      workflows: [{ id: '7', name: 'Sheet watcher', status: 'on', schedule: 'Every 5 minutes', scheduleMinutes: 5 }]
+    }, { runHistory: { runs } });
+    assert.deepStrictEqual(rules(recs), ['pollingWaste']);
+    const waste = recs[0];
+    assert.strictEqual(waste.text, `Sheet watcher runs about ${(8640).toLocaleString()} times a month and 100% of its runs do nothing, ` +
+      `costing about ${(8640).toLocaleString()} operations a month. An instant (webhook) trigger would save about ${(8640).toLocaleString()}; ` +
+      `polling every 1 h would save about ${(7920).toLocaleString()}.`);
+  });
+});
+
+describe('Recommendations - registerRule', () => {
+  it('should reject incomplete or duplicate rules', () => {
+    assert.throws(() => Recommendations.registerRule({ id: 'x', severity: 'info', message: 'x' }), /when/);
+    assert.throws(() => Recommendations.registerRule({ id: 'x', severity: 'loud', when: () => null, message: 'x' }), /severity/);
+    assert.throws(() => Recommendations.registerRule({ id: 'healthy', severity: 'info', when: () => null, message: 'x' }), /already exists/);
+  });
+
+  it('should strip copy markers from names', () => {
+    ['Lead sync (copy)', 'Copy of Lead sync', 'Lead sync copy 2', 'Lead sync (2)', 'Lead Sync v2'].forEach(name =>
+      assert.strictEqual(Recommendations.baseName(name), 'lead sync', name));
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * FlowFix health report export tests (shared/report.js)
+ */
+
+const assert = require('assert');
+const Report = require('../shared/report.js');
+
+const generatedAt = '2026-10-19T12:00:00.000Z';
+
+const metrics = {
+  platform: 'zapier',
+  timestamp: '2026-10-19T11:58:00.000Z',
+  url: 'https://zapier.com/app/zaps',
+  accountName: 'Acme Ops',
+  planName: 'Professional',
+  totalZaps: 3,
+  errorZaps: 1,
+  pausedZaps: 1,
+  tasksUsed: 690,
+  taskLimit: 750,
+  taskUsagePercent: 92,
+  healthScore: 54,
+  scoreBreakdown: [
+    { factor: 'usage', label: 'task usage', value: 92, points: 30, confidence: 'high' },
+    { factor: 'inactive', label: 'paused zaps', value: 33, points: 16, confidence: 'high' }
+  ],
+  workflows: [
+    { id: '101', name: 'New leads → CRM', status: 'on', lastRunAt: '2026-10-19T10:00:00.000Z', apps: ['Typeform', 'HubSpot'] },
+    { id: '102', name: '=HYPERLINK("x")', status: 'error', schedule: 'Every 15 minutes', apps: [] },
+    { id: null, name: 'Old | digest', status: 'off', folder: 'Archive', apps: [] }
+  ],
+  runStats: [{ key: '101', name: 'New leads → CRM', runs: 12, successRate: 92, consumed: 36 }]
+};
+
+const snapshots = [
+  { timestamp: '2026-10-18T12:00:00.000Z', healthScore: 60, errors: 0, usagePercent: 88, total: 3, used: 660, limit: 750 },
+  { timestamp: '2026-10-19T11:58:00.000Z', healthScore: 54, errors: 1, usagePercent: 92, total: 3, used: 690, limit: 750 }
+];
+
+const recommendations = [
+  { rule: 'quotaCritical', level: 'critical', text: '92% of tasks used. Consider upgrading or optimizing.', learnMore: null },
+  {
+    rule: 'someErrors',
+    level: 'warning',
+    text: '1 workflow needs attention.',
+    learnMore: { label: 'Zap History', url: 'https://help.zapier.com/hc/en-us/search?query=zap%20history' }
+  }
+];
+
+const cost = { currency: 'USD', plan: 'Professional', reason: null, monthlySpend: 29.99, overageCost: 0, totalSavings: 4.5 };
+
+const report = Report.buildReport({ metrics, snapshots, recommendations, cost, generatedAt });
+
+describe('Report - buildReport', () => {
+  it('should collect the score, metrics and recommendations', () => {
+    assert.strictEqual(report.format, 'flowfix-report');
+    assert.strictEqual(report.version, Report.REPORT_VERSION);
+    assert.strictEqual(report.workspace, 'Acme Ops');
+    assert.strictEqual(report.healthScore, 54);
+    assert.deepStrictEqual(report.scoreBreakdown[0], { label: 'task usage', value: 92, points: 30, confidence: 'high' });
+    assert.deepStrictEqual(report.summary.slice(0, 3), [
+      { label: 'Total Zaps', value: 3, suffix: '' },
+      { label: 'Errors', value: 1, suffix: '' },
+      { label: 'Task Usage', value: 92, suffix: '%' }
+    ]);
+    assert.deepStrictEqual(report.recommendations[1], {
+      level: 'warning',
+      text: '1 workflow needs attention.',
+      learnMore: 'https://help.zapier.com/hc/en-us/search?query=zap%20history'
+    });
+    assert.strictEqual(report.history.length, 2);
+  });
+
+  it('should join each workflow with its run stats', () => {
+    assert.deepStrictEqual(report.workflows[0], {
+      id: '101',
+      name: 'New leads → CRM',
+      status: 'on',
+      lastRun: '2026-10-19T10:00:00.000Z',
+      schedule: null,
+      folder: null,
+      owner: null,
+      apps: ['Typeform', 'HubSpot'],
+      runs: 12,
+      successRate: 92,
+      consumed: 36
+    });
+    assert.strictEqual(report.workflows[2].runs, null);
+  });
+});
+
+describe('Report - formats', () => {
+  it('should round-trip as JSON', () => {
+    assert.deepStrictEqual(JSON.parse(Report.toJSON(report)), report);
+  });
+
+  it('should write one long CSV table with quoting and formula guards', () => {
+    const lines = Report.toCSV(report).trim().split('\r\n');
+    assert.strictEqual(lines[0], 'section,item,field,value');
+    assert(lines.includes('report,Acme Ops,healthScore,54'));
+    assert(lines.includes('score,task usage,points,-30'));
+    assert(lines.includes('history,2026-10-19T11:58:00.000Z,usagePercent,92'));
+    assert(lines.includes('workflow,New leads → CRM,apps,Typeform; HubSpot'));
+    assert(lines.includes('workflow,"\'=HYPERLINK(""x"")",status,error'));
+    assert(lines.includes('recommendation,1,critical,92% of tasks used. Consider upgrading or optimizing.'));
+    assert(lines.includes('cost,Professional,monthlySpend,29.99'));
+  });
+
+  it('should write Markdown tables', () => {
+    const markdown = Report.toMarkdown(report);
+    assert.match(markdown, /^# FlowFix health report: Acme Ops$/m);
+    assert.match(markdown, /^## Health score: 54\/100$/m);
+    assert.match(markdown, /^- -30 task usage 92%$/m);
+    assert.match(markdown, /^- \*\*warning\*\* 1 workflow needs attention\. \(\[learn more\]\(https:/m);
+    assert.match(markdown, /^\| New leads → CRM \| on \| 2026-10-19 10:00 \| /m);
+    assert.match(markdown, /^\| Old \\\| digest \| off \| — \| — \| Archive \|/m);
+    assert.match(markdown, /^\| 2026-10-18 \| 60 \| 0 \| 88% \| 3 \| 660 \| 750 \|$/m);
+    assert.match(markdown, /The polling fixes would save \$4\.50 a month\./);
+  });
+
+  it('should write a standalone, escaped HTML page in the score color', () => {
+    const html = Report.toHTML(report, '#f59e0b');
+    assert(html.startsWith('<!DOCTYPE html>'));
+    assert(html.includes('<body style="--score: #f59e0b">'));
+    assert(html.includes('<div class="score-value">54</div>'));
+    assert(html.includes('<li class="critical">92% of tasks used.'));
+    assert(html.includes('<td>=HYPERLINK(&quot;x&quot;)</td>'));
+    assert(!html.includes('<script'));
+    assert(!Report.toHTML(report, 'red;} body{display:none').includes('--score: red'));
+  });
+});
+
+describe('Report - exportReport', () => {
+  it('should name the file after the workspace and date', () => {
+    assert.deepStrictEqual(
+      ['json', 'csv', 'markdown', 'html'].map(format => Report.exportReport(report, format).filename), [
+        'flowfix-report-acme-ops-2026-10-19.json',
+        'flowfix-report-acme-ops-2026-10-19.csv',
+        'flowfix-report-acme-ops-2026-10-19.md',
+        'flowfix-report-acme-ops-2026-10-19.html'
+      ]);
+    assert.strictEqual(Report.exportReport(report, 'markdown').type, 'text/markdown');
+    assert.throws(() => Report.exportReport(report, 'pdf'), /Unknown report format: pdf/);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * FlowFix workspace roll-up tests (shared/rollup.js)
+ */
+
+const assert = require('assert');
+const Workspaces = require('../shared/workspaces.js');
+const Rollup = require('../shared/rollup.js');
+
+const now = Date.parse('2026-02-16T10:00:00Z');
+
+function store(...metricsList) {
+  const stored = { metricsHistory: {} };
+  metricsList.forEach(metrics => { stored[Workspaces.metricsKeyFor(metrics)] = metrics; });
+  return stored;
+}
+
+const clientA = {
+  platform: 'zapier', url: 'https://zapier.com/app/zaps', accountName: 'Client A',
+  timestamp: '2026-02-16T09:58:00Z', healthScore: 42, errorZaps: 3, taskUsagePercent: 91, totalZaps: 12
+};
+const clientB = {
+  platform: 'zapier', url: 'https://zapier.com/app/zaps', accountName: 'Client B',
+  timestamp: '2026-02-15T07:00:00Z', healthScore: 88, errorZaps: 0, taskUsagePercent: 20, totalZaps: 4
+};
+const ops = {
+  platform: 'make', url: 'https://eu1.make.com/123456/scenarios', teamName: 'Ops',
+  timestamp: '2026-02-16T09:00:00Z', healthScore: null, errorScenarios: null, operationsUsagePercent: 55, totalScenarios: 0
+};
+
+describe('Rollup - summarizeWorkspaces', () => {
+  it('should summarize each workspace with its age and staleness', () => {
+    const rows = Rollup.summarizeWorkspaces(store(clientA, clientB, ops), 5, now);
+    assert.deepStrictEqual(rows[0], {
+      key: 'zapier:Client A',
+      platform: 'zapier',
+      label: 'Client A',
+      url: 'https://zapier.com/app/zaps',
+      healthScore: 42,
+      errors: 3,
+      usagePercent: 91,
+      total: 12,
+      ageMinutes: 2,
+      stale: false
+    });
+    assert.deepStrictEqual(rows.map(row => [row.key, row.ageMinutes, row.stale]), [
+      ['zapier:Client A', 2, false],
+      ['make:eu1:123456', 60, true],
+      ['zapier:Client B', 1620, true]
+    ]);
+  });
+});
+
+describe('Rollup - sorting and filtering', () => {
+  const rows = Rollup.summarizeWorkspaces(store(clientA, clientB, ops), 5, now);
+  const keys = list => list.map(row => row.key);
+
+  it('should sort worst health first and keep unread workspaces last', () => {
+    assert.deepStrictEqual(keys(Rollup.sortSummaries(rows)), ['zapier:Client A', 'zapier:Client B', 'make:eu1:123456']);
+    assert.deepStrictEqual(keys(Rollup.sortSummaries(rows, 'healthScore', 'desc')),
+      ['zapier:Client B', 'zapier:Client A', 'make:eu1:123456']);
+  });
+
+  it('should sort text columns alphabetically', () => {
+    assert.deepStrictEqual(keys(Rollup.sortSummaries(rows, 'label')), ['zapier:Client A', 'zapier:Client B', 'make:eu1:123456']);
+  });
+
+  it('should filter by platform, name, health and staleness', () => {
+    assert.deepStrictEqual(keys(Rollup.filterSummaries(rows, { platform: 'make' })), ['make:eu1:123456']);
+    assert.deepStrictEqual(keys(Rollup.filterSummaries(rows, { query: 'client b' })), ['zapier:Client B']);
+    assert.deepStrictEqual(keys(Rollup.filterSummaries(rows, { maxHealth: 59 })), ['zapier:Client A']);
+    assert.deepStrictEqual(keys(Rollup.filterSummaries(rows, { platform: 'zapier', staleOnly: true })), ['zapier:Client B']);
+  });
+
+  it('should describe ages briefly', () => {
+    assert.deepStrictEqual([0, 12, 180, 4320, null].map(Rollup.formatAge),
+      ['just now', '12 min ago', '3 h ago', '3 d ago', 'unknown']);
+  });
+});
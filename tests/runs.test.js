@@ -0,0 +1,106 @@
+/**
+ * FlowFix run history analysis tests (shared/runs.js)
+ */
+
+const assert = require('assert');
+const Runs = require('../shared/runs.js');
+
+function run(status, workflowId, consumed, timeAt = '2026-02-16T09:00:00Z') {
+  return { status, workflow: `Zap ${workflowId}`, workflowId, consumed, timeAt, error: null };
+}
+
+describe('Runs - analyzeRuns', () => {
+  const runs = [
+    run('error', '1', 1, '2026-02-16T09:40:00Z'),
+    run('success', '2', 4),
+    run('filtered', '3', 0),
+    run('error', '1', 1),
+    run('halted', '4', 2),
+    run('success', '2', 12, '2026-02-16T07:30:00Z'),
+    run('waiting', '5', null)
+  ];
+
+  it('should compute the failure rate over finished runs', () => {
+    const analysis = Runs.analyzeRuns(runs);
+    assert.strictEqual(analysis.runs, 7);
+    assert.strictEqual(analysis.finished, 6);
+    assert.strictEqual(analysis.failed, 2);
+    assert.strictEqual(analysis.halted, 1);
+    assert.strictEqual(analysis.filtered, 1);
+    assert.strictEqual(analysis.failureRate, 33);
+    assert.strictEqual(analysis.consumed, 20);
+    assert.strictEqual(analysis.since, '2026-02-16T07:30:00.000Z');
+    assert.strictEqual(analysis.until, '2026-02-16T09:40:00.000Z');
+  });
+
+  it('should rank the most failing and most task-hungry workflows', () => {
+    const analysis = Runs.analyzeRuns(runs);
+    assert.deepStrictEqual(analysis.topFailing, [
+      {
+        key: '1',
+        name: 'Zap 1',
+        runs: 2,
+        failed: 2,
+        failureRate: 100,
+        successRate: 0,
+        consumed: 2,
+        avgConsumed: 1,
+        avgDurationMs: null,
+        transferBytes: null
+      }
+    ]);
+    assert.deepStrictEqual(analysis.topConsumers.map(entry => [entry.key, entry.consumed]), [['2', 16], ['1', 2], ['4', 2]]);
+  });
+
+  it('should leave the failure rate empty without finished runs', () => {
+    const analysis = Runs.analyzeRuns([run('waiting', '5', null)]);
+    assert.strictEqual(analysis.failureRate, null);
+    assert.deepStrictEqual(Runs.analyzeRuns([]).byWorkflow, []);
+  });
+});
+
+describe('Runs - Make execution stats', () => {
+  const execution = (id, status, consumed, durationMs, transferBytes) =>
+    ({ id, status, workflow: 'Sync', workflowId: '200001', consumed, durationMs, transferBytes, timeAt: null });
+
+  it('should give each scenario a success rate and averages per run', () => {
+    const [entry] = Runs.analyzeRuns([
+      execution('a', 'error', 3, 1200, 2560),
+      execution('b', 'success', 12, 4800, 1024),
+      execution('c', 'warning', 8, 65000, 512),
+      execution('d', 'success', 2, 850, 0),
+      execution('e', 'incomplete', 1, null, null),
+      execution('f', 'waiting', null, null, null)
+    ]).byWorkflow;
+    assert.strictEqual(entry.runs, 6);
+    assert.strictEqual(entry.failureRate, 20);
+    assert.strictEqual(entry.successRate, 60);
+    assert.strictEqual(entry.avgConsumed, 5.2);
+    assert.strictEqual(entry.avgDurationMs, 17963);
+    assert.strictEqual(entry.transferBytes, 4096);
+  });
+});
+
+describe('Runs - mergeRuns', () => {
+  const stored = [
+    { id: 'r2', status: 'waiting', timeAt: '2026-02-16T09:00:00Z' },
+    { id: 'r1', status: 'success', timeAt: '2026-02-16T08:00:00Z' }
+  ];
+
+  it('should replace runs read again and keep the rest, newest first', () => {
+    const merged = Runs.mergeRuns(stored, [
+      { id: 'r3', status: 'success', timeAt: '2026-02-16T10:00:00Z' },
+      { id: 'r2', status: 'error', timeAt: '2026-02-16T09:00:00Z' }
+    ]);
+    assert.deepStrictEqual(merged.map(run => [run.id, run.status]), [['r3', 'success'], ['r2', 'error'], ['r1', 'success']]);
+  });
+
+  it('should match runs without ids by workflow and start time', () => {
+    const run = { id: null, workflowId: '7', status: 'success', timeAt: '2026-02-16T09:00:00Z' };
+    assert.strictEqual(Runs.mergeRuns([run], [Object.assign({}, run)]).length, 1);
+  });
+
+  it('should cap the stored runs', () => {
+    assert.deepStrictEqual(Runs.mergeRuns(stored, [], 1).map(run => run.id), ['r2']);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * FlowFix settings tests (shared/settings.js)
+ */
+
+const assert = require('assert');
+const FlowFixSettings = require('../shared/settings.js');
+
+const { DEFAULT_SETTINGS, normalizeSettings, validateSettings, getScoreColor } = FlowFixSettings;
+
+describe('Settings - normalizeSettings', () => {
+  it('should fill in defaults for missing or partial settings', () => {
+    assert.deepStrictEqual(normalizeSettings(undefined), DEFAULT_SETTINGS);
+
+    const settings = normalizeSettings({ scoring: { usage: { warning: { points: 20 } } }, badge: { showOnPage: false } });
+    assert.deepStrictEqual(settings.scoring.usage.warning, { above: 75, points: 20 });
+    assert.deepStrictEqual(settings.scoring.usage.critical, DEFAULT_SETTINGS.scoring.usage.critical);
+    assert.deepStrictEqual(settings.badge, { showOnPage: false, showOnToolbar: true });
+  });
+
+  it('should clamp out-of-range numbers and reject unsupported values', () => {
+    const settings = normalizeSettings({
+      scoring: { errorRateMultiplier: 50, inactiveCap: -5 },
+      stalenessMinutes: 'soon',
+      maxAttempts: 0,
+      alerts: { healthThreshold: 150, recheckMinutes: 1 },
+      historyRetentionDays: 45
+    });
+    assert.strictEqual(settings.scoring.errorRateMultiplier, 10);
+    assert.strictEqual(settings.scoring.inactiveCap, 0);
+    assert.strictEqual(settings.stalenessMinutes, DEFAULT_SETTINGS.stalenessMinutes);
+    assert.strictEqual(settings.maxAttempts, 1);
+    assert.strictEqual(settings.alerts.healthThreshold, 100);
+    assert.strictEqual(settings.alerts.recheckMinutes, 5);
+    assert.strictEqual(settings.historyRetentionDays, DEFAULT_SETTINGS.historyRetentionDays);
+  });
+
+  it('should dedupe and sort usage alert levels', () => {
+    assert.deepStrictEqual(normalizeSettings({ alerts: { usageLevels: [90, 'x', 50, 90, 0] } }).alerts.usageLevels, [1, 50, 90]);
+    assert.deepStrictEqual(normalizeSettings({ alerts: { usageLevels: [] } }).alerts.usageLevels, []);
+  });
+
+  it('should keep disabled recommendation rules as unique ids', () => {
+    const settings = normalizeSettings({ recommendations: { disabledRules: ['healthy', 3, '', 'healthy', 'stalePaused'] } });
+    assert.deepStrictEqual(settings.recommendations.disabledRules, ['healthy', 'stalePaused']);
+    assert.deepStrictEqual(normalizeSettings({ recommendations: { disabledRules: 'healthy' } }).recommendations.disabledRules, []);
+  });
+
+  it('should merge stored plan prices over the defaults', () => {
+    const settings = normalizeSettings({
+      pricing: {
+        currency: 'eur',
+        plans: {
+          zapier: { Professional: { price: 49, included: 2000, overagePerUnit: -1 } },
+          make: { Custom: { price: 120, included: 'lots' } }
+        }
+      }
+    });
+    assert.strictEqual(settings.pricing.currency, 'USD');
+    assert.deepStrictEqual(settings.pricing.plans.zapier.Professional, { price: 49, included: 2000, overagePerUnit: 0 });
+    assert.deepStrictEqual(settings.pricing.plans.zapier.Team, DEFAULT_SETTINGS.pricing.plans.zapier.Team);
+    assert.deepStrictEqual(settings.pricing.plans.make.Custom, { price: 120, included: 1, overagePerUnit: null });
+    assert.strictEqual(normalizeSettings({ pricing: { plans: { make: { Core: { price: null } } } } }).pricing.plans.make.Core.price, null);
+  });
+});
+
+describe('Settings - validateSettings', () => {
+  it('should accept the defaults', () => {
+    assert.deepStrictEqual(validateSettings(DEFAULT_SETTINGS), []);
+  });
+
+  it('should report thresholds and bands that do not descend', () => {
+    const settings = normalizeSettings({
+      scoring: { usage: { warning: { above: 95 } } },
+      colorBands: { attention: 40, degraded: 40 }
+    });
+    assert.strictEqual(validateSettings(settings).length, 2);
+  });
+});
+
+describe('Settings - getScoreColor', () => {
+  it('should color by the default bands', () => {
+    assert.strictEqual(getScoreColor(80), '#22c55e');
+    assert.strictEqual(getScoreColor(79), '#eab308');
+    assert.strictEqual(getScoreColor(45), '#f97316');
+    assert.strictEqual(getScoreColor(39), '#ef4444');
+  });
+
+  it('should follow custom bands', () => {
+    const bands = { healthy: 90, attention: 70, degraded: 50 };
+    assert.strictEqual(getScoreColor(85, bands), '#eab308');
+    assert.strictEqual(getScoreColor(45, bands), '#ef4444');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * FlowFix Zap step analysis tests (shared/steps.js)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const { join } = require('path');
+const Steps = require('../shared/steps.js');
+
+function step(position, kind, app, details = {}) {
+  return Object.assign({ position, kind, app, event: null, title: null, triggerType: 'unknown', conditions: [] }, details);
+}
+
+function path(title, conditions) {
+  return step(null, 'path', null, { title, conditions });
+}
+
+const findingIds = steps => Steps.analyzeSteps(steps).findings.map(finding => finding.id);
+
+describe('Steps - stepKind and triggerTypeOf', () => {
+  it('should recognize Zapier built-ins behind a generic action label', () => {
+    assert.strictEqual(Steps.stepKind(step(2, 'action', 'Formatter by Zapier')), 'formatter');
+    assert.strictEqual(Steps.stepKind(step(3, 'unknown', 'Paths by Zapier')), 'paths');
+    assert.strictEqual(Steps.stepKind(step(4, 'unknown', 'Slack')), 'action');
+  });
+
+  it('should treat unmarked triggers as polling', () => {
+    assert.strictEqual(Steps.triggerTypeOf(step(1, 'trigger', 'Gmail')), 'polling');
+    assert.strictEqual(Steps.triggerTypeOf(step(1, 'trigger', 'Typeform', { triggerType: 'instant' })), 'instant');
+    assert.strictEqual(Steps.triggerTypeOf(step(1, 'trigger', 'Webhooks by Zapier')), 'instant');
+    assert.strictEqual(Steps.triggerTypeOf(step(1, 'trigger', 'Schedule by Zapier')), 'schedule');
+  });
+});
+
+describe('Steps - analyzeSteps', () => {
+  it('should flag a polling trigger nothing filters', () => {
+    assert.deepStrictEqual(findingIds([step(1, 'trigger', 'Gmail'), step(2, 'action', 'Slack'),
+      step(null, 'errorHandler', null)]), ['pollingNoFilter']);
+    assert.deepStrictEqual(findingIds([step(1, 'trigger', 'Gmail'), step(2, 'filter', 'Filter by Zapier'),
+      step(3, 'action', 'Slack'), step(null, 'errorHandler', null)]), []);
+    assert.deepStrictEqual(findingIds([step(1, 'trigger', 'Typeform', { triggerType: 'instant' }),
+      step(2, 'action', 'Slack'), step(null, 'errorHandler', null)]), []);
+  });
+
+  it('should flag Formatter steps that use tasks before the filter', () => {
+    const analysis = Steps.analyzeSteps([
+      step(1, 'trigger', 'Webhooks by Zapier'),
+      step(2, 'action', 'Formatter by Zapier'),
+      step(3, 'action', 'Filter by Zapier'),
+      step(4, 'action', 'Formatter by Zapier')
+    ]);
+    assert.deepStrictEqual(analysis.findings.map(finding => finding.id), ['formatterBeforeFilter', 'formatterTasks']);
+    assert.strictEqual(analysis.findings[0].text, 'Step 2 (Formatter by Zapier) runs before the filter in step 3, ' +
+      'so runs the filter stops still use a task. Move the filter up if it doesn\'t need the formatted value.');
+    assert.deepStrictEqual(analysis.counts, { steps: 4, actions: 0, filters: 1, paths: 0, formatters: 2, delays: 0 });
+  });
+
+  it('should flag path branches that can never run', () => {
+    const analysis = Steps.analyzeSteps([
+      step(1, 'trigger', 'Webhooks by Zapier'),
+      step(2, 'action', 'Paths by Zapier'),
+      path('Path A', ['Amount (Number) Greater than 1000']),
+      path('Path B', ['Amount (Number) Greater than 500', 'Amount (Number) Less than 100']),
+      path('Path C', ['Email (Text) Exists', 'Email (Text) Does not exist']),
+      path('Path D', ['Region (Text) Exactly matches EU', 'OR Region (Text) Exactly matches US']),
+      path('Path E', []),
+      path('Fallback path', [])
+    ]);
+    assert.deepStrictEqual(analysis.findings.map(finding => finding.text), [
+      'Path B can never run: amount would have to be greater than 500 and less than 100. Fix its rules or delete the branch.',
+      'Path C can never run: email would have to both exist and not exist. Fix its rules or delete the branch.',
+      'Path E can never run: it has no rules. Fix its rules or delete the branch.'
+    ]);
+  });
+
+  it('should flag actions calling other apps without an error handler', () => {
+    const analysis = Steps.analyzeSteps([
+      step(1, 'trigger', 'Webhooks by Zapier'),
+      step(2, 'action', 'Slack'),
+      step(3, 'action', 'Gmail'),
+      step(4, 'action', 'Slack'),
+      step(5, 'action', 'Delay by Zapier')
+    ]);
+    assert.deepStrictEqual(analysis.findings, [{
+      id: 'noErrorHandling',
+      level: 'warning',
+      position: 2,
+      text: 'No error handling: if Slack or Gmail fails, the run stops and only shows in Zap History. ' +
+        'Add an error handler to those steps, or turn on Autoreplay.'
+    }]);
+  });
+
+  it('should describe the trigger', () => {
+    assert.deepStrictEqual(Steps.analyzeSteps([step(1, 'trigger', 'Google Sheets', { event: 'New Row' })]).trigger,
+      { app: 'Google Sheets', event: 'New Row', type: 'polling' });
+    assert.strictEqual(Steps.analyzeSteps([]).trigger, null);
+  });
+});
+
+describe('Steps - parseZapExport', () => {
+  const fixture = fs.readFileSync(join(__dirname, 'fixtures', 'zapier-zap-export.json'), 'utf8');
+
+  it('should turn each exported Zap into editor step records', () => {
+    const zaps = Steps.parseZapExport(fixture);
+    assert.deepStrictEqual(zaps.map(zap => [zap.id, zap.title, zap.status]),
+      [['100003', '[redacted-zap-3]', 'on'], ['100004', '[redacted-zap-4]', 'off']]);
+    assert.deepStrictEqual(zaps[0].steps.map(s => [s.position, s.kind, s.app || s.title]), [
+      [1, 'trigger', 'Google Sheets'],
+      [2, 'formatter', 'Formatter by Zapier'],
+      [3, 'filter', 'Filter by Zapier'],
+      [4, 'paths', 'Paths by Zapier'],
+      [null, 'path', 'Path A: Large deals'],
+      [5, 'action', 'Slack'],
+      [null, 'path', 'Path B: Small deals'],
+      [6, 'action', 'Google Mail']
+    ]);
+    assert.strictEqual(zaps[0].steps[0].event, 'New or updated row');
+    assert.deepStrictEqual(zaps[0].steps[6].conditions,
+      ['Amount (Number) Greater than 1000', 'Amount (Number) Less than 100']);
+  });
+
+  it('should check exported Zaps like ones read in the editor', () => {
+    const [zap, webhookZap] = Steps.parseZapExport(fixture);
+    assert.deepStrictEqual(Steps.analyzeSteps(zap.steps).findings.map(finding => finding.id),
+      ['pollingNoFilter', 'formatterBeforeFilter', 'unreachablePath', 'noErrorHandling']);
+    assert.deepStrictEqual(Steps.analyzeSteps(webhookZap.steps).trigger,
+      { app: 'Webhooks by Zapier', event: 'Hook', type: 'instant' });
+  });
+
+  it('should mark OR groups so contradictory-looking rules are left alone', () => {
+    const [zap] = Steps.parseZapExport(JSON.stringify({
+      nodes: {
+        1: { id: 1, parent_id: null, selected_api: 'WebHookCLIAPI', action: 'hook' },
+        2: {
+          id: 2,
+          parent_id: 1,
+          selected_api: 'FilterAPI',
+          params: {
+            filter_criteria: [
+              [{ key: 'Region', match: 'text_exact', value: 'EU' }],
+              [{ key: 'Region', match: 'text_exact', value: 'US' }]
+            ]
+          }
+        }
+      }
+    }));
+    assert.strictEqual(zap.id, null);
+    assert.deepStrictEqual(zap.steps[1].conditions,
+      ['Region (Text) Exactly matches EU', 'or Region (Text) Exactly matches US']);
+  });
+
+  it('should explain why a file is not a Zapier export', () => {
+    assert.throws(() => Steps.parseZapExport('{ nope'), /not valid JSON/);
+    assert.throws(() => Steps.parseZapExport('{"flow": []}'), /no "zaps" list/);
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * FlowFix wording helper tests (shared/text.js)
+ */
+
+const assert = require('assert');
+const Text = require('../shared/text.js');
+
+describe('Text - wording', () => {
+  it('should list the first few names and count the rest', () => {
+    assert.strictEqual(Text.describeNames(['A', 'B']), 'A, B');
+    assert.strictEqual(Text.describeNames(['A', 'B', 'C', 'D', 'E']), 'A, B, C and 2 more');
+    assert.strictEqual(Text.describeNames(['A', 'B', 'C'], 1), 'A and 2 more');
+  });
+
+  it('should join a short list in prose', () => {
+    assert.strictEqual(Text.listNames(['A']), 'A');
+    assert.strictEqual(Text.listNames(['A', 'B']), 'A and B');
+    assert.strictEqual(Text.listNames(['A', 'B', 'C'], 'or'), 'A, B or C');
+  });
+
+  it('should agree words with their count', () => {
+    assert.strictEqual(Text.plural(1, 'zap'), 'zap');
+    assert.strictEqual(Text.plural(0, 'zap'), 'zaps');
+    assert.strictEqual(Text.plural(2, 'has', 'have'), 'have');
+    assert.strictEqual(Text.countOf(1, 'snapshot'), '1 snapshot');
+    assert.strictEqual(Text.countOf(3, 'snapshot'), '3 snapshots');
+  });
+});
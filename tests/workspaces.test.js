@@ -0,0 +1,145 @@
+/**
+ * FlowFix workspace tests (shared/workspaces.js)
+ */
+
+const assert = require('assert');
+const Workspaces = require('../shared/workspaces.js');
+
+describe('Workspaces - account keys', () => {
+  it('should key Make workspaces by the team id in the URL', () => {
+    const metrics = { platform: 'make', url: 'https://eu1.make.com/123456/scenarios', teamName: 'Ops' };
+    assert.strictEqual(Workspaces.getAccountKey(metrics), 'make:eu1:123456');
+  });
+
+  it('should key Make organization pages by organization id', () => {
+    const metrics = { platform: 'make', url: 'https://eu1.make.com/organization/98765/dashboard', teamName: 'Ops' };
+    assert.strictEqual(Workspaces.getAccountKey(metrics), 'make:eu1:org-98765');
+  });
+
+  it('should fall back to the Make team name without an id in the URL', () => {
+    const metrics = { platform: 'make', url: 'https://www.make.com/en/login', teamName: 'Ops' };
+    assert.strictEqual(Workspaces.getAccountKey(metrics), 'make:Ops');
+  });
+
+  it('should key Zapier workspaces by account name', () => {
+    const metrics = { platform: 'zapier', url: 'https://zapier.com/app/zaps', accountName: 'Client A' };
+    assert.strictEqual(Workspaces.getAccountKey(metrics), 'zapier:Client A');
+  });
+
+  it('should fall back to a single workspace per platform', () => {
+    const metrics = { platform: 'zapier', url: 'https://zapier.com/app/zaps', accountName: null };
+    assert.strictEqual(Workspaces.getAccountKey(metrics), 'zapier:default');
+    assert.strictEqual(Workspaces.getAccountLabel(metrics), 'Zapier account');
+  });
+
+  it('should label unnamed Make teams by id', () => {
+    const metrics = { platform: 'make', url: 'https://us1.make.com/654321/scenarios', teamName: null };
+    assert.strictEqual(Workspaces.getAccountLabel(metrics), 'Team 654321 (US1)');
+  });
+});
+
+describe('Workspaces - stored metrics', () => {
+  const clientA = { platform: 'zapier', accountName: 'Client A', timestamp: '2026-02-16T09:00:00Z' };
+  const clientB = { platform: 'zapier', accountName: 'Client B', timestamp: '2026-02-16T10:00:00Z' };
+  const ops = { platform: 'make', url: 'https://eu1.make.com/123456/scenarios', teamName: 'Ops', timestamp: '2026-02-16T08:00:00Z' };
+
+  const stored = {
+    [Workspaces.metricsKeyFor(clientA)]: clientA,
+    [Workspaces.metricsKeyFor(clientB)]: clientB,
+    [Workspaces.metricsKeyFor(ops)]: ops,
+    metricsHistory: {},
+    settings: {}
+  };
+
+  it('should list workspaces newest first and ignore other storage', () => {
+    const workspaces = Workspaces.listWorkspaces(stored);
+    assert.deepStrictEqual(workspaces.map(w => [w.key, w.label]), [
+      ['zapier:Client B', 'Client B'],
+      ['zapier:Client A', 'Client A'],
+      ['make:eu1:123456', 'Ops (EU1)']
+    ]);
+  });
+
+  it('should match a Make URL to its team', () => {
+    const workspaces = Workspaces.listWorkspaces(stored);
+    assert.strictEqual(Workspaces.findWorkspaceForUrl(workspaces, 'https://eu1.make.com/123456/scenarios/42').key, 'make:eu1:123456');
+  });
+
+  it('should pick the most recent workspace when the URL names none', () => {
+    const workspaces = Workspaces.listWorkspaces(stored);
+    assert.strictEqual(Workspaces.findWorkspaceForUrl(workspaces, 'https://zapier.com/app/zaps').key, 'zapier:Client B');
+    assert.strictEqual(Workspaces.findWorkspaceForUrl(workspaces, 'https://example.com/'), null);
+  });
+});
+
+describe('Workspaces - workflow steps', () => {
+  const zap = { platform: 'zapier', workflowId: '100002', url: 'https://zapier.com/editor/100002/published' };
+  const stored = { [Workspaces.stepsKeyFor(zap)]: zap, settings: {} };
+
+  it('should key step lists by platform and workflow', () => {
+    assert.strictEqual(Workspaces.stepsKeyFor(zap), 'steps:zapier:100002');
+  });
+
+  it('should find the step list for any view of the workflow in the editor', () => {
+    assert.strictEqual(Workspaces.findStepsForUrl(stored, 'https://zapier.com/editor/100002/draft/3/setup?x=1'), zap);
+    assert.strictEqual(Workspaces.findStepsForUrl(stored, 'https://zapier.com/editor/1000021/published'), null);
+    assert.strictEqual(Workspaces.findStepsForUrl(stored, 'https://eu1.make.com/1/scenarios/100002/edit'), null);
+  });
+});
+
+describe('Workspaces - Make regions', () => {
+  it('should read the region from the Make host', () => {
+    assert.deepStrictEqual(Workspaces.parseMakeUrl('https://us2.make.com/123456/scenarios'),
+      { region: 'us2', organizationId: null, teamId: '123456' });
+    assert.strictEqual(Workspaces.parseMakeUrl('https://www.make.com/en/pricing').region, null);
+  });
+
+  it('should keep the same team id in two regions apart', () => {
+    const eu = { platform: 'make', url: 'https://eu2.make.com/777/scenarios', teamName: 'Ops' };
+    const us = { platform: 'make', url: 'https://us1.make.com/777/scenarios', teamName: 'Ops' };
+    assert.strictEqual(Workspaces.getAccountKey(eu), 'make:eu2:777');
+    assert.strictEqual(Workspaces.getAccountKey(us), 'make:us1:777');
+    assert.strictEqual(Workspaces.getAccountLabel(eu), 'Ops (EU2)');
+  });
+
+  it('should fall back to a workspace in the URL region', () => {
+    const eu = { platform: 'make', url: 'https://eu1.make.com/1/scenarios', timestamp: '2026-02-16T08:00:00Z' };
+    const us = { platform: 'make', url: 'https://us1.make.com/2/scenarios', timestamp: '2026-02-16T09:00:00Z' };
+    const workspaces = Workspaces.listWorkspaces({
+      [Workspaces.metricsKeyFor(eu)]: eu,
+      [Workspaces.metricsKeyFor(us)]: us
+    });
+    assert.strictEqual(Workspaces.findWorkspaceForUrl(workspaces, 'https://eu1.make.com/organization/5/dashboard').key, 'make:eu1:1');
+  });
+});
+
+describe('Workspaces - planWorkspaceMigration', () => {
+  const make = { platform: 'make', url: 'https://eu1.make.com/123456/scenarios', teamName: 'Ops' };
+  const zapier = { platform: 'zapier', url: 'https://zapier.com/app/zaps', accountName: null };
+
+  it('should move legacy per-platform metrics to workspace keys', () => {
+    const plan = Workspaces.planWorkspaceMigration({ zapierMetrics: zapier });
+    assert.deepStrictEqual(plan, { set: { 'metrics:zapier:default': zapier }, remove: ['zapierMetrics'] });
+  });
+
+  it('should re-key workspaces and their history from before regions', () => {
+    const stored = {
+      'metrics:make:123456': make,
+      metricsHistory: { 'make:123456': [{ healthScore: 70 }], 'zapier:default': [] },
+      alertState: { 'zapier:default': {} }
+    };
+    assert.deepStrictEqual(Workspaces.planWorkspaceMigration(stored, ['metricsHistory', 'alertState']), {
+      set: {
+        'metrics:make:eu1:123456': make,
+        metricsHistory: { 'make:eu1:123456': [{ healthScore: 70 }], 'zapier:default': [] }
+      },
+      remove: ['metrics:make:123456']
+    });
+  });
+
+  it('should keep newer data already under the new key', () => {
+    const newer = Object.assign({}, make, { healthScore: 90 });
+    const stored = { 'metrics:make:123456': make, 'metrics:make:eu1:123456': newer };
+    assert.deepStrictEqual(Workspaces.planWorkspaceMigration(stored), { set: {}, remove: ['metrics:make:123456'] });
+  });
+});
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+/**
+ * FlowFix Report — Command-Line Tool
+ *
+ * Purpose: Run FlowFix's extraction, health score, recommendations and
+ * structure checks on exported files, without a browser or a login
+ * Usage: node tools/flowfix-report.js [options] <file>...
+ *
+ * Inputs (recognized by content, not by name):
+ * - Saved dashboard, Zap History, Make scenario log or Zap editor pages
+ *   (.html, "Save page as" or a tests/fixtures snapshot). The page's address
+ *   comes from the flowfix-fixture header, the browser's "saved from url"
+ *   comment or the canonical link; --url overrides it. Needs jsdom:
+ *   npm install --no-save jsdom
+ * - Make blueprints (Export Blueprint, .json) → shared/blueprint.js
+ * - Zapier's Export Zaps file (.json) → shared/steps.js
+ *
+ * A dashboard and run history pages of the same workspace (account or Make
+ * team) are read together, the way the popup combines them; each workspace
+ * gets its own report, and two dashboards of one workspace are an error. Settings default to the extension's;
+ * --settings <file> takes a settings object as stored by the options page.
+ *
+ * Exit status: 0, or 1 when --fail-under / --fail-on trip (for CI), or 2
+ * when an input can't be read.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const FlowFix = require('../content/core.js');
+const zapier = require('../content/zapier.js');
+const make = require('../content/make.js');
+const FlowFixSettings = require('../shared/settings.js');
+const FlowFixWorkspaces = require('../shared/workspaces.js');
+const FlowFixRuns = require('../shared/runs.js');
+const FlowFixErrors = require('../shared/errors.js');
+const FlowFixPolling = require('../shared/polling.js');
+const FlowFixRecommendations = require('../shared/recommendations.js');
+const FlowFixCost = require('../shared/cost.js');
+const FlowFixSteps = require('../shared/steps.js');
+const FlowFixBlueprint = require('../shared/blueprint.js');
+const { countOf } = require('../shared/text.js');
+
+const ADAPTERS = {
+  zapier: { adapter: zapier.adapter, registry: require('../selectors/zapier.json') },
+  make: { adapter: make.adapter, registry: require('../selectors/make.json') }
+};
+
+const LEVELS = ['critical', 'warning', 'info'];
+
+const USAGE = `Usage: node tools/flowfix-report.js [options] <file>...
+
+Files: saved Zapier/Make pages (.html), Make blueprints, Zapier Export Zaps files (.json)
+
+Options:
+  --url <url>          Address of the saved page(s), when the file doesn't record it
+  --settings <file>    Settings JSON (scoring, thresholds, pricing) instead of the defaults
+  --json               Print the report as JSON
+  --fail-under <score> Exit 1 when a health score is below <score>
+  --fail-on <level>    Exit 1 on a recommendation or finding at <level> or worse
+                       (critical, warning or info)
+  --help               Show this help`;
+
+/**
+ * Where a saved page was captured: the fixture header, Chrome's
+ * "saved from url" comment, then the canonical or og:url link
+ */
+function pageUrl(html) {
+  const patterns = [
+    /<!--\s*flowfix-fixture[^>]*\burl="([^"]+)"/,
+    /<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/,
+    /<link[^>]+rel="canonical"[^>]+href="([^"]+)"/,
+    /<meta[^>]+property="og:url"[^>]+content="([^"]+)"/
+  ];
+  for (const pattern of patterns) {
+    const match = html.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+function platformOf(url) {
+  if (/(?:^|\.)zapier\.com$/.test(hostOf(url))) return 'zapier';
+  if (/(?:^|\.)make\.com$/.test(hostOf(url))) return 'make';
+  return null;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Run the content script extractor that matches the page's address over a
+ * saved copy of it, with jsdom standing in for the browser
+ */
+function readPage(html, url, settings) {
+  let JSDOM;
+  try {
+    ({ JSDOM } = require('jsdom'));
+  } catch (error) {
+    throw new Error('Reading saved pages needs jsdom: npm install --no-save jsdom');
+  }
+  const platform = platformOf(url || '');
+  if (!platform) {
+    throw new Error(`Not a Zapier or Make page (${url || 'no address recorded'}); pass --url`);
+  }
+
+  const { adapter, registry } = ADAPTERS[platform];
+  FlowFix.validateRegistry(registry, platform);
+  const dom = new JSDOM(html, { url });
+  global.window = dom.window;
+  global.document = dom.window.document;
+  global.NodeFilter = dom.window.NodeFilter;
+
+  try {
+    if (adapter.editor && adapter.editor.matches(url)) {
+      return { kind: 'steps', platform, record: FlowFix.buildWorkflowSteps(adapter, registry) };
+    }
+    if (adapter.runHistory && adapter.runHistory.matches(url)) {
+      return { kind: 'runHistory', platform, record: FlowFix.buildRunHistory(adapter, registry) };
+    }
+    return { kind: 'dashboard', platform, record: FlowFix.buildMetrics(adapter, registry, settings) };
+  } finally {
+    dom.window.close();
+    delete global.window;
+    delete global.document;
+    delete global.NodeFilter;
+  }
+}
+
+/**
+ * What one file holds: a page read by the extractors, a Make blueprint or
+ * the Zaps of a Zapier export
+ */
+function readInput(file, { url = null, settings }) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/^\s*</.test(text)) {
+    return [Object.assign({ file }, readPage(text, url || pageUrl(text), settings))];
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file} is neither a saved page nor JSON`);
+  }
+  if (data && (Array.isArray(data.zaps) || data.nodes)) {
+    return FlowFixSteps.parseZapExport(text).map(zap => ({
+      file,
+      kind: 'steps',
+      platform: 'zapier',
+      record: { workflowId: zap.id, workflow: zap.title, status: zap.status, steps: zap.steps }
+    }));
+  }
+  return [{ file, kind: 'blueprint', platform: 'make', record: FlowFixBlueprint.parseBlueprint(text) }];
+}
+
+/**
+ * A workspace's health report from its dashboard metrics and any run
+ * history read alongside, as the popup builds it (no stored snapshots, so
+ * no forecast)
+ */
+function accountReport(files, workspace, metrics, runHistory, settings, now) {
+  const runs = runHistory ? runHistory.runs : [];
+  const runAnalysis = runs.length > 0 ? FlowFixRuns.analyzeRuns(runs) : null;
+  if (runHistory) FlowFix.attachRunStats(metrics, runHistory);
+  const context = FlowFixRecommendations.buildContext({ metrics, settings, runHistory, now });
+  return {
+    kind: 'account',
+    platform: metrics.platform,
+    workspace,
+    files,
+    healthScore: metrics.healthScore,
+    scoreBreakdown: metrics.scoreBreakdown,
+    estimated: FlowFix.getEstimatedFields(metrics, ADAPTERS[metrics.platform].adapter.fields),
+    metrics,
+    runs: runAnalysis,
+    cost: FlowFixCost.estimateCost({
+      metrics,
+      pricing: settings.pricing,
+      runAnalysis,
+      pollingWaste: FlowFixPolling.detectPollingWaste(metrics.workflows || [], runs, metrics.platform)
+    }),
+    recommendations: FlowFixRecommendations.evaluateRules(context, settings.recommendations.disabledRules)
+  };
+}
+
+function runsReport(files, workspace, platform, runHistory) {
+  return {
+    kind: 'runs',
+    platform,
+    workspace,
+    files,
+    runs: FlowFixRuns.analyzeRuns(runHistory.runs),
+    recommendations: FlowFixErrors.errorRecommendations(runHistory.runs, platform)
+  };
+}
+
+/**
+ * Dashboard and run history pages by workspace, in the order first read.
+ * Throws when two dashboards are of the same workspace.
+ */
+function groupByWorkspace(inputs) {
+  const groups = new Map();
+  inputs.filter(input => input.kind === 'dashboard' || input.kind === 'runHistory').forEach(input => {
+    const record = Object.assign({ platform: input.platform }, input.record);
+    const key = FlowFixWorkspaces.getAccountKey(record);
+    if (!groups.has(key)) {
+      groups.set(key, { key, platform: input.platform, label: null, dashboard: null, histories: [] });
+    }
+    const group = groups.get(key);
+    group.label = group.label || FlowFixWorkspaces.getAccountLabel(record);
+    if (input.kind === 'runHistory') {
+      group.histories.push(input);
+    } else if (group.dashboard) {
+      throw new Error(`${group.dashboard.file} and ${input.file} are both dashboards of ${group.label}; pass one`);
+    } else {
+      group.dashboard = input;
+    }
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Reports for every input: one per workspace with a dashboard (or only run
+ * history), one per Zap and one per blueprint
+ */
+function analyzeFiles(files, { url = null, settings = FlowFixSettings.normalizeSettings({}), now = Date.now() } = {}) {
+  const inputs = files.flatMap(file => readInput(file, { url, settings }));
+  const reports = [];
+
+  groupByWorkspace(inputs).forEach(({ key, platform, label, dashboard, histories }) => {
+    const files = [dashboard].concat(histories).filter(Boolean).map(input => input.file);
+    const runHistory = histories.length > 0
+      ? { platform, runs: histories.flatMap(input => input.record.runs) }
+      : null;
+    const workspace = { key, label };
+    reports.push(dashboard
+      ? accountReport(files, workspace, dashboard.record, runHistory, settings, now)
+      : runsReport(files, workspace, platform, runHistory));
+  });
+
+  inputs.filter(input => input.kind === 'steps').forEach(input => {
+    reports.push({
+      kind: 'steps',
+      platform: 'zapier',
+      files: [input.file],
+      workflow: input.record.workflow || null,
+      workflowId: input.record.workflowId || null,
+      analysis: FlowFixSteps.analyzeSteps(input.record.steps)
+    });
+  });
+
+  inputs.filter(input => input.kind === 'blueprint').forEach(input => {
+    const lint = FlowFixBlueprint.lintBlueprint(input.record);
+    reports.push({ kind: 'blueprint', platform: 'make', files: [input.file], workflow: lint.name, lint });
+  });
+
+  return reports;
+}
+
+function levelLine(item) {
+  return `  [${item.level}] ${item.text}`;
+}
+
+function metricsLine(metrics) {
+  const fields = ADAPTERS[metrics.platform].adapter.fields;
+  const noun = metrics.platform === 'zapier' ? 'zap' : 'scenario';
+  return [
+    countOf(metrics[fields.total] || 0, noun),
+    `${metrics[fields.errors] || 0} with errors`,
+    `${metrics[fields.inactive] || 0} ${metrics.platform === 'zapier' ? 'paused' : 'inactive'}`,
+    metrics[fields.usagePercent] !== null
+      ? `${metrics[fields.usagePercent]}% of ${metrics.platform === 'zapier' ? 'tasks' : 'operations'} used`
+      : null,
+    metrics.planName ? `${metrics.planName} plan` : null
+  ].filter(Boolean).join(' · ');
+}
+
+function runsLine(runs) {
+  return [
+    countOf(runs.runs, 'run'),
+    runs.failureRate !== null ? `${runs.failureRate}% failed` : null,
+    runs.halted > 0 ? `${runs.halted} halted` : null
+  ].filter(Boolean).join(' · ');
+}
+
+function costLines(cost) {
+  if (!cost) return [];
+  if (cost.reason === 'noPrice') return [`Cost: no price set for the ${cost.plan} plan`];
+  const money = amount => FlowFixCost.formatMoney(amount, cost.currency);
+  return [
+    `Cost: ${money(cost.monthlySpend)}/month on ${cost.plan}` +
+      (cost.overageCost > 0 ? `, ${money(cost.overageCost)} of it overage` : '') +
+      (cost.totalSavings > 0 ? `; fixes would save ${money(cost.totalSavings)}/month` : '')
+  ];
+}
+
+// "errorHandlers: 1" → "1 error handler"
+function countsLine(counts) {
+  return Object.keys(counts).map(key => {
+    const words = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+    return counts[key] === 1 ? `1 ${words.replace(/s$/, '')}` : `${counts[key]} ${words}`;
+  }).join(' · ');
+}
+
+/**
+ * The reports as plain text, one block per report
+ */
+function formatReport(reports) {
+  return reports.map(report => {
+    const lines = [`== ${report.files.join(', ')}`];
+    if (report.workspace) lines.push(`Workspace: ${report.workspace.label}`);
+
+    if (report.kind === 'account') {
+      lines.push(`${ADAPTERS[report.platform].adapter.label} health score: ${report.healthScore}/100`);
+      report.scoreBreakdown.forEach(deduction => lines.push(`  ${FlowFix.formatDeduction(deduction)}`));
+      if (report.estimated.length > 0) lines.push(`  (estimated from page text: ${report.estimated.join(', ')})`);
+      lines.push(metricsLine(report.metrics));
+      if (report.runs) lines.push(`Run history: ${runsLine(report.runs)}`);
+      lines.push(...costLines(report.cost));
+      lines.push('Recommendations:', ...report.recommendations.map(levelLine));
+    } else if (report.kind === 'runs') {
+      lines.push(`${ADAPTERS[report.platform].adapter.label} run history: ${runsLine(report.runs)}`);
+      if (report.recommendations.length > 0) lines.push('Errors:', ...report.recommendations.map(levelLine));
+    } else {
+      const analysis = report.kind === 'steps' ? report.analysis : report.lint;
+      const noun = report.kind === 'steps' ? 'Zap' : 'Scenario';
+      lines.push(`${noun}: ${report.workflow || report.workflowId || 'untitled'}`);
+      if (analysis.trigger) {
+        const trigger = analysis.trigger;
+        const type = trigger.type || (trigger.instant ? 'instant' : 'polling');
+        lines.push(`Trigger: ${[trigger.app, trigger.event || trigger.module].filter(Boolean).join(' – ')} (${type})`);
+      }
+      lines.push(countsLine(analysis.counts));
+      lines.push(analysis.findings.length > 0 ? 'Findings:' : 'Findings: none');
+      lines.push(...analysis.findings.map(levelLine));
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Whether the reports break the --fail-under score or --fail-on level
+ */
+function failsGate(reports, { failUnder = null, failOn = null }) {
+  const lowScore = failUnder !== null && reports.some(report =>
+    report.kind === 'account' && report.healthScore < failUnder);
+  const worst = failOn === null ? -1 : LEVELS.indexOf(failOn);
+  const items = reports.flatMap(report =>
+    report.recommendations || (report.analysis || report.lint).findings);
+  return lowScore || items.some(item => LEVELS.indexOf(item.level) !== -1 && LEVELS.indexOf(item.level) <= worst);
+}
+
+function parseArgs(argv) {
+  const options = { files: [], url: null, settingsFile: null, json: false, failUnder: null, failOn: null, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--url') options.url = value();
+    else if (arg === '--settings') options.settingsFile = value();
+    else if (arg === '--fail-under') {
+      options.failUnder = Number(value());
+      if (Number.isNaN(options.failUnder)) throw new Error('--fail-under needs a score from 0 to 100');
+    } else if (arg === '--fail-on') {
+      options.failOn = value();
+      if (!LEVELS.includes(options.failOn)) throw new Error(`--fail-on needs one of ${LEVELS.join(', ')}`);
+    } else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.files.push(arg);
+  }
+  return options;
+}
+
+/**
+ * Run the command line; returns the exit status
+ */
+function main(argv, out = process.stdout, err = process.stderr) {
+  let options;
+  let reports;
+  try {
+    options = parseArgs(argv);
+    if (options.help || options.files.length === 0) {
+      (options.help ? out : err).write(`${USAGE}\n`);
+      return options.help ? 0 : 2;
+    }
+    const settings = FlowFixSettings.normalizeSettings(options.settingsFile
+      ? JSON.parse(fs.readFileSync(options.settingsFile, 'utf8'))
+      : {});
+    reports = analyzeFiles(options.files, { url: options.url, settings });
+  } catch (error) {
+    err.write(`flowfix-report: ${error.message}\n`);
+    return 2;
+  }
+
+  out.write(options.json ? `${JSON.stringify(reports, null, 2)}\n` : `${formatReport(reports)}\n`);
+  return failsGate(reports, options) ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { pageUrl, readInput, analyzeFiles, formatReport, failsGate, parseArgs, main };
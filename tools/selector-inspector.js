@@ -10,12 +10,50 @@
  * 3. Paste this entire script into the console
  * 4. Call window.flowfixInspect() to run analysis
  * 5. Copy console output and paste into selector-audit.md
+ *
+ * Selector registry (selectors/<platform>.json):
+ * - window.flowfixInspect({ registry }) also walks every metric's fallback
+ *   chain in the given registry and reports which strategies match here.
+ * - The result's `registry` field is a registry in the same format with the
+ *   selectors found on this page merged in; it is logged as JSON so it can be
+ *   pasted back into selectors/<platform>.json.
+ *
+ * Fixture capture:
+ * - window.flowfixInspect({ capture: true }) also downloads the dashboard's
+ *   header/nav/main subtree as a redacted HTML fixture (names, emails and
+ *   workflow titles replaced with [redacted-*] placeholders) plus the
+ *   findings as JSON, ready to drop into tests/fixtures/.
  */
 
 (function() {
   'use strict';
 
-  window.flowfixInspect = function() {
+  const REGISTRY_SCHEMA_VERSION = 1;
+  const STRATEGY_ORDER = ['testid', 'aria', 'structural', 'text'];
+
+  // Inspector finding → registry metric it validates
+  const REGISTRY_METRICS = {
+    zapier: {
+      tasks_used: { name: 'tasksUsed', type: 'number' },
+      tasks_limit: { name: 'taskLimit', type: 'number' },
+      zaps_total: { name: 'zapRows', type: 'list' },
+      zaps_error: { name: 'errorZaps', type: 'count' },
+      // Zapier's workspace is the account shown in the page
+      team_name: { name: 'accountName', type: 'string' }
+    },
+    make: {
+      operations_used: { name: 'operationsUsed', type: 'number' },
+      operations_limit: { name: 'operationsLimit', type: 'number' },
+      scenarios_total: { name: 'scenarioRows', type: 'list' },
+      scenarios_error: { name: 'errorScenarios', type: 'count' },
+      team_name: { name: 'teamName', type: 'string' }
+    }
+  };
+
+  window.flowfixInspect = function(options = {}) {
+    const registry = typeof options.registry === 'string'
+      ? JSON.parse(options.registry)
+      : options.registry;
     const site = detectSite();
     console.log(`\n=== FlowFix Selector Inspector ===`);
     console.log(`Site: ${site}`);
@@ -44,6 +82,19 @@
       console.log(`${status} ${key}: ${JSON.stringify(val)}`);
     });
 
+    if (registry) {
+      console.log(`\n=== Registry ${registry.platform}@${registry.version} ===`);
+      metrics.registryReport = checkRegistry(registry);
+    }
+
+    metrics.registry = emitRegistry(site, metrics.findings, registry);
+    console.log('\n=== Registry JSON (paste into selectors/' + site + '.json) ===');
+    console.log(JSON.stringify(metrics.registry, null, 2));
+
+    if (options.capture) {
+      metrics.capture = captureFixture(site, metrics);
+    }
+
     return metrics;
   };
 
@@ -374,6 +425,367 @@
     return { status: 'not_found' };
   }
 
+  // ===== SELECTOR REGISTRY =====
+
+  /**
+   * Try every strategy of every metric in a registry, not just the first hit,
+   * so dead fallbacks show up before the primary selector breaks
+   */
+  function checkRegistry(registry) {
+    if (registry.schemaVersion !== REGISTRY_SCHEMA_VERSION) {
+      console.log(`  ⚠️  Registry schema ${registry.schemaVersion}, inspector expects ${REGISTRY_SCHEMA_VERSION}`);
+    }
+
+    const report = {};
+    Object.entries(registry.metrics || {}).forEach(([name, metric]) => {
+      const results = metric.strategies.map(step => checkStrategy(step, metric.terms || []));
+      const winner = results.find(r => r.matched);
+      report[name] = { winner: winner ? winner.strategy : null, strategies: results };
+
+      console.log(`${winner ? '✅' : '❌'} ${name}${winner ? ` (via ${winner.strategy})` : ''}`);
+      results.forEach(r => {
+        const detail = r.matched ? (r.selector || `label "${r.label}"`) : 'no match';
+        console.log(`    ${r.matched ? '✓' : '·'} ${r.strategy}: ${detail}${r.count ? ` ×${r.count}` : ''}`);
+      });
+    });
+    return report;
+  }
+
+  function checkStrategy(step, terms) {
+    if (step.label) {
+      const hits = findByTextContent(step.label);
+      return { strategy: step.strategy, label: step.label, matched: hits.length > 0, count: hits.length };
+    }
+
+    const selectors = step.match === 'eachTerm'
+      ? terms.flatMap(term => step.selectors.map(sel => sel.split('{term}').join(term)))
+      : step.selectors;
+
+    for (const sel of selectors) {
+      try {
+        const els = document.querySelectorAll(sel);
+        if (els.length > 0) {
+          return { strategy: step.strategy, selector: sel, matched: true, count: els.length };
+        }
+      } catch (e) {}
+    }
+    return { strategy: step.strategy, matched: false };
+  }
+
+  /**
+   * Merge selectors found on this page into a registry (or start a new one)
+   */
+  function emitRegistry(site, findings, baseRegistry) {
+    const registry = baseRegistry
+      ? JSON.parse(JSON.stringify(baseRegistry))
+      : { schemaVersion: REGISTRY_SCHEMA_VERSION, platform: site, version: null, metrics: {} };
+    registry.version = new Date().toISOString().slice(0, 10).replace(/-/g, '.');
+
+    const mapping = REGISTRY_METRICS[site] || {};
+    Object.entries(findings).forEach(([key, finding]) => {
+      const target = mapping[key];
+      if (!target || !finding.selector) return;
+
+      const metric = registry.metrics[target.name] ||
+        (registry.metrics[target.name] = { type: target.type, strategies: [] });
+      const kind = classifySelector(finding.selector);
+      const existing = metric.strategies.find(step =>
+        step.strategy === kind && step.selectors && !step.label && step.match !== 'eachTerm'
+      );
+
+      if (existing) {
+        if (!existing.selectors.includes(finding.selector)) existing.selectors.unshift(finding.selector);
+        return;
+      }
+
+      // Keep the chain in priority order: testid → aria → structural → text
+      const rank = STRATEGY_ORDER.indexOf(kind);
+      const insertAt = metric.strategies.findIndex(step => STRATEGY_ORDER.indexOf(step.strategy) > rank);
+      const step = { strategy: kind, selectors: [finding.selector] };
+      if (insertAt === -1) metric.strategies.push(step);
+      else metric.strategies.splice(insertAt, 0, step);
+    });
+
+    return registry;
+  }
+
+  function classifySelector(sel) {
+    if (sel.includes('data-testid')) return 'testid';
+    if (sel.includes('aria-') || sel.includes('role=')) return 'aria';
+    return 'structural';
+  }
+
+  // ===== FIXTURE CAPTURE =====
+
+  const STRIPPED_ELEMENTS = 'script, style, link, noscript, iframe, template, canvas, object, embed';
+
+  const ROW_SELECTORS = {
+    zapier: [
+      '[data-testid="zap-row"]', '[data-testid="zap-list-item"]', '[data-testid="zap-card"]',
+      'table[aria-label*="zap" i] tbody tr', '[role="listitem"][aria-label*="zap" i]',
+      'main table tbody tr', '[class*="ZapRow"]'
+    ],
+    make: [
+      '[data-testid="scenario-row"]', '[data-testid="scenario-item"]', '[data-testid="scenario-card"]',
+      'table[aria-label*="scenario" i] tbody tr', '[role="list"][aria-label*="scenario" i] [role="listitem"]',
+      '[class*="ScenarioRow"]', 'main table tbody tr'
+    ]
+  };
+
+  // Tried in priority order, not document order
+  const ROW_TITLE_SELECTORS = [
+    '[data-testid*="name" i]', '[data-testid*="title" i]', '[class*="name" i]', '[class*="title" i]',
+    'a', 'h3', 'h4', 'td:first-child', 'span'
+  ];
+
+  const PERSON_SELECTOR = [
+    '[data-testid*="user" i]', '[data-testid*="owner" i]', '[data-testid*="avatar" i]',
+    '[data-testid*="account" i]', '[data-testid*="profile" i]', '[data-testid*="member" i]',
+    '[class*="avatar" i]', '[class*="owner" i]', '[aria-label*="account" i]', '[aria-label*="profile" i]'
+  ].join(', ');
+
+  const TEAM_SELECTOR = [
+    '[data-testid*="team" i]', '[data-testid*="organization" i]', '[class*="TeamName"]',
+    '[aria-label*="team" i]', '[aria-label*="organization" i]'
+  ].join(', ');
+
+  const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+  /**
+   * Serialize the dashboard subtree as a redacted fixture and download it
+   * together with the findings JSON
+   */
+  function captureFixture(site, metrics) {
+    const captured = new Date().toISOString().slice(0, 10);
+    const url = scrubUrl(window.location.href);
+    const page = pageSlug(window.location.pathname);
+    const baseName = `${site}-${page}-${captured}`;
+
+    const parts = selectCaptureRoots().map(el => el.cloneNode(true));
+    const redactor = createRedactor(site);
+    parts.forEach(part => redactor.redact(part));
+
+    const header = `<!-- flowfix-fixture platform="${site}" url="${url}" captured="${captured}" ` +
+      'redacted="names,emails,zap-titles" -->';
+    const html = [
+      header,
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      `<head><meta charset="utf-8"><title>${escapeHtml(redactor.redactText(document.title))}</title></head>`,
+      '<body>',
+      ...parts.map(part => part.outerHTML),
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+
+    const findings = JSON.stringify({
+      site,
+      url,
+      captured,
+      fixture: `${baseName}.html`,
+      findings: serializeFindings(metrics.findings, redactor),
+      registryReport: metrics.registryReport || null,
+      registry: metrics.registry
+    }, null, 2);
+
+    download(`${baseName}.html`, html, 'text/html');
+    download(`${baseName}-findings.json`, findings, 'application/json');
+
+    console.log(`\n=== Fixture captured ===`);
+    console.log(`  📄 ${baseName}.html (${parts.length} subtree${parts.length === 1 ? '' : 's'}, ${redactor.count} redactions)`);
+    console.log(`  📄 ${baseName}-findings.json`);
+    console.log('  Review the HTML for anything the redactor missed before committing it to tests/fixtures/');
+
+    return { html: `${baseName}.html`, findings: `${baseName}-findings.json`, redactions: redactor.count };
+  }
+
+  /**
+   * header/nav/main (or the whole body when the page has no landmarks),
+   * skipping any root nested inside another
+   */
+  function selectCaptureRoots() {
+    const candidates = Array.from(document.querySelectorAll(
+      'header, nav, [role="banner"], [role="navigation"], main, [role="main"]'
+    ));
+    const roots = candidates.filter(el => !candidates.some(other => other !== el && other.contains(el)));
+    const hasMain = roots.some(el => el.matches('main, [role="main"]') || el.querySelector('main, [role="main"]'));
+    return hasMain ? roots : [document.body];
+  }
+
+  function createRedactor(site) {
+    const replacements = new Map();
+    const noun = site === 'make' ? 'scenario' : 'zap';
+    let count = 0;
+
+    function remember(original, placeholder) {
+      const text = (original || '').trim();
+      if (text && !replacements.has(text)) replacements.set(text, placeholder);
+      count++;
+    }
+
+    function redactText(text) {
+      let out = text.replace(EMAIL_PATTERN, () => {
+        count++;
+        return '[redacted-email]';
+      });
+      replacements.forEach((placeholder, original) => {
+        out = out.split(original).join(placeholder);
+      });
+      return out;
+    }
+
+    function replaceOwnText(el, placeholder) {
+      if (el.children.length === 0) {
+        remember(el.textContent, placeholder);
+        el.textContent = placeholder;
+        return;
+      }
+      el.childNodes.forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+          remember(node.textContent, placeholder);
+          node.textContent = placeholder;
+        }
+      });
+    }
+
+    /**
+     * Labels like aria-label="Team Acme Corp" name the team too. The
+     * placeholder keeps the keyword the registry selectors match on.
+     */
+    function redactLabels(el, keywords, fallback) {
+      ['aria-label', 'title', 'alt'].forEach(name => {
+        const value = el.getAttribute(name);
+        if (!value) return;
+        const keyword = keywords.find(k => value.toLowerCase().includes(k));
+        el.setAttribute(name, keyword ? `[redacted-${keyword}]` : fallback);
+        count++;
+      });
+    }
+
+    function redact(root) {
+      root.querySelectorAll(STRIPPED_ELEMENTS).forEach(el => el.remove());
+
+      // Workflow titles: one placeholder per row, reused wherever the title appears
+      const rows = queryAllIn(root, ROW_SELECTORS[site] || []);
+      rows.forEach((row, i) => {
+        const title = findRowTitle(row);
+        if (title) replaceOwnText(title, `[redacted-${noun}-${i + 1}]`);
+      });
+
+      root.querySelectorAll(TEAM_SELECTOR).forEach(el => {
+        replaceOwnText(el, '[redacted-team]');
+        redactLabels(el, ['organization', 'team'], '[redacted-team]');
+      });
+      root.querySelectorAll(PERSON_SELECTOR).forEach(el => {
+        replaceOwnText(el, '[redacted-name]');
+        redactLabels(el, ['account', 'profile', 'owner', 'user'], '[redacted-name]');
+      });
+
+      // Second pass: emails and every remembered original, in text and attributes
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        walker.currentNode.textContent = redactText(walker.currentNode.textContent);
+      }
+      [root, ...root.querySelectorAll('*')].forEach(el => {
+        Array.from(el.attributes).forEach(attr => {
+          const name = attr.name.toLowerCase();
+          if (name === 'style' || name.startsWith('on') || name === 'value' || name === 'srcset') {
+            el.removeAttribute(attr.name);
+          } else if (name === 'src') {
+            el.setAttribute(attr.name, '');
+          } else if (name === 'href') {
+            el.setAttribute(attr.name, scrubUrl(attr.value));
+          } else {
+            el.setAttribute(attr.name, redactText(attr.value));
+          }
+        });
+      });
+    }
+
+    return {
+      redact,
+      redactText,
+      get count() { return count; }
+    };
+  }
+
+  function findRowTitle(row) {
+    for (const sel of ROW_TITLE_SELECTORS) {
+      let el = row.querySelector(sel);
+      if (!el || !el.textContent.trim()) continue;
+      // Descend through single-child wrappers to the element holding the text
+      while (el.children.length === 1 && !hasOwnText(el)) el = el.children[0];
+      return el;
+    }
+    return null;
+  }
+
+  function hasOwnText(el) {
+    return Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+  }
+
+  function queryAllIn(root, selectors) {
+    for (const sel of selectors) {
+      try {
+        const els = root.querySelectorAll(sel);
+        if (els.length > 0) return Array.from(els);
+      } catch (e) {}
+    }
+    return [];
+  }
+
+  /**
+   * Drop query/hash and zero out account, team and workflow ids
+   */
+  function scrubUrl(href) {
+    try {
+      const url = new URL(href, window.location.href);
+      return url.origin + url.pathname.replace(/\d{4,}/g, '000000');
+    } catch (e) {
+      return '#';
+    }
+  }
+
+  function pageSlug(pathname) {
+    const segments = pathname.split('/').filter(seg => seg && !/\d/.test(seg));
+    return segments.length > 0 ? segments[segments.length - 1].toLowerCase() : 'home';
+  }
+
+  /**
+   * Findings hold live elements (byText) and raw page text; keep only redacted strings
+   */
+  function serializeFindings(findings, redactor) {
+    const out = {};
+    Object.entries(findings).forEach(([key, finding]) => {
+      const copy = Object.assign({}, finding);
+      if (Array.isArray(copy.byText)) {
+        copy.byText = copy.byText.map(el => redactor.redactText(el.textContent.trim()));
+      }
+      if (typeof copy.text === 'string') {
+        copy.text = key === 'team_name' ? '[redacted-team]' : redactor.redactText(copy.text);
+      }
+      out[key] = copy;
+    });
+    return out;
+  }
+
+  function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  function download(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const href = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = href;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(href), 1000);
+  }
+
   // ===== UTILITIES =====
 
   function extractNum(text) {
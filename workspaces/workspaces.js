@@ -0,0 +1,124 @@
+/**
+ * FlowFix All-Workspaces Page
+ * Roll-up of every tracked workspace's latest metrics (shared/rollup.js),
+ * worst health first, so accounts can be triaged without visiting each one
+ */
+
+const { PLATFORM_LABELS } = FlowFixWorkspaces;
+const { summarizeWorkspaces, sortSummaries, filterSummaries, formatAge } = FlowFixRollup;
+
+let settings = FlowFixSettings.DEFAULT_SETTINGS;
+let rows = [];
+const sort = { column: 'healthScore', direction: 'asc' };
+
+async function loadRows() {
+  const stored = await chrome.storage.local.get(null);
+  rows = summarizeWorkspaces(stored, settings.stalenessMinutes);
+}
+
+function readFilters() {
+  const health = document.getElementById('filter-health').value;
+  return {
+    query: document.getElementById('filter-query').value,
+    platform: document.getElementById('filter-platform').value,
+    // "Below <band>" keeps scores under that band's lowest score
+    maxHealth: health ? settings.colorBands[health] - 1 : undefined,
+    staleOnly: document.getElementById('filter-stale').checked
+  };
+}
+
+function addCell(tr, text, className = '') {
+  const td = document.createElement('td');
+  td.textContent = text;
+  if (className) td.className = className;
+  tr.appendChild(td);
+  return td;
+}
+
+/**
+ * Rebuild the table body from the current rows, filters and sort.
+ * Uses DOM methods only; workspace names come from the scraped pages.
+ */
+function render() {
+  const visible = sortSummaries(filterSummaries(rows, readFilters()), sort.column, sort.direction);
+  const body = document.getElementById('rollup-body');
+  body.innerHTML = '';
+
+  visible.forEach(row => {
+    const tr = document.createElement('tr');
+
+    const nameCell = document.createElement('td');
+    if (row.url) {
+      const link = document.createElement('a');
+      link.href = row.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = row.label;
+      nameCell.appendChild(link);
+    } else {
+      nameCell.textContent = row.label;
+    }
+    tr.appendChild(nameCell);
+
+    addCell(tr, PLATFORM_LABELS[row.platform] || row.platform);
+
+    const health = addCell(tr, row.healthScore === null ? '—' : String(row.healthScore), 'num health');
+    if (row.healthScore !== null) {
+      health.style.color = FlowFixSettings.getScoreColor(row.healthScore, settings.colorBands);
+    }
+
+    addCell(tr, row.errors === null ? '—' : String(row.errors), row.errors > 0 ? 'num errors' : 'num');
+    addCell(tr, row.usagePercent === null ? '—' : `${row.usagePercent}%`, 'num');
+    addCell(tr, formatAge(row.ageMinutes), row.stale ? 'num stale' : 'num');
+
+    body.appendChild(tr);
+  });
+
+  document.getElementById('empty').classList.toggle('hidden', visible.length > 0);
+
+  const attention = rows.filter(row => row.healthScore !== null && row.healthScore < settings.colorBands.attention).length;
+  const stale = rows.filter(row => row.stale).length;
+  document.getElementById('summary').textContent =
+    `${FlowFixText.countOf(rows.length, 'workspace')} · ${attention} below ${settings.colorBands.attention} · ${stale} stale`;
+
+  document.querySelectorAll('th button[data-sort]').forEach(button => {
+    const th = button.parentElement;
+    if (button.dataset.sort === sort.column) {
+      th.setAttribute('aria-sort', sort.direction === 'asc' ? 'ascending' : 'descending');
+    } else {
+      th.removeAttribute('aria-sort');
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    settings = await FlowFixSettings.loadSettings();
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+
+  await loadRows();
+  render();
+
+  document.getElementById('filters').addEventListener('input', render);
+  document.getElementById('filters').addEventListener('submit', event => event.preventDefault());
+
+  document.querySelectorAll('th button[data-sort]').forEach(button => {
+    button.addEventListener('click', () => {
+      const column = button.dataset.sort;
+      sort.direction = sort.column === column && sort.direction === 'asc' ? 'desc' : 'asc';
+      sort.column = column;
+      render();
+    });
+  });
+
+  // Dashboards open in other tabs keep reporting while this page is up
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (Object.keys(changes).some(key => key.startsWith(FlowFixWorkspaces.METRICS_KEY_PREFIX))) {
+      await loadRows();
+      render();
+    }
+  });
+});